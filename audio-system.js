@@ -0,0 +1,311 @@
+import * as THREE from 'three';
+
+/**
+ * Sound categories, each with its own volume under the master volume
+ */
+export const AUDIO_CATEGORIES = ['ambience', 'hum', 'footsteps'];
+
+// Fixtures hum through a small pool of positional voices, given to the closest fixtures
+const MAX_HUM_VOICES = 6;
+
+// Distance (in units) at which a fixture's hum has faded out completely
+const HUM_DISTANCE = 8;
+
+// Mains frequency doubled: the pitch a fluorescent ballast buzzes at
+const HUM_FREQUENCY = 120;
+
+/**
+ * Procedural Web Audio: fluorescent hum, footsteps and room tone
+ * Every sound is synthesized from oscillators and generated noise, so no audio files
+ * are needed. Browsers only allow audio after a user gesture, so nothing is created
+ * until the first click or key press (see listenForInteraction).
+ */
+export class AudioSystem {
+    constructor() {
+        this.context = null;
+        this.master = null;
+        this.categories = {};
+
+        // Linear gains from 0 to 1
+        this.volumes = { master: 1, ambience: 0.5, hum: 0.6, footsteps: 0.8 };
+
+        // Light fixtures of the current level: { position, storey }
+        this.fixtures = [];
+        this.humVoices = [];
+        this.noiseBuffer = null;
+
+        // Alternates left and right feet
+        this.footstepCount = 0;
+
+        this.listenerForward = new THREE.Vector3();
+    }
+
+    /**
+     * Unlock audio on the first click or key press on a target
+     * @param {EventTarget} target - Element to listen on (defaults to document)
+     */
+    listenForInteraction(target = document) {
+        const events = ["pointerdown", "keydown"];
+        const unlock = () => {
+            this.unlock();
+            if (this.context) {
+                events.forEach(event => target.removeEventListener(event, unlock));
+            }
+        };
+        events.forEach(event => target.addEventListener(event, unlock));
+    }
+
+    /**
+     * Create the audio graph and start the looping sounds
+     * Must run from a user gesture; later calls resume a suspended context
+     */
+    unlock() {
+        if (this.context) {
+            if (this.context.state === "suspended") this.context.resume();
+            return;
+        }
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            console.warn("Web Audio is not supported, the game stays silent");
+            return;
+        }
+
+        this.context = new AudioContextClass();
+        this.master = this.context.createGain();
+        this.master.connect(this.context.destination);
+
+        for (const category of AUDIO_CATEGORIES) {
+            this.categories[category] = this.context.createGain();
+            this.categories[category].connect(this.master);
+        }
+
+        this.noiseBuffer = this.createNoiseBuffer(2);
+        this.startAmbience();
+        this.startHum();
+        this.applyVolumes();
+    }
+
+    /**
+     * Change the master and category volumes
+     * @param {Object} volumes - Any of master, ambience, hum, footsteps (0 to 1)
+     */
+    setVolumes(volumes) {
+        for (const [name, value] of Object.entries(volumes)) {
+            if (name in this.volumes && Number.isFinite(value)) {
+                this.volumes[name] = THREE.MathUtils.clamp(value, 0, 1);
+            }
+        }
+        this.applyVolumes();
+    }
+
+    applyVolumes() {
+        if (!this.context) return;
+
+        // Short ramps so slider moves don't click
+        const now = this.context.currentTime;
+        this.master.gain.setTargetAtTime(this.volumes.master, now, 0.05);
+        for (const category of AUDIO_CATEGORIES) {
+            this.categories[category].gain.setTargetAtTime(this.volumes[category], now, 0.05);
+        }
+    }
+
+    /**
+     * Take over the light fixtures of a newly generated level
+     * @param {THREE.Group} levelGroup - Level group from LevelGenerator.generateLevel
+     */
+    setLevel(levelGroup) {
+        const floors = levelGroup.userData.floors;
+        this.fixtures = levelGroup.userData.model.floors.flatMap((floorModel, storey) =>
+            floorModel.lights.map(light => ({
+                storey,
+                position: new THREE.Vector3(
+                    light.position.x,
+                    light.position.y + floors[storey].elevation,
+                    light.position.z
+                )
+            }))
+        );
+    }
+
+    /**
+     * Move the listener with the camera and give the hum voices to the closest fixtures
+     * @param {THREE.Camera} camera - Player camera
+     * @param {number} storey - Storey the player is on
+     */
+    update(camera, storey) {
+        if (!this.context) return;
+
+        const listener = this.context.listener;
+        const forward = this.listenerForward.set(0, 0, -1).applyQuaternion(camera.quaternion);
+        const now = this.context.currentTime;
+
+        if (listener.positionX) {
+            listener.positionX.setValueAtTime(camera.position.x, now);
+            listener.positionY.setValueAtTime(camera.position.y, now);
+            listener.positionZ.setValueAtTime(camera.position.z, now);
+            listener.forwardX.setValueAtTime(forward.x, now);
+            listener.forwardY.setValueAtTime(forward.y, now);
+            listener.forwardZ.setValueAtTime(forward.z, now);
+            listener.upX.setValueAtTime(0, now);
+            listener.upY.setValueAtTime(1, now);
+            listener.upZ.setValueAtTime(0, now);
+        } else {
+            // Older implementations only have the deprecated setters
+            listener.setPosition(camera.position.x, camera.position.y, camera.position.z);
+            listener.setOrientation(forward.x, forward.y, forward.z, 0, 1, 0);
+        }
+
+        const nearest = this.fixtures
+            .filter(fixture => fixture.storey === storey &&
+                fixture.position.distanceTo(camera.position) < HUM_DISTANCE)
+            .sort((a, b) => a.position.distanceTo(camera.position) - b.position.distanceTo(camera.position))
+            .slice(0, this.humVoices.length);
+
+        this.humVoices.forEach((voice, index) => {
+            const fixture = nearest[index];
+            voice.gain.gain.setTargetAtTime(fixture ? 1 : 0, now, 0.1);
+            if (fixture) {
+                voice.panner.positionX.setValueAtTime(fixture.position.x, now);
+                voice.panner.positionY.setValueAtTime(fixture.position.y, now);
+                voice.panner.positionZ.setValueAtTime(fixture.position.z, now);
+            }
+        });
+    }
+
+    /**
+     * Play one footstep: a filtered noise scuff over a soft low thump
+     */
+    playFootstep() {
+        if (!this.context) return;
+
+        const now = this.context.currentTime;
+        const output = this.categories.footsteps;
+
+        // Feet sound slightly different, with a little randomness on top
+        const foot = this.footstepCount++ % 2;
+        const brightness = (foot ? 700 : 550) * (0.9 + Math.random() * 0.2);
+
+        const scuff = this.context.createBufferSource();
+        scuff.buffer = this.noiseBuffer;
+        const filter = this.context.createBiquadFilter();
+        filter.type = "lowpass";
+        filter.frequency.value = brightness;
+        const scuffGain = this.context.createGain();
+        scuffGain.gain.setValueAtTime(0, now);
+        scuffGain.gain.linearRampToValueAtTime(0.5, now + 0.005);
+        scuffGain.gain.exponentialRampToValueAtTime(0.001, now + 0.15);
+        scuff.connect(filter).connect(scuffGain).connect(output);
+        scuff.start(now, Math.random() * (this.noiseBuffer.duration - 0.2), 0.2);
+
+        const thump = this.context.createOscillator();
+        thump.frequency.setValueAtTime(90, now);
+        thump.frequency.exponentialRampToValueAtTime(50, now + 0.08);
+        const thumpGain = this.context.createGain();
+        thumpGain.gain.setValueAtTime(0.4, now);
+        thumpGain.gain.exponentialRampToValueAtTime(0.001, now + 0.1);
+        thump.connect(thumpGain).connect(output);
+        thump.start(now);
+        thump.stop(now + 0.1);
+    }
+
+    /**
+     * Room tone: rumbling brown noise with a faint ventilation drone
+     */
+    startAmbience() {
+        const rumble = this.context.createBufferSource();
+        rumble.buffer = this.createNoiseBuffer(4, true);
+        rumble.loop = true;
+        const filter = this.context.createBiquadFilter();
+        filter.type = "lowpass";
+        filter.frequency.value = 220;
+        const rumbleGain = this.context.createGain();
+        rumbleGain.gain.value = 0.5;
+        rumble.connect(filter).connect(rumbleGain).connect(this.categories.ambience);
+        rumble.start();
+
+        const drone = this.context.createOscillator();
+        drone.frequency.value = 55;
+        const droneGain = this.context.createGain();
+        droneGain.gain.value = 0.04;
+        drone.connect(droneGain).connect(this.categories.ambience);
+        drone.start();
+    }
+
+    /**
+     * Fluorescent buzz: one shared source feeding the positional hum voices
+     */
+    startHum() {
+        // Ballast buzz with its harsh upper harmonics, plus a faint whine
+        const buzz = this.context.createOscillator();
+        buzz.type = "sawtooth";
+        buzz.frequency.value = HUM_FREQUENCY;
+        const band = this.context.createBiquadFilter();
+        band.type = "bandpass";
+        band.frequency.value = HUM_FREQUENCY * 4;
+        band.Q.value = 1.5;
+
+        const whine = this.context.createOscillator();
+        whine.frequency.value = HUM_FREQUENCY * 60;
+        const whineGain = this.context.createGain();
+        whineGain.gain.value = 0.01;
+
+        const source = this.context.createGain();
+        source.gain.value = 0.15;
+        buzz.connect(band).connect(source);
+        whine.connect(whineGain).connect(source);
+        buzz.start();
+        whine.start();
+
+        this.humVoices = [];
+        for (let i = 0; i < MAX_HUM_VOICES; i++) {
+            const gain = this.context.createGain();
+            gain.gain.value = 0;
+            const panner = this.context.createPanner();
+            panner.panningModel = "equalpower";
+            panner.distanceModel = "linear";
+            panner.refDistance = 1;
+            panner.maxDistance = HUM_DISTANCE;
+            panner.rolloffFactor = 1;
+
+            source.connect(gain).connect(panner).connect(this.categories.hum);
+            this.humVoices.push({ gain, panner });
+        }
+    }
+
+    /**
+     * Generate a mono noise buffer
+     * @param {number} seconds - Length
+     * @param {boolean} brown - Integrate white noise into deeper brown noise
+     * @returns {AudioBuffer}
+     */
+    createNoiseBuffer(seconds, brown = false) {
+        const length = Math.floor(this.context.sampleRate * seconds);
+        const buffer = this.context.createBuffer(1, length, this.context.sampleRate);
+        const data = buffer.getChannelData(0);
+
+        let last = 0;
+        for (let i = 0; i < length; i++) {
+            const white = Math.random() * 2 - 1;
+            if (brown) {
+                last = (last + 0.02 * white) / 1.02;
+                data[i] = last * 3.5;
+            } else {
+                data[i] = white;
+            }
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Forget the fixtures of the current level, silencing their hum
+     */
+    clear() {
+        this.fixtures = [];
+        if (!this.context) return;
+
+        const now = this.context.currentTime;
+        this.humVoices.forEach(voice => voice.gain.gain.setTargetAtTime(0, now, 0.05));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,120 @@
+/**
+ * Ordered list of levels from a campaign manifest, with unlock progress
+ * The manifest only lists level files; names and descriptions come from the
+ * levels themselves. The first level is always unlocked, completing a level
+ * unlocks the one after it.
+ *
+ *   { "name": "Office Tower", "levels": ["level1.json", "level2.json"] }
+ */
+export class Campaign {
+    constructor() {
+        this.name = "Campaign";
+        this.levels = [];
+
+        // Levels 0 .. unlockedCount - 1 can be played
+        this.unlockedCount = 1;
+    }
+
+    /**
+     * Load a campaign manifest and the name and description of each of its levels
+     * @param {string} manifestFile - Manifest URL
+     * @returns {Promise<Campaign>} This campaign
+     */
+    async load(manifestFile = 'campaign.json') {
+        const response = await fetch(manifestFile);
+        if (!response.ok) {
+            throw new Error(`Failed to load campaign: ${response.status} ${response.statusText}`);
+        }
+        const manifest = await response.json();
+
+        if (!Array.isArray(manifest.levels) || manifest.levels.length === 0) {
+            throw new Error(`Campaign "${manifestFile}" needs a non-empty "levels" array`);
+        }
+
+        this.name = manifest.name || this.name;
+        this.levels = await Promise.all(manifest.levels.map(file => this.loadLevelInfo(file)));
+        this.unlockedCount = Math.min(this.unlockedCount, this.levels.length);
+
+        return this;
+    }
+
+    /**
+     * Read the menu details of one level
+     * A level that fails to load keeps its place, it only loses its name
+     * @param {string} file - Level file URL
+     * @returns {Promise<{file: string, name: string, description: string, difficulty: string|null, timeLimit: number|null}>}
+     */
+    async loadLevelInfo(file) {
+        try {
+            const response = await fetch(file);
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+            const levelData = await response.json();
+
+            return {
+                file,
+                name: levelData.name || file,
+                description: levelData.description || "",
+                difficulty: levelData.difficulty ?? null,
+                timeLimit: levelData.timeLimit ?? null
+            };
+        } catch (error) {
+            console.error(`Failed to read campaign level "${file}":`, error);
+            return { file, name: file, description: "", difficulty: null, timeLimit: null };
+        }
+    }
+
+    /**
+     * Get the position of a level in the campaign
+     * @param {string} file - Level file URL
+     * @returns {number} Index, -1 if the level is not part of the campaign
+     */
+    indexOf(file) {
+        return this.levels.findIndex(level => level.file === file);
+    }
+
+    isUnlocked(index) {
+        return index >= 0 && index < this.unlockedCount;
+    }
+
+    /**
+     * Get the level after a level
+     * @param {string} file - Level file URL
+     * @returns {Object|null} Next level, null for the last level or levels outside the campaign
+     */
+    getNextLevel(file) {
+        const index = this.indexOf(file);
+        return index >= 0 && index < this.levels.length - 1 ? this.levels[index + 1] : null;
+    }
+
+    /**
+     * Mark a level as completed, unlocking the level after it
+     * @param {string} file - Level file URL
+     * @returns {Object|null} The next level, null if there is none
+     */
+    completeLevel(file) {
+        const index = this.indexOf(file);
+        if (index < 0) return null;
+
+        this.unlockLevels(index + 2);
+        return this.getNextLevel(file);
+    }
+
+    /**
+     * Restore saved unlock progress, replacing the current one
+     * @param {number} count - Number of unlocked levels
+     */
+    restoreUnlocks(count) {
+        this.unlockedCount = 1;
+        this.unlockLevels(count);
+    }
+
+    /**
+     * Unlock the first levels of the campaign (levels never lock again)
+     * @param {number} count - Number of levels to unlock
+     */
+    unlockLevels(count) {
+        this.unlockedCount = Math.max(this.unlockedCount, Math.min(count, this.levels.length));
+    }
+}
\ No newline at end of file
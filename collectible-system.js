@@ -0,0 +1,129 @@
+/**
+ * Runtime handling of the collectibles built by the level generator
+ * Props spin and bob in place; one is picked up when the player's collider overlaps it.
+ * Candidates come from the storey's spatial grid, so only props near the player are checked.
+ * A level's "requiredCollectibles" sets how many must be picked up before the goal counts.
+ */
+export class CollectibleSystem {
+    /**
+     * @param {CollisionSystem} collisionSystem - Collision system, its player radius is used for pickups
+     */
+    constructor(collisionSystem) {
+        this.collisionSystem = collisionSystem;
+        this.collectibles = [];
+
+        // Spatial grid entries back to their collectible
+        this.lookup = new Map();
+
+        this.floors = [];
+        this.required = 0;
+        this.score = 0;
+        this.collectedCount = 0;
+
+        // Collected and total count per item name
+        this.counts = {};
+
+        // Animation and pickup settings
+        this.pickupRadius = 0.25; // Radius of a prop, added to the player radius
+        this.spinSpeed = 2; // Radians per second
+        this.bobHeight = 0.08; // Units up and down
+        this.bobSpeed = 3; // Radians per second
+        this.time = 0;
+    }
+
+    /**
+     * Take over the collectibles of a newly generated level
+     * @param {THREE.Group} levelGroup - Level group from LevelGenerator.generateLevel
+     */
+    setupFromLevel(levelGroup) {
+        this.clear();
+
+        this.floors = levelGroup.userData.floors;
+        this.collectibles = levelGroup.userData.collectibles.map(collectible => ({
+            ...collectible,
+            baseY: collectible.mesh.position.y,
+            collected: false
+        }));
+
+        for (const collectible of this.collectibles) {
+            this.lookup.set(collectible.mesh, collectible);
+            this.counts[collectible.item] ??= { collected: 0, total: 0 };
+            this.counts[collectible.item].total++;
+        }
+
+        const required = levelGroup.userData.levelData?.requiredCollectibles;
+        this.required = Number.isInteger(required) && required > 0 ? required : 0;
+    }
+
+    /**
+     * Animate the props and pick up those the player overlaps
+     * @param {THREE.Vector3} playerPosition - Current player position
+     * @param {number} storey - Storey the player is on
+     * @param {number} timeElapsedS - Time step in seconds
+     * @returns {Array<Object>} Collectibles picked up this step
+     */
+    update(playerPosition, storey, timeElapsedS) {
+        this.time += timeElapsedS;
+
+        for (const collectible of this.collectibles) {
+            if (collectible.collected) continue;
+
+            collectible.mesh.rotation.y += this.spinSpeed * timeElapsedS;
+            collectible.mesh.position.y = collectible.baseY +
+                Math.sin(this.time * this.bobSpeed + collectible.cell.x + collectible.cell.z) * this.bobHeight;
+        }
+
+        const spatialGrid = this.floors[storey]?.spatialGrid;
+        if (!spatialGrid) return [];
+
+        const reach = this.collisionSystem.playerRadius + this.pickupRadius;
+        const picked = [];
+
+        for (const object of spatialGrid.queryRadius(playerPosition, reach)) {
+            const collectible = this.lookup.get(object);
+            if (!collectible || collectible.collected || collectible.storey !== storey) continue;
+
+            this.collect(collectible);
+            picked.push(collectible);
+        }
+
+        return picked;
+    }
+
+    /**
+     * Pick up a collectible: it disappears and its points go to the score
+     * @param {Object} collectible - Collectible entry
+     */
+    collect(collectible) {
+        collectible.collected = true;
+        collectible.mesh.visible = false;
+        this.floors[collectible.storey]?.spatialGrid.removeObject(collectible.mesh);
+
+        this.score += collectible.points;
+        this.collectedCount++;
+        this.counts[collectible.item].collected++;
+        console.log(`Picked up ${collectible.item} (+${collectible.points})`);
+    }
+
+    /**
+     * Check whether enough collectibles were picked up for the goal to count
+     * @returns {boolean} True once the level's requiredCollectibles are collected
+     */
+    hasRequired() {
+        return this.collectedCount >= this.required;
+    }
+
+    /**
+     * Forget all collectibles and the score
+     */
+    clear() {
+        this.collectibles = [];
+        this.lookup.clear();
+        this.floors = [];
+        this.required = 0;
+        this.score = 0;
+        this.collectedCount = 0;
+        this.counts = {};
+        this.time = 0;
+    }
+}
\ No newline at end of file
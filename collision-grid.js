@@ -0,0 +1,159 @@
+/**
+ * Solid boxes of one storey, bucketed by the level cells they overlap
+ * Cells are a flat array indexed by grid position, so finding the boxes around
+ * a point costs one array lookup per cell, however many boxes the level has.
+ * A box spanning several cells (e.g. a wall section on a cell edge) is listed in
+ * each of them; a query returns it once.
+ */
+export class CollisionGrid {
+    /**
+     * @param {Object} bounds - World bounds of the storey { min: { x, z }, max: { x, z } }
+     * @param {number} width - Cells along X
+     * @param {number} depth - Cells along Z
+     * @param {number} cellSize - Size of a cell in world units
+     */
+    constructor(bounds, width, depth, cellSize) {
+        this.minX = bounds.min.x;
+        this.minZ = bounds.min.z;
+        this.width = width;
+        this.depth = depth;
+        this.cellSize = cellSize;
+
+        this.cells = Array.from({ length: width * depth }, () => []);
+
+        // Stamp of the current query, marks boxes already returned by it
+        this.queryId = 0;
+
+        // Cost of the last query
+        this.lastQuery = { cells: 0, candidates: 0 };
+    }
+
+    /**
+     * Add a solid box to every cell it overlaps
+     * @param {Object} collider - Collider with bounds { minX, maxX, minZ, maxZ }
+     */
+    insert(collider) {
+        const { bounds } = collider;
+        this.forEachCell(bounds.minX, bounds.minZ, bounds.maxX, bounds.maxZ, cell => cell.push(collider));
+    }
+
+    /**
+     * Find the boxes listed in the cells an area touches
+     * @param {number} minX - Area minimum X
+     * @param {number} minZ - Area minimum Z
+     * @param {number} maxX - Area maximum X
+     * @param {number} maxZ - Area maximum Z
+     * @returns {Array<Object>} Colliders, each once
+     */
+    query(minX, minZ, maxX, maxZ) {
+        const found = [];
+        const queryId = ++this.queryId;
+        let cells = 0;
+        let candidates = 0;
+
+        this.forEachCell(minX, minZ, maxX, maxZ, cell => {
+            cells++;
+            for (const collider of cell) {
+                candidates++;
+                if (collider.queryId !== queryId) {
+                    collider.queryId = queryId;
+                    found.push(collider);
+                }
+            }
+        });
+
+        this.lastQuery.cells = cells;
+        this.lastQuery.candidates = candidates;
+        return found;
+    }
+
+    /**
+     * Walk the cells a ray crosses, nearest first (stepping from cell edge to cell edge)
+     * Each collider is handed over once, in the first cell the ray meets it in.
+     * @param {number} originX - Ray origin X
+     * @param {number} originZ - Ray origin Z
+     * @param {number} directionX - Ray direction X (the ray is origin + direction * t)
+     * @param {number} directionZ - Ray direction Z
+     * @param {number} maxT - Largest t to walk to
+     * @param {Function} visit - Called with (colliders new in this cell, t where the ray leaves
+     *                           the cell); returning true stops the walk
+     */
+    traverseRay(originX, originZ, directionX, directionZ, maxT, visit) {
+        const queryId = ++this.queryId;
+        this.lastQuery.cells = 0;
+        this.lastQuery.candidates = 0;
+
+        // Clip the ray to the grid
+        let start = 0;
+        let end = maxT;
+        const axes = [
+            [originX, directionX, this.minX, this.minX + this.width * this.cellSize],
+            [originZ, directionZ, this.minZ, this.minZ + this.depth * this.cellSize]
+        ];
+        for (const [origin, direction, min, max] of axes) {
+            if (direction === 0) {
+                if (origin < min || origin > max) return;
+                continue;
+            }
+            const t1 = (min - origin) / direction;
+            const t2 = (max - origin) / direction;
+            start = Math.max(start, Math.min(t1, t2));
+            end = Math.min(end, Math.max(t1, t2));
+        }
+        if (start > end) return;
+
+        let x = this.toCell(originX + directionX * start, this.minX, this.width);
+        let z = this.toCell(originZ + directionZ * start, this.minZ, this.depth);
+        const stepX = Math.sign(directionX);
+        const stepZ = Math.sign(directionZ);
+        const deltaX = stepX !== 0 ? this.cellSize / Math.abs(directionX) : Infinity;
+        const deltaZ = stepZ !== 0 ? this.cellSize / Math.abs(directionZ) : Infinity;
+        let nextX = stepX !== 0 ? (this.minX + (x + (stepX > 0 ? 1 : 0)) * this.cellSize - originX) / directionX : Infinity;
+        let nextZ = stepZ !== 0 ? (this.minZ + (z + (stepZ > 0 ? 1 : 0)) * this.cellSize - originZ) / directionZ : Infinity;
+
+        while (x >= 0 && x < this.width && z >= 0 && z < this.depth) {
+            const found = [];
+            for (const collider of this.cells[x + z * this.width]) {
+                this.lastQuery.candidates++;
+                if (collider.queryId !== queryId) {
+                    collider.queryId = queryId;
+                    found.push(collider);
+                }
+            }
+            this.lastQuery.cells++;
+
+            const exit = Math.min(nextX, nextZ, end);
+            if (visit(found, exit) || exit >= end) return;
+
+            if (nextX < nextZ) {
+                x += stepX;
+                nextX += deltaX;
+            } else {
+                z += stepZ;
+                nextZ += deltaZ;
+            }
+        }
+    }
+
+    /**
+     * Visit the cells an area overlaps (areas past the edge use the edge cells)
+     * @param {Function} callback - Called with each cell's collider list
+     */
+    forEachCell(minX, minZ, maxX, maxZ, callback) {
+        const fromX = this.toCell(minX, this.minX, this.width);
+        const toX = this.toCell(maxX, this.minX, this.width);
+        const fromZ = this.toCell(minZ, this.minZ, this.depth);
+        const toZ = this.toCell(maxZ, this.minZ, this.depth);
+
+        for (let z = fromZ; z <= toZ; z++) {
+            for (let x = fromX; x <= toX; x++) {
+                callback(this.cells[x + z * this.width]);
+            }
+        }
+    }
+
+    toCell(value, origin, count) {
+        const cell = Math.floor((value - origin) / this.cellSize);
+        return Math.max(0, Math.min(count - 1, cell));
+    }
+}
\ No newline at end of file
@@ -1,17 +1,34 @@
 import * as THREE from 'three';
+import { CollisionGrid } from './collision-grid.js';
 
+/**
+ * Collision of the player (and entities) against the solid parts of a level
+ * What is solid is decided by one rule (see extractCollidersFromLevel): the wall blocks
+ * and wall sections of the level model, closed doors, and meshes flagged
+ * userData.solid by custom tile renderers. Markers, fixtures, pickups, stairs and the
+ * like are never solid. Each storey's solids are bucketed in a CollisionGrid by the
+ * cells they overlap, so a move only looks at the cells it passes through.
+ */
 export class CollisionSystem {
     constructor(scene) {
         this.scene = scene;
         this.colliders = [];
+        this.colliderLookup = new Map(); // Collider of each mesh, door or model wall
         this.playerCollider = null;
         this.playerRadius = 0.5; // Player collision radius
-        this.playerHeight = 1.8; // Player height (approx 6 feet)
+        this.playerHeight = 1.8; // Player height (approx 6 feet), the eyes are at the top
+        this.headroom = 0.1; // Gap kept between the eyes and the ceiling
         
-        // Collision optimization settings
-        this.spatialGrid = null;
-        this.maxCheckDistance = 5; // Only check collisions within this distance
-        this.activeColliders = new Set(); // Colliders that are currently active
+        // Floor and ceiling height of each storey: { floor, ceiling }
+        this.storeyBounds = [];
+        
+        // Solid boxes of each storey by level cell
+        this.grids = [];
+        this.maxIterations = 4; // Slide passes per move (and push-out passes when starting inside a wall)
+        this.skinWidth = 0.001; // Gap kept between the player and a wall it stops against
+        
+        // Storey (floor index) the player is on, only its colliders are checked
+        this.currentStorey = 0;
         
         // For debugging
         this.debug = false;
@@ -21,9 +38,10 @@ export class CollisionSystem {
             this.scene.add(this.collisionHelpers);
         }
         
-        // Performance metrics
-        this.lastFrameCollisionChecks = 0;
-        this.totalCollisionChecks = 0;
+        // Query cost of the physics step in progress and of the last finished one
+        // (queries made, grid cells visited, colliders found in them, boxes swept against)
+        this.frameStats = { queries: 0, cells: 0, candidates: 0, tests: 0 };
+        this.lastFrameStats = { ...this.frameStats };
     }
     
     /**
@@ -57,27 +75,85 @@ export class CollisionSystem {
     }
     
     /**
-     * Add a wall collider from a mesh object
+     * Change the player's collider height (e.g. when crouching)
+     * @param {number} height - Height from the feet to the eyes
+     */
+    setPlayerHeight(height) {
+        this.playerHeight = height;
+        if (this.playerCollider) {
+            this.playerCollider.height = height;
+        }
+    }
+    
+    /**
+     * Take the floor and ceiling heights of every storey of a level
+     * @param {THREE.Group} levelGroup - Level group from LevelGenerator.generateLevel
+     */
+    setLevelBounds(levelGroup) {
+        const roomHeight = levelGroup.userData.model?.dimensions.roomHeight ?? 3;
+        this.storeyBounds = (levelGroup.userData.floors || []).map(floor => ({
+            floor: floor.elevation,
+            ceiling: floor.elevation + roomHeight
+        }));
+    }
+    
+    /**
+     * Add a collider around a mesh flagged userData.solid by a custom tile renderer
      * @param {THREE.Mesh} mesh - Wall mesh to add as collider
+     * @param {number} storey - Floor index the wall belongs to
      */
-    addWallCollider(mesh) {
+    addWallCollider(mesh, storey = 0) {
         // Get the position and size from mesh
         const box = new THREE.Box3().setFromObject(mesh);
-        const size = new THREE.Vector3();
-        box.getSize(size);
-        
+        this.addBoxCollider(box.getCenter(new THREE.Vector3()), box.getSize(new THREE.Vector3()), storey, mesh);
+    }
+    
+    /**
+     * Add a solid box
+     * @param {Object} position - Box center with x, y, z coordinates
+     * @param {Object} size - Box size with x, y, z components
+     * @param {number} storey - Floor index the box belongs to
+     * @param {Object} source - Mesh or object the box stands for, to enable or disable it later (optional)
+     * @returns {Object} The collider
+     */
+    addBoxCollider(position, size, storey = 0, source = null) {
         const collider = {
-            position: mesh.position.clone(),
-            size: size,
-            mesh: mesh // Store reference to the mesh
+            position: new THREE.Vector3(position.x, position.y, position.z),
+            size: new THREE.Vector3(size.x, size.y, size.z),
+            bounds: {
+                minX: position.x - size.x / 2,
+                maxX: position.x + size.x / 2,
+                minZ: position.z - size.z / 2,
+                maxZ: position.z + size.z / 2
+            },
+            storey: storey,
+            enabled: true,
+            mesh: source
         };
         
         this.colliders.push(collider);
+        if (source) {
+            this.colliderLookup.set(source, collider);
+        }
+        this.grids[storey]?.insert(collider);
         
-        // Add visual debug helper for wall collider
         if (this.debug) {
-            const helper = new THREE.Box3Helper(box, 0x00ff00);
-            this.collisionHelpers.add(helper);
+            const box = new THREE.Box3().setFromCenterAndSize(collider.position, collider.size);
+            this.collisionHelpers.add(new THREE.Box3Helper(box, 0x00ff00));
+        }
+        
+        return collider;
+    }
+    
+    /**
+     * Enable or disable the collider of a mesh at runtime (e.g. a door opening or closing)
+     * @param {THREE.Mesh} mesh - Mesh the collider was created from
+     * @param {boolean} enabled - Whether the collider should block movement
+     */
+    setColliderEnabled(mesh, enabled) {
+        const collider = this.colliderLookup.get(mesh);
+        if (collider) {
+            collider.enabled = enabled;
         }
     }
     
@@ -97,149 +173,544 @@ export class CollisionSystem {
     }
     
     /**
-     * Set the spatial hash grid for optimized collision detection
-     * @param {SpatialHashGrid} grid - The spatial grid
+     * Switch collision checks to another storey
+     * @param {number} storey - Floor index the player is now on
+     */
+    setStorey(storey) {
+        this.currentStorey = storey;
+    }
+    
+    /**
+     * Start counting the query cost of a new physics step
+     * The cost of the step before it moves to lastFrameStats
      */
-    setSpatialGrid(grid) {
-        this.spatialGrid = grid;
+    beginFrame() {
+        Object.assign(this.lastFrameStats, this.frameStats);
+        this.frameStats.queries = 0;
+        this.frameStats.cells = 0;
+        this.frameStats.candidates = 0;
+        this.frameStats.tests = 0;
     }
     
     /**
-     * Check for collisions with walls and adjust player position
-     * @param {THREE.Vector3} playerPosition - Current player position
+     * Check for collisions with walls, floor and ceiling and adjust player position
+     * @param {THREE.Vector3} playerPosition - Current player position (eye height)
      * @param {THREE.Vector3} proposedPosition - Proposed new position after movement
      * @returns {THREE.Vector3} Adjusted position after collision resolution
      */
     checkCollisions(playerPosition, proposedPosition) {
         if (!this.playerCollider) return proposedPosition;
         
-        // Create a temporary vector to hold our adjusted position
-        const adjustedPosition = proposedPosition.clone();
+        const adjustedPosition = this.resolveCollisions(
+            playerPosition, proposedPosition, this.playerRadius, this.currentStorey);
+        adjustedPosition.y = this.resolveVertical(playerPosition.y, proposedPosition.y, this.currentStorey);
         
-        // Reset collision check count for this frame
-        this.lastFrameCollisionChecks = 0;
+        return adjustedPosition;
+    }
+    
+    /**
+     * Keep the player between the floor and the ceiling of a storey
+     * The feet stay on or above the floor, the eyes (playerHeight above the feet) below the ceiling
+     * @param {number} currentY - Current eye height
+     * @param {number} proposedY - Proposed eye height after movement
+     * @param {number} storey - Floor index whose bounds apply
+     * @returns {number} Adjusted eye height (the current one if the storey's bounds are unknown)
+     */
+    resolveVertical(currentY, proposedY, storey) {
+        const bounds = this.storeyBounds[storey];
+        if (!bounds) return currentY;
         
-        // Determine which colliders to check based on spatial grid
-        let collidersToCheck = this.colliders;
+        return Math.min(Math.max(proposedY, bounds.floor + this.playerHeight), bounds.ceiling - this.headroom);
+    }
+    
+    /**
+     * Move a cylinder through the walls of a storey, sliding along the walls it meets
+     * The player goes through checkCollisions; anything else that walks the level
+     * (e.g. entities) calls this directly so it is held by the same walls.
+     * The circle is swept along the whole move, so a fast step can't pass through a
+     * thin wall. Each pass stops at the first wall hit and slides the rest of the move
+     * along it; walls hit at the same moment are ordered by their normal, so the result
+     * doesn't depend on the order colliders are found in.
+     * @param {THREE.Vector3} position - Current position
+     * @param {THREE.Vector3} proposedPosition - Proposed new position after movement
+     * @param {number} radius - Cylinder radius
+     * @param {number} storey - Floor index whose walls apply
+     * @returns {THREE.Vector3} Adjusted position after collision resolution
+     */
+    resolveCollisions(position, proposedPosition, radius, storey) {
+        const moveX = proposedPosition.x - position.x;
+        const moveZ = proposedPosition.z - position.z;
         
-        if (this.spatialGrid) {
-            // Only check nearby colliders using spatial grid
-            this.activeColliders.clear();
-            const nearbyObjects = this.spatialGrid.findNearbyObjects(
-                proposedPosition, 
-                this.maxCheckDistance
-            );
+        // Walls the circle could touch anywhere along the move
+        const reach = radius + this.skinWidth;
+        const boxes = this.getCollidersInArea(
+            Math.min(position.x, proposedPosition.x) - reach,
+            Math.min(position.z, proposedPosition.z) - reach,
+            Math.max(position.x, proposedPosition.x) + reach,
+            Math.max(position.z, proposedPosition.z) + reach,
+            storey
+        ).map(collider => collider.bounds);
+        
+        // Start from a free spot, in case something (e.g. a closing door) overlaps the cylinder
+        const point = this.depenetrate({ x: position.x, z: position.z }, radius, boxes);
+        const move = { x: moveX, z: moveZ };
+        
+        for (let pass = 0; pass < this.maxIterations; pass++) {
+            if (move.x === 0 && move.z === 0) break;
             
-            // Filter for only collider objects
-            for (const obj of nearbyObjects) {
-                // Find the matching collider from our colliders array (if it exists)
-                const matchingCollider = this.colliders.find(c => c.mesh === obj);
-                if (matchingCollider) {
-                    this.activeColliders.add(matchingCollider);
+            // First wall the circle touches on the way
+            let hit = null;
+            for (const box of boxes) {
+                this.frameStats.tests++;
+                
+                const boxHit = this.sweepCircle(point, move, radius, box);
+                if (boxHit && (!hit || this.isEarlierHit(boxHit, hit, move))) {
+                    hit = boxHit;
                 }
             }
             
-            collidersToCheck = Array.from(this.activeColliders);
-        }
-        
-        // Check each active wall collider
-        for (const collider of collidersToCheck) {
-            this.lastFrameCollisionChecks++;
-            this.totalCollisionChecks++;
+            if (!hit) {
+                point.x += move.x;
+                point.z += move.z;
+                move.x = 0;
+                move.z = 0;
+                break;
+            }
             
-            // Simple cylinder vs box collision check 
-            // (we only need horizontal collision, not vertical)
+            // Advance to the contact, kept a skin width off the wall
+            point.x += move.x * hit.time + hit.normalX * this.skinWidth;
+            point.z += move.z * hit.time + hit.normalZ * this.skinWidth;
             
-            // Get box extents
-            const halfSize = collider.size.clone().multiplyScalar(0.5);
-            const boxMin = collider.position.clone().sub(halfSize);
-            const boxMax = collider.position.clone().add(halfSize);
+            // Slide the rest of the move along the wall
+            const remainingX = move.x * (1 - hit.time);
+            const remainingZ = move.z * (1 - hit.time);
+            const into = remainingX * hit.normalX + remainingZ * hit.normalZ;
+            move.x = remainingX - hit.normalX * into;
+            move.z = remainingZ - hit.normalZ * into;
+        }
+        
+        // Keep original Y position, vertical movement is resolved by checkCollisions
+        return new THREE.Vector3(point.x, position.y, point.z);
+    }
+    
+    /**
+     * Find the enabled colliders of a storey that may overlap an area
+     * @param {number} minX - Area minimum X
+     * @param {number} minZ - Area minimum Z
+     * @param {number} maxX - Area maximum X
+     * @param {number} maxZ - Area maximum Z
+     * @param {number} storey - Floor index whose colliders apply
+     * @returns {Array<Object>} Colliders (all of the storey's when it has no collision grid)
+     */
+    getCollidersInArea(minX, minZ, maxX, maxZ, storey) {
+        this.frameStats.queries++;
+        
+        const grid = this.grids[storey];
+        if (!grid) {
+            this.frameStats.candidates += this.colliders.length;
+            return this.colliders.filter(c => c.enabled && c.storey === storey);
+        }
+        
+        const found = grid.query(minX, minZ, maxX, maxZ);
+        this.frameStats.cells += grid.lastQuery.cells;
+        this.frameStats.candidates += grid.lastQuery.candidates;
+        return found.filter(c => c.enabled);
+    }
+    
+    /**
+     * Push a circle out of the boxes it overlaps, deepest overlap first
+     * @param {Object} point - Circle center with x, z coordinates (moved in place)
+     * @param {number} radius - Circle radius
+     * @param {Array<Object>} boxes - Wall bounds { minX, maxX, minZ, maxZ }
+     * @returns {Object} The point
+     */
+    depenetrate(point, radius, boxes) {
+        for (let pass = 0; pass < this.maxIterations; pass++) {
+            let deepest = null;
             
-            // Create a 2D point for closest point test (ignoring Y axis)
-            const point2D = new THREE.Vector2(
-                adjustedPosition.x, 
-                adjustedPosition.z
-            );
+            for (const box of boxes) {
+                const push = this.getPenetration(point, radius, box);
+                if (push && (!deepest || push.depth > deepest.depth ||
+                    (push.depth === deepest.depth && this.compareNormals(push, deepest) < 0))) {
+                    deepest = push;
+                }
+            }
             
-            // Get box bounds in 2D (ignoring Y axis)
-            const boxMin2D = new THREE.Vector2(boxMin.x, boxMin.z);
-            const boxMax2D = new THREE.Vector2(boxMax.x, boxMax.z);
+            if (!deepest) break;
             
-            // Find closest point on box to cylinder center
-            const closestPoint = new THREE.Vector2(
-                Math.max(boxMin2D.x, Math.min(point2D.x, boxMax2D.x)),
-                Math.max(boxMin2D.y, Math.min(point2D.y, boxMax2D.y))
-            );
+            point.x += deepest.normalX * (deepest.depth + this.skinWidth);
+            point.z += deepest.normalZ * (deepest.depth + this.skinWidth);
+        }
+        
+        return point;
+    }
+    
+    /**
+     * Measure how far a circle overlaps a box
+     * @param {Object} point - Circle center with x, z coordinates
+     * @param {number} radius - Circle radius
+     * @param {Object} box - Wall bounds { minX, maxX, minZ, maxZ }
+     * @returns {Object|null} Overlap depth and the normal to push out along, or null when apart
+     */
+    getPenetration(point, radius, box) {
+        const closestX = Math.max(box.minX, Math.min(point.x, box.maxX));
+        const closestZ = Math.max(box.minZ, Math.min(point.z, box.maxZ));
+        const distance = Math.hypot(point.x - closestX, point.z - closestZ);
+        
+        if (distance >= radius) return null;
+        
+        if (distance > 0) {
+            return {
+                depth: radius - distance,
+                normalX: (point.x - closestX) / distance,
+                normalZ: (point.z - closestZ) / distance
+            };
+        }
+        
+        // The center is inside the box: leave through the nearest side
+        const sides = [
+            { depth: point.x - box.minX, normalX: -1, normalZ: 0 },
+            { depth: box.maxX - point.x, normalX: 1, normalZ: 0 },
+            { depth: point.z - box.minZ, normalX: 0, normalZ: -1 },
+            { depth: box.maxZ - point.z, normalX: 0, normalZ: 1 }
+        ];
+        const side = sides.reduce((nearest, candidate) => candidate.depth < nearest.depth ? candidate : nearest);
+        return { depth: side.depth + radius, normalX: side.normalX, normalZ: side.normalZ };
+    }
+    
+    /**
+     * Sweep a circle along a move against a box
+     * Works on the box grown by the radius, with rounded corners (the shape the circle's
+     * center can't enter), so sliding around a corner is smooth instead of catching on it
+     * @param {Object} point - Circle center with x, z coordinates
+     * @param {Object} move - Movement with x, z components
+     * @param {number} radius - Circle radius
+     * @param {Object} box - Wall bounds { minX, maxX, minZ, maxZ }
+     * @returns {Object|null} Hit time (0 to 1 along the move) and wall normal, or null when the move is free
+     */
+    sweepCircle(point, move, radius, box) {
+        // Slab test against the grown box
+        let enter = -Infinity;
+        let exit = Infinity;
+        let enterNormalX = 0;
+        let enterNormalZ = 0;
+        
+        const axes = [
+            { origin: point.x, delta: move.x, min: box.minX - radius, max: box.maxX + radius, x: 1, z: 0 },
+            { origin: point.z, delta: move.z, min: box.minZ - radius, max: box.maxZ + radius, x: 0, z: 1 }
+        ];
+        for (const axis of axes) {
+            if (axis.delta === 0) {
+                if (axis.origin <= axis.min || axis.origin >= axis.max) return null;
+                continue;
+            }
             
-            // Calculate distance from closestPoint to cylinder center
-            const distance = point2D.distanceTo(closestPoint);
+            let near = (axis.min - axis.origin) / axis.delta;
+            let far = (axis.max - axis.origin) / axis.delta;
+            const side = axis.delta > 0 ? -1 : 1;
+            if (near > far) [near, far] = [far, near];
             
-            // If distance is less than cylinder radius, we have a collision
-            if (distance < this.playerRadius) {
-                // Calculate penetration depth
-                const penetration = this.playerRadius - distance;
+            if (near > enter) {
+                enter = near;
+                enterNormalX = axis.x * side;
+                enterNormalZ = axis.z * side;
+            }
+            exit = Math.min(exit, far);
+        }
+        
+        if (enter > exit || exit <= 0 || enter > 1) return null;
+        
+        // Where the center meets the grown box (or already is, when it starts inside it)
+        const time = Math.max(enter, 0);
+        const hitX = point.x + move.x * time;
+        const hitZ = point.z + move.z * time;
+        
+        // Past both edges of the box means a rounded corner
+        const cornerX = hitX < box.minX ? box.minX : (hitX > box.maxX ? box.maxX : null);
+        const cornerZ = hitZ < box.minZ ? box.minZ : (hitZ > box.maxZ ? box.maxZ : null);
+        if (cornerX !== null && cornerZ !== null) {
+            return this.sweepCorner(point, move, radius, cornerX, cornerZ);
+        }
+        
+        if (enter < 0) {
+            // Touching a side already (within the skin): only moving into it is blocked
+            const touching = this.getPenetration(point, radius, box);
+            if (!touching || move.x * touching.normalX + move.z * touching.normalZ >= 0) return null;
+            return { time: 0, normalX: touching.normalX, normalZ: touching.normalZ };
+        }
+        
+        return { time, normalX: enterNormalX, normalZ: enterNormalZ };
+    }
+    
+    /**
+     * Sweep a circle's center against one rounded corner of a grown box
+     * @param {Object} point - Circle center with x, z coordinates
+     * @param {Object} move - Movement with x, z components
+     * @param {number} radius - Circle radius, the corner's rounding
+     * @param {number} cornerX - X of the box corner
+     * @param {number} cornerZ - Z of the box corner
+     * @returns {Object|null} Hit time and normal, or null when the move misses the corner
+     */
+    sweepCorner(point, move, radius, cornerX, cornerZ) {
+        const offsetX = point.x - cornerX;
+        const offsetZ = point.z - cornerZ;
+        const a = move.x * move.x + move.z * move.z;
+        const b = offsetX * move.x + offsetZ * move.z;
+        const c = offsetX * offsetX + offsetZ * offsetZ - radius * radius;
+        
+        if (c <= 0) {
+            // Already touching the corner: only moving into it is blocked
+            const distance = Math.hypot(offsetX, offsetZ);
+            if (b >= 0 || distance === 0) return null;
+            return { time: 0, normalX: offsetX / distance, normalZ: offsetZ / distance };
+        }
+        
+        const discriminant = b * b - a * c;
+        if (b >= 0 || discriminant < 0) return null;
+        
+        const time = (-b - Math.sqrt(discriminant)) / a;
+        if (time > 1) return null;
+        
+        return {
+            time,
+            normalX: (offsetX + move.x * time) / radius,
+            normalZ: (offsetZ + move.z * time) / radius
+        };
+    }
+    
+    /**
+     * Order two hits: the earlier one first, then the one facing the move most squarely
+     * @param {Object} hit - Candidate hit
+     * @param {Object} best - Earliest hit so far
+     * @param {Object} move - Movement with x, z components
+     * @returns {boolean} True when the candidate comes first
+     */
+    isEarlierHit(hit, best, move) {
+        if (hit.time !== best.time) return hit.time < best.time;
+        
+        const facing = move.x * hit.normalX + move.z * hit.normalZ;
+        const bestFacing = move.x * best.normalX + move.z * best.normalZ;
+        if (facing !== bestFacing) return facing < bestFacing;
+        
+        return this.compareNormals(hit, best) < 0;
+    }
+    
+    // Fixed order of normals, for ties between otherwise equal contacts
+    compareNormals(a, b) {
+        return a.normalX - b.normalX || a.normalZ - b.normalZ;
+    }
+    
+    /**
+     * Cast a ray through a storey and find the first wall, door, floor or ceiling it hits
+     * Walls are found by walking the storey's collision grid cell by cell from the origin,
+     * so only the cells along the ray are tested. Walls count as reaching from floor to
+     * ceiling; open doors don't block.
+     * @param {THREE.Vector3} origin - Ray origin in world space
+     * @param {THREE.Vector3} direction - Ray direction (need not be normalized)
+     * @param {number} maxDistance - Longest distance to look (defaults to unlimited)
+     * @param {number} storey - Floor index to cast in (defaults to the player's storey)
+     * @returns {Object|null} Hit: { point, normal, distance, surface ('wall', 'floor' or 'ceiling'),
+     *                        collider, object (mesh, door or model wall hit, null for floor and ceiling) },
+     *                        or null when nothing is hit
+     */
+    raycast(origin, direction, maxDistance = Infinity, storey = this.currentStorey) {
+        const length = direction.length();
+        if (length === 0) return null;
+        
+        const dirX = direction.x / length;
+        const dirY = direction.y / length;
+        const dirZ = direction.z / length;
+        let hit = null;
+        
+        if (dirX !== 0 || dirZ !== 0) {
+            const wallHit = this.castWalls(origin.x, origin.z, dirX, dirZ, maxDistance, storey);
+            if (wallHit) {
+                hit = {
+                    distance: wallHit.time,
+                    normal: new THREE.Vector3(wallHit.normalX, 0, wallHit.normalZ),
+                    surface: 'wall',
+                    collider: wallHit.collider
+                };
+            }
+        }
+        
+        // Floor below or ceiling above
+        const bounds = this.storeyBounds[storey];
+        if (bounds && dirY !== 0) {
+            const planeY = dirY < 0 ? bounds.floor : bounds.ceiling;
+            const distance = Math.max(0, (planeY - origin.y) / dirY);
+            if (distance <= maxDistance && (!hit || distance < hit.distance)) {
+                hit = {
+                    distance,
+                    normal: new THREE.Vector3(0, dirY < 0 ? 1 : -1, 0),
+                    surface: dirY < 0 ? 'floor' : 'ceiling',
+                    collider: null
+                };
+            }
+        }
+        
+        if (!hit) return null;
+        
+        hit.point = new THREE.Vector3(
+            origin.x + dirX * hit.distance,
+            origin.y + dirY * hit.distance,
+            origin.z + dirZ * hit.distance
+        );
+        hit.object = hit.collider?.mesh ?? null;
+        return hit;
+    }
+    
+    /**
+     * Find the first thing between two points
+     * @param {THREE.Vector3} from - Segment start
+     * @param {THREE.Vector3} to - Segment end
+     * @param {number} storey - Floor index to test in (defaults to the player's storey)
+     * @returns {Object|null} Hit as returned by raycast, or null when the segment is clear
+     */
+    segmentTest(from, to, storey = this.currentStorey) {
+        const direction = new THREE.Vector3().subVectors(to, from);
+        return this.raycast(from, direction, direction.length(), storey);
+    }
+    
+    /**
+     * Check whether one point can see another (no wall, closed door, floor or ceiling between them)
+     * @param {THREE.Vector3} from - Viewer position
+     * @param {THREE.Vector3} to - Target position
+     * @param {number} storey - Floor index both points are on (defaults to the player's storey)
+     * @returns {boolean} True when the line between them is clear
+     */
+    hasLineOfSight(from, to, storey = this.currentStorey) {
+        return this.segmentTest(from, to, storey) === null;
+    }
+    
+    /**
+     * Find the nearest wall box a horizontal ray hits
+     * @param {number} originX - Ray origin X
+     * @param {number} originZ - Ray origin Z
+     * @param {number} dirX - Direction X
+     * @param {number} dirZ - Direction Z
+     * @param {number} maxT - Longest ray parameter to accept
+     * @param {number} storey - Floor index whose walls apply
+     * @returns {Object|null} Hit time, normal and collider
+     */
+    castWalls(originX, originZ, dirX, dirZ, maxT, storey) {
+        let best = null;
+        const testColliders = (colliders) => {
+            for (const collider of colliders) {
+                if (!collider.enabled || collider.storey !== storey) continue;
+                this.frameStats.tests++;
                 
-                // If we're colliding
-                if (penetration > 0 && distance > 0) {
-                    // Direction from closest point to cylinder center
-                    const direction = new THREE.Vector2(
-                        point2D.x - closestPoint.x,
-                        point2D.y - closestPoint.y
-                    ).normalize();
-                    
-                    // Adjust position by penetration along collision normal
-                    adjustedPosition.x += direction.x * penetration;
-                    adjustedPosition.z += direction.y * penetration;
-                } 
-                // Special case for when we're directly inside the box
-                else if (distance === 0) {
-                    // Find the shallowest penetration axis to push out
-                    const dists = [
-                        adjustedPosition.x - boxMin.x, // distance to left edge
-                        boxMax.x - adjustedPosition.x, // distance to right edge
-                        adjustedPosition.z - boxMin.z, // distance to bottom edge
-                        boxMax.z - adjustedPosition.z  // distance to top edge
-                    ];
-                    
-                    // Find minimum penetration distance and axis
-                    let minDist = dists[0];
-                    let minAxis = 0;
-                    
-                    for (let i = 1; i < 4; i++) {
-                        if (dists[i] < minDist) {
-                            minDist = dists[i];
-                            minAxis = i;
-                        }
-                    }
-                    
-                    // Push out along minimum penetration axis
-                    switch (minAxis) {
-                        case 0: adjustedPosition.x = boxMin.x - this.playerRadius; break;
-                        case 1: adjustedPosition.x = boxMax.x + this.playerRadius; break;
-                        case 2: adjustedPosition.z = boxMin.z - this.playerRadius; break;
-                        case 3: adjustedPosition.z = boxMax.z + this.playerRadius; break;
-                    }
+                const hit = this.rayBox(originX, originZ, dirX, dirZ, collider.bounds);
+                if (hit && hit.time <= maxT &&
+                    (!best || hit.time < best.time || (hit.time === best.time && this.compareNormals(hit, best) < 0))) {
+                    best = { ...hit, collider };
                 }
             }
+        };
+        
+        this.frameStats.queries++;
+        const grid = this.grids[storey];
+        if (!grid) {
+            this.frameStats.candidates += this.colliders.length;
+            testColliders(this.colliders);
+            return best;
         }
         
-        // Keep original Y position
-        adjustedPosition.y = playerPosition.y;
+        // Boxes can reach into the next cells, so a hit only ends the walk once it lies
+        // within the cell the ray is leaving
+        grid.traverseRay(originX, originZ, dirX, dirZ, maxT, (colliders, exit) => {
+            testColliders(colliders);
+            return best !== null && best.time <= exit;
+        });
+        this.frameStats.cells += grid.lastQuery.cells;
+        this.frameStats.candidates += grid.lastQuery.candidates;
         
-        return adjustedPosition;
+        return best;
     }
     
     /**
-     * Extract colliders from a level group
-     * @param {THREE.Group} levelGroup - Group containing level meshes
+     * Intersect a ray with a box in the XZ plane
+     * @param {number} originX - Ray origin X
+     * @param {number} originZ - Ray origin Z
+     * @param {number} dirX - Direction X
+     * @param {number} dirZ - Direction Z
+     * @param {Object} box - Wall bounds { minX, maxX, minZ, maxZ }
+     * @returns {Object|null} Entry time and the normal of the side entered (time 0 facing back
+     *                        along the ray when starting inside), or null on a miss
      */
-    extractCollidersFromLevel(levelGroup) {
-        levelGroup.traverse((object) => {
-            // Only add colliders for walls (not floor, ceiling, etc.)
-            if (object.isMesh && object.name !== 'floor' && 
-                object.name !== 'ceiling') {
-                this.addWallCollider(object);
+    rayBox(originX, originZ, dirX, dirZ, box) {
+        let enter = -Infinity;
+        let exit = Infinity;
+        let normalX = 0;
+        let normalZ = 0;
+        
+        const axes = [
+            [originX, dirX, box.minX, box.maxX, 1, 0],
+            [originZ, dirZ, box.minZ, box.maxZ, 0, 1]
+        ];
+        for (const [origin, direction, min, max, x, z] of axes) {
+            if (direction === 0) {
+                if (origin < min || origin > max) return null;
+                continue;
             }
+            
+            const near = ((direction > 0 ? min : max) - origin) / direction;
+            const far = ((direction > 0 ? max : min) - origin) / direction;
+            if (near > enter) {
+                const side = direction > 0 ? -1 : 1;
+                enter = near;
+                normalX = x ? side : 0;
+                normalZ = z ? side : 0;
+            }
+            exit = Math.min(exit, far);
+        }
+        
+        if (enter > exit || exit < 0) return null;
+        
+        if (enter < 0) {
+            // Starting inside the box
+            const length = Math.hypot(dirX, dirZ);
+            return { time: 0, normalX: -dirX / length, normalZ: -dirZ / length };
+        }
+        
+        return { time: enter, normalX, normalZ };
+    }
+    
+    /**
+     * Build the colliders of a level from its model, one collision grid per storey
+     * Solid are the model's wall blocks and wall sections, doors (switched off while
+     * open, see setColliderEnabled) and meshes flagged userData.solid, which is how
+     * custom tile renderers add obstacles. Nothing else blocks.
+     * @param {THREE.Group} levelGroup - Level group from LevelGenerator.generateLevel
+     */
+    extractCollidersFromLevel(levelGroup) {
+        const { model, floors } = levelGroup.userData;
+        this.setLevelBounds(levelGroup);
+        
+        model.floors.forEach(floorModel => {
+            const storey = floorModel.index;
+            this.grids[storey] = new CollisionGrid(
+                floorModel.bounds, floorModel.width, floorModel.depth, model.dimensions.corridorWidth);
+            
+            // The model's wall block or segment is what a ray cast reports as hit
+            floorModel.wallBlocks.forEach(block => this.addBoxCollider(block.position, block.size, storey, block));
+            floorModel.wallSegments.forEach(segment => this.addBoxCollider(segment.position, segment.size, storey, segment));
+            
+            floors[storey].group.traverse((object) => {
+                if (object.userData.solid === true) {
+                    this.addWallCollider(object, storey);
+                }
+            });
+        });
+        
+        // Doors block at their closed position
+        levelGroup.userData.doors.forEach(door => {
+            const size = {
+                x: door.halfExtents.x * 2,
+                y: model.dimensions.doorHeight,
+                z: door.halfExtents.z * 2
+            };
+            this.addBoxCollider(door.closedPosition, size, door.storey, door.mesh);
         });
     }
     
@@ -248,9 +719,18 @@ export class CollisionSystem {
      */
     clear() {
         this.colliders = [];
+        this.colliderLookup.clear();
+        this.grids = [];
         this.playerCollider = null;
+        this.currentStorey = 0;
+        this.storeyBounds = [];
         
         if (this.debug) {
+            // Helpers own their geometry and material, free them with the helpers
+            this.collisionHelpers.children.forEach(helper => {
+                helper.geometry?.dispose();
+                helper.material?.dispose();
+            });
             this.collisionHelpers.clear();
         }
     }
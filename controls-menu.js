@@ -0,0 +1,169 @@
+import { ACTIONS, RESERVED_KEYS, bindKey, formatKey, resolveBindings } from './input-bindings.js';
+
+/**
+ * Settings screen for key bindings and gamepad sticks
+ * Click a binding, then press the key to use for it (Escape cancels). Changes are
+ * reported as settings changes; the caller stores them and shows the menu again.
+ */
+export class ControlsMenu {
+    /**
+     * @param {Function} onChange - Called with the settings to change, e.g. { keyBindings }
+     */
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.settings = null;
+
+        // Key listener while waiting for a new binding
+        this.pendingListener = null;
+
+        this.element = document.createElement("div");
+        Object.assign(this.element.style, {
+            position: "absolute",
+            top: "0",
+            left: "0",
+            width: "100%",
+            height: "100%",
+            display: "none",
+            flexDirection: "column",
+            alignItems: "center",
+            justifyContent: "center",
+            backgroundColor: "rgba(0, 0, 0, 0.85)",
+            color: "white",
+            fontFamily: "Arial, sans-serif",
+            zIndex: "30"
+        });
+        // Clicks on the menu must not grab the pointer lock
+        this.element.addEventListener("click", (e) => e.stopPropagation());
+
+        const title = document.createElement("h1");
+        title.textContent = "Controls";
+
+        this.list = document.createElement("div");
+        this.list.style.width = "min(420px, 90%)";
+
+        this.gamepad = document.createElement("div");
+        this.gamepad.style.width = "min(420px, 90%)";
+        this.gamepad.style.marginTop = "12px";
+
+        const help = document.createElement("p");
+        help.style.fontSize = "13px";
+        help.textContent = "Gamepad: left stick moves, right stick looks, A jumps, B crouches, " +
+            "X uses doors, Y opens the automap, L3 or LB sprints";
+
+        const resetButton = document.createElement("button");
+        resetButton.textContent = "Reset keys";
+        resetButton.style.padding = "8px 16px";
+        resetButton.addEventListener("click", () => this.onChange({ keyBindings: {} }));
+
+        const backButton = document.createElement("button");
+        backButton.textContent = "Back";
+        backButton.style.marginLeft = "12px";
+        backButton.style.padding = "8px 16px";
+        backButton.addEventListener("click", () => this.hide());
+
+        const buttons = document.createElement("div");
+        buttons.style.marginTop = "16px";
+        buttons.append(resetButton, backButton);
+
+        this.element.append(title, this.list, this.gamepad, help, buttons);
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Show the menu, or refresh it after a change
+     * @param {Object} settings - Player settings (keyBindings, gamepadDeadZone, gamepadLookSensitivity)
+     */
+    show(settings) {
+        this.cancelRebind();
+        this.settings = settings;
+
+        const bindings = resolveBindings(settings.keyBindings);
+        this.list.replaceChildren(...Object.entries(ACTIONS).map(([action, { label }]) =>
+            this.createEntry(action, label, bindings[action])));
+
+        this.gamepad.replaceChildren(
+            this.createSlider("Stick dead zone", "gamepadDeadZone", 0, 0.5, 0.05),
+            this.createSlider("Stick look sensitivity", "gamepadLookSensitivity", 0.2, 3, 0.1)
+        );
+
+        this.element.style.display = "flex";
+    }
+
+    hide() {
+        this.cancelRebind();
+        this.element.style.display = "none";
+    }
+
+    isVisible() {
+        return this.element.style.display !== "none";
+    }
+
+    createEntry(action, label, codes) {
+        const entry = document.createElement("div");
+        Object.assign(entry.style, {
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            margin: "4px 0"
+        });
+
+        const button = document.createElement("button");
+        button.textContent = codes.length > 0 ? codes.map(formatKey).join(" / ") : "Unbound";
+        button.style.minWidth = "160px";
+        button.style.padding = "4px 10px";
+        button.addEventListener("click", () => this.startRebind(action, button));
+
+        entry.append(label, button);
+        return entry;
+    }
+
+    createSlider(label, key, min, max, step) {
+        const slider = document.createElement("input");
+        slider.type = "range";
+        slider.min = String(min);
+        slider.max = String(max);
+        slider.step = String(step);
+        slider.value = String(this.settings[key]);
+        slider.addEventListener("change", () => this.onChange({ [key]: Number(slider.value) }));
+
+        const entry = document.createElement("label");
+        Object.assign(entry.style, {
+            display: "flex",
+            justifyContent: "space-between",
+            margin: "4px 0"
+        });
+        entry.append(label, slider);
+        return entry;
+    }
+
+    /**
+     * Wait for the next key press and bind it to an action
+     * The key press is kept from the game (it is caught before anything else sees it)
+     * @param {string} action - Action name
+     * @param {HTMLButtonElement} button - Binding button to show the prompt on
+     */
+    startRebind(action, button) {
+        this.cancelRebind();
+        button.textContent = "Press a key...";
+
+        this.pendingListener = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.cancelRebind();
+
+            if (RESERVED_KEYS.includes(e.code)) {
+                this.show(this.settings);
+                return;
+            }
+            this.onChange({ keyBindings: bindKey(this.settings.keyBindings, action, e.code) });
+        };
+        window.addEventListener("keydown", this.pendingListener, true);
+    }
+
+    cancelRebind() {
+        if (this.pendingListener) {
+            window.removeEventListener("keydown", this.pendingListener, true);
+            this.pendingListener = null;
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,194 @@
+/**
+ * Runtime handling of doors and keycards built by the level generator
+ * Opening a door disables its collider and removes it from the spatial grid,
+ * closing it puts both back so the door blocks again
+ */
+export class DoorSystem {
+    /**
+     * @param {CollisionSystem} collisionSystem - Collision system holding the door colliders
+     */
+    constructor(collisionSystem) {
+        this.collisionSystem = collisionSystem;
+        this.doors = [];
+        this.keycards = [];
+
+        // Keys the player is carrying
+        this.inventory = new Set();
+
+        // Interaction settings
+        this.interactDistance = 1.8; // How close the player must be to use a door
+        this.pickupDistance = 1.0; // How close the player must be to pick up a keycard
+        this.doorSpeed = 2.5; // Units per second while a door slides
+        this.keycardSpinSpeed = 2; // Radians per second
+    }
+
+    /**
+     * Take over the doors and keycards of a newly generated level
+     * @param {THREE.Group} levelGroup - Level group from LevelGenerator.generateLevel
+     */
+    setupFromLevel(levelGroup) {
+        this.clear();
+
+        const floors = levelGroup.userData.floors;
+        this.doors = levelGroup.userData.doors.map(door => ({
+            ...door,
+            spatialGrid: floors[door.storey].spatialGrid,
+            open: false,
+            progress: 0 // 0 = closed, 1 = fully open
+        }));
+        this.keycards = levelGroup.userData.keycards.map(keycard => ({
+            ...keycard,
+            collected: false
+        }));
+    }
+
+    /**
+     * Pick up keycards the player walks into and animate sliding doors
+     * @param {THREE.Vector3} playerPosition - Current player position
+     * @param {number} storey - Storey the player is on
+     * @param {number} timeElapsedS - Time step in seconds
+     */
+    update(playerPosition, storey, timeElapsedS) {
+        for (const keycard of this.keycards) {
+            if (keycard.collected) continue;
+
+            keycard.mesh.rotation.y += this.keycardSpinSpeed * timeElapsedS;
+
+            if (keycard.storey === storey &&
+                this.horizontalDistance(playerPosition, keycard.mesh.position) < this.pickupDistance) {
+                keycard.collected = true;
+                keycard.mesh.visible = false;
+                this.inventory.add(keycard.key);
+                console.log(`Picked up ${keycard.key} keycard`);
+            }
+        }
+
+        for (const door of this.doors) {
+            const target = door.open ? 1 : 0;
+            if (door.progress === target) continue;
+
+            const step = (this.doorSpeed * timeElapsedS) / door.slideDistance;
+            door.progress = target > door.progress ?
+                Math.min(target, door.progress + step) :
+                Math.max(target, door.progress - step);
+
+            door.mesh.position[door.slideAxis] =
+                door.closedPosition[door.slideAxis] + door.progress * door.slideDistance;
+        }
+    }
+
+    /**
+     * Open or close the nearest door in reach
+     * @param {THREE.Vector3} playerPosition - Current player position
+     * @param {number} storey - Storey the player is on
+     * @param {Array<Object>} actors - Other actors { position, storey, radius } a door must not close on
+     * @returns {{door: Object, result: string}|null} What happened ('opened', 'closed',
+     *          'locked' or 'blocked'), or null if no door is in reach
+     */
+    interact(playerPosition, storey, actors = []) {
+        const door = this.findNearestDoor(playerPosition, storey);
+        if (!door) return null;
+
+        if (door.open) {
+            // Never close a door on top of the player or an entity
+            const inTheWay = this.isBlocking(door, playerPosition) || actors.some(actor =>
+                actor.storey === door.storey && this.isBlocking(door, actor.position, actor.radius));
+            if (inTheWay) {
+                return { door, result: 'blocked' };
+            }
+            this.closeDoor(door);
+            return { door, result: 'closed' };
+        }
+
+        if (door.lock && !this.inventory.has(door.lock)) {
+            return { door, result: 'locked' };
+        }
+
+        this.openDoor(door);
+        return { door, result: 'opened' };
+    }
+
+    /**
+     * Find the closest door on a storey within interaction distance
+     * @param {THREE.Vector3} position - Position to search from
+     * @param {number} storey - Storey to search on
+     * @returns {Object|null} Door entry
+     */
+    findNearestDoor(position, storey) {
+        let nearest = null;
+        let nearestDistance = this.interactDistance;
+
+        for (const door of this.doors) {
+            if (door.storey !== storey) continue;
+
+            const distance = this.horizontalDistance(position, door.closedPosition);
+            if (distance < nearestDistance) {
+                nearest = door;
+                nearestDistance = distance;
+            }
+        }
+
+        return nearest;
+    }
+
+    /**
+     * Check whether the door in a cell is open
+     * @param {number} x - Grid X
+     * @param {number} z - Grid Z
+     * @param {number} storey - Storey of the cell
+     * @returns {boolean} True if there is a door in the cell and it is open
+     */
+    isOpen(x, z, storey) {
+        return this.doors.some(door => door.storey === storey && door.cell.x === x && door.cell.z === z && door.open);
+    }
+
+    /**
+     * Open a door: it stops blocking straight away
+     * @param {Object} door - Door entry
+     */
+    openDoor(door) {
+        door.open = true;
+        this.collisionSystem.setColliderEnabled(door.mesh, false);
+        door.spatialGrid.removeObject(door.mesh);
+    }
+
+    /**
+     * Close a door: it blocks again straight away
+     * @param {Object} door - Door entry
+     */
+    closeDoor(door) {
+        door.open = false;
+        this.collisionSystem.setColliderEnabled(door.mesh, true);
+        door.spatialGrid.insertObject(door.mesh, door.closedPosition,
+            { x: door.halfExtents.x * 2, z: door.halfExtents.z * 2 });
+    }
+
+    /**
+     * Check whether something standing at a position would overlap the closed door
+     * @param {Object} door - Door entry
+     * @param {THREE.Vector3} position - Player or entity position
+     * @param {number} radius - Its collision radius (defaults to the player's)
+     * @returns {boolean} True if the closed door would intersect it
+     */
+    isBlocking(door, position, radius = this.collisionSystem.playerRadius) {
+        return Math.abs(position.x - door.closedPosition.x) < door.halfExtents.x + radius &&
+            Math.abs(position.z - door.closedPosition.z) < door.halfExtents.z + radius;
+    }
+
+    /**
+     * Distance between two positions ignoring height
+     * @returns {number} Distance in the XZ plane
+     */
+    horizontalDistance(a, b) {
+        return Math.hypot(a.x - b.x, a.z - b.z);
+    }
+
+    /**
+     * Forget all doors, keycards and carried keys
+     */
+    clear() {
+        this.doors = [];
+        this.keycards = [];
+        this.inventory.clear();
+    }
+}
\ No newline at end of file
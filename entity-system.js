@@ -0,0 +1,303 @@
+import * as THREE from 'three';
+import { ResourceManager } from './resource-manager.js';
+import { TileRegistry } from './tile-registry.js';
+import { SeededRandom } from './seeded-random.js';
+
+/**
+ * Behaviour settings of an entity, each can be overridden per entity in the level's "entities"
+ */
+export const ENTITY_DEFAULTS = {
+    speed: 1.2, // Patrol speed in units per second
+    chaseSpeed: 2.2, // Speed while chasing the player
+    sightRange: 8, // How many cells along a corridor the entity can see
+    catchDistance: 0.8, // Distance at which the entity catches the player
+    patrol: null // Cells ([x, z]) to patrol in order, null wanders between random cells
+};
+
+// Collision radius of an entity
+export const ENTITY_RADIUS = 0.35;
+
+// Grid neighbours (north, east, south, west)
+const NEIGHBOURS = [
+    { x: 0, z: -1 },
+    { x: 1, z: 0 },
+    { x: 0, z: 1 },
+    { x: -1, z: 0 }
+];
+
+/**
+ * Roaming entities that patrol the level and hunt the player
+ * Entities walk from cell to cell along grid paths, spot the player down straight
+ * corridors (same row or column, nothing solid or a closed door in between), chase
+ * them and catch them on contact. They are pushed out of walls by the same
+ * colliders that hold the player and stay on the storey they spawned on.
+ */
+export class EntitySystem {
+    /**
+     * @param {CollisionSystem} collisionSystem - Collision system holding the wall colliders
+     * @param {DoorSystem} doorSystem - Door system, closed doors block entities
+     */
+    constructor(collisionSystem, doorSystem) {
+        this.collisionSystem = collisionSystem;
+        this.doorSystem = doorSystem;
+        this.resourceManager = new ResourceManager();
+        this.entities = [];
+        this.floors = [];
+        this.cellSize = 2;
+        this.rng = new SeededRandom(1);
+    }
+
+    /**
+     * Spawn the entities of a newly generated level
+     * @param {THREE.Group} levelGroup - Level group from LevelGenerator.generateLevel
+     */
+    setupFromLevel(levelGroup) {
+        this.clear();
+
+        const model = levelGroup.userData.model;
+        const levelData = levelGroup.userData.levelData;
+        const registry = new TileRegistry();
+
+        this.cellSize = model.dimensions.corridorWidth;
+        this.floors = model.floors.map((floorModel, index) => {
+            const tiles = registry.resolveLegend(floorModel.legend);
+            return {
+                width: floorModel.width,
+                depth: floorModel.depth,
+                walkable: floorModel.grid.map(row => row.map(cell => !!tiles.get(cell)?.walkable)),
+                group: levelGroup.userData.floors[index].group
+            };
+        });
+
+        // Wandering is seeded by the level, so every run of a level plays out alike
+        this.rng = new SeededRandom(levelData?.seed ?? levelData?.textureSeed ?? 1);
+
+        const geometry = this.resourceManager.getGeometry('entity_body', () => {
+            return new THREE.CapsuleGeometry(ENTITY_RADIUS, 1.0, 4, 12);
+        });
+        const material = this.resourceManager.getMaterial('entity', () => {
+            return new THREE.MeshStandardMaterial({
+                color: 0x301010,
+                emissive: 0xc01010,
+                emissiveIntensity: 0.6,
+                roughness: 0.6
+            });
+        });
+
+        for (const spawn of model.entities) {
+            const floor = this.floors[spawn.floor];
+            if (!floor) continue;
+
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.name = "entity";
+            mesh.position.set(spawn.position.x, 0.85, spawn.position.z);
+            floor.group.add(mesh);
+
+            this.entities.push({
+                ...ENTITY_DEFAULTS,
+                ...spawn.settings,
+                mesh,
+                floor: spawn.floor,
+                position: new THREE.Vector3(spawn.position.x, 0, spawn.position.z),
+                state: 'patrol',
+                path: [],
+                patrolIndex: 0,
+                lastSeen: null
+            });
+        }
+    }
+
+    /**
+     * Move every entity one step
+     * @param {THREE.Vector3} playerPosition - Current player position
+     * @param {number} playerStorey - Storey the player is on
+     * @param {number} timeElapsedS - Time step in seconds
+     * @returns {Object|null} The entity that caught the player this step, if any
+     */
+    update(playerPosition, playerStorey, timeElapsedS) {
+        const playerCell = this.worldToCell(playerPosition);
+        let caughtBy = null;
+
+        for (const entity of this.entities) {
+            const sameStorey = entity.floor === playerStorey;
+
+            if (sameStorey && this.canSee(entity, playerCell)) {
+                // Spotted: head for the player's cell, re-planning whenever they move on
+                if (entity.state !== 'chase' || !sameCell(entity.lastSeen, playerCell)) {
+                    entity.state = 'chase';
+                    entity.lastSeen = playerCell;
+                    entity.path = this.findPath(entity, playerCell) || [];
+                }
+            } else if (entity.path.length === 0) {
+                // Lost the player (or finished a patrol leg): pick the next patrol target
+                entity.state = 'patrol';
+                entity.lastSeen = null;
+                entity.path = this.findPath(entity, this.nextPatrolCell(entity)) || [];
+            }
+
+            this.moveAlongPath(entity, timeElapsedS);
+
+            if (sameStorey && !caughtBy) {
+                const dx = playerPosition.x - entity.position.x;
+                const dz = playerPosition.z - entity.position.z;
+                if (Math.hypot(dx, dz) < entity.catchDistance) {
+                    caughtBy = entity;
+                }
+            }
+        }
+
+        return caughtBy;
+    }
+
+    /**
+     * Step an entity towards the next cell of its path
+     */
+    moveAlongPath(entity, timeElapsedS) {
+        const next = entity.path[0];
+        if (!next) return;
+
+        // A door closed in the way: plan again next step
+        if (this.isDoorClosed(entity.floor, next.x, next.z)) {
+            entity.path = [];
+            return;
+        }
+
+        const target = new THREE.Vector3(next.x * this.cellSize, 0, next.z * this.cellSize);
+        const toTarget = target.clone().sub(entity.position);
+        const distance = toTarget.length();
+        const step = (entity.state === 'chase' ? entity.chaseSpeed : entity.speed) * timeElapsedS;
+
+        if (distance <= step) {
+            entity.position.copy(target);
+            entity.path.shift();
+        } else {
+            const proposed = entity.position.clone().addScaledVector(toTarget, step / distance);
+            entity.position.copy(this.collisionSystem.resolveCollisions(
+                entity.position, proposed, ENTITY_RADIUS, entity.floor));
+        }
+
+        entity.mesh.position.set(entity.position.x, entity.mesh.position.y, entity.position.z);
+        if (distance > 0) {
+            entity.mesh.rotation.y = Math.atan2(-toTarget.x, -toTarget.z);
+        }
+    }
+
+    /**
+     * Check whether an entity sees a cell straight down a corridor
+     * @param {Object} entity - Entity
+     * @param {{x: number, z: number}} cell - Cell to look at
+     * @returns {boolean} True if the cell is in the same row or column, in range and in clear view
+     */
+    canSee(entity, cell) {
+        const from = this.worldToCell(entity.position);
+        if (from.x !== cell.x && from.z !== cell.z) return false;
+
+        const distance = Math.abs(cell.x - from.x) + Math.abs(cell.z - from.z);
+        if (distance > entity.sightRange) return false;
+
+        const stepX = Math.sign(cell.x - from.x);
+        const stepZ = Math.sign(cell.z - from.z);
+        for (let i = 1; i < distance; i++) {
+            if (!this.isPassable(entity.floor, from.x + stepX * i, from.z + stepZ * i)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Choose where a patrolling entity goes next
+     * @returns {{x: number, z: number}|null} Target cell
+     */
+    nextPatrolCell(entity) {
+        if (Array.isArray(entity.patrol) && entity.patrol.length > 0) {
+            const [x, z] = entity.patrol[entity.patrolIndex % entity.patrol.length];
+            entity.patrolIndex++;
+            return { x, z };
+        }
+
+        // Wander to a random walkable cell a few cells away
+        const from = this.worldToCell(entity.position);
+        const floor = this.floors[entity.floor];
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const x = from.x + this.rng.nextInt(13) - 6;
+            const z = from.z + this.rng.nextInt(13) - 6;
+            if (floor.walkable[z]?.[x] && (x !== from.x || z !== from.z)) {
+                return { x, z };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Breadth-first search for the shortest cell path on the entity's storey
+     * @param {Object} entity - Entity
+     * @param {{x: number, z: number}|null} goal - Target cell
+     * @returns {Array<{x: number, z: number}>|null} Cells after the current one up to the goal, null if unreachable
+     */
+    findPath(entity, goal) {
+        if (!goal || !this.isPassable(entity.floor, goal.x, goal.z)) return null;
+
+        const floor = this.floors[entity.floor];
+        const start = this.worldToCell(entity.position);
+        const index = (x, z) => z * floor.width + x;
+        const previous = new Map([[index(start.x, start.z), null]]);
+        const queue = [start];
+
+        for (let i = 0; i < queue.length; i++) {
+            const cell = queue[i];
+            if (sameCell(cell, goal)) {
+                const path = [];
+                for (let step = cell; step && !sameCell(step, start); step = previous.get(index(step.x, step.z))) {
+                    path.push(step);
+                }
+                return path.reverse();
+            }
+
+            for (const offset of NEIGHBOURS) {
+                const next = { x: cell.x + offset.x, z: cell.z + offset.z };
+                const key = index(next.x, next.z);
+                if (!previous.has(key) && this.isPassable(entity.floor, next.x, next.z)) {
+                    previous.set(key, cell);
+                    queue.push(next);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether an entity can walk through a cell
+     */
+    isPassable(floorIndex, x, z) {
+        return !!this.floors[floorIndex]?.walkable[z]?.[x] && !this.isDoorClosed(floorIndex, x, z);
+    }
+
+    isDoorClosed(floorIndex, x, z) {
+        return this.doorSystem.doors.some(door =>
+            door.storey === floorIndex && door.cell.x === x && door.cell.z === z && door.progress < 1);
+    }
+
+    worldToCell(position) {
+        return {
+            x: Math.round(position.x / this.cellSize),
+            z: Math.round(position.z / this.cellSize)
+        };
+    }
+
+    /**
+     * Remove all entities (their meshes go with the level)
+     */
+    clear() {
+        for (const entity of this.entities) {
+            entity.mesh.removeFromParent();
+        }
+        this.entities = [];
+        this.floors = [];
+    }
+}
+
+function sameCell(a, b) {
+    return !!a && !!b && a.x === b.x && a.z === b.z;
+}
\ No newline at end of file
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { ResourceManager } from './resource-manager.js';
 
 export class FluorescentLight {
     constructor(length = 1.2, width = 0.1) {
@@ -60,4 +61,90 @@ export class FluorescentLight {
 
         return group;
     }
+
+    /**
+     * Create many fixtures at once, drawing all housings and all tubes as two instanced batches
+     * Each fixture still gets its own SpotLight
+     * @param {Array<{position: THREE.Vector3, rotation: number}>} placements - Fixture positions and Y rotations
+     * @param {boolean} enabled - Whether the fixtures start switched on
+     * @returns {THREE.Group} Group holding the batches and the lights
+     */
+    createInstancedFixtures(placements, enabled = true) {
+        const resourceManager = new ResourceManager();
+        const group = new THREE.Group();
+        group.name = 'light_fixtures';
+
+        const housingGeometry = resourceManager.getGeometry(`light_housing_${this.length}_${this.width}`, () =>
+            new THREE.BoxGeometry(this.length, this.width-0.2, this.width));
+        const housingMaterial = resourceManager.getMaterial('light_housing', () => new THREE.MeshStandardMaterial({
+            color: 0x808080,
+            metalness: 0.8,
+            roughness: 0.2
+        }));
+        const tubeGeometry = resourceManager.getGeometry(`light_tube_${this.length}_${this.width}`, () =>
+            new THREE.BoxGeometry(this.length - 0.05, this.width / 2, this.width / 2));
+        // Unlit so each tube's glow can be switched through its instance color
+        const tubeMaterial = resourceManager.getMaterial('light_tube', () => new THREE.MeshBasicMaterial({
+            color: 0xffffff
+        }));
+
+        const housings = new THREE.InstancedMesh(housingGeometry, housingMaterial, placements.length);
+        const tubes = new THREE.InstancedMesh(tubeGeometry, tubeMaterial, placements.length);
+        housings.name = 'light_housing';
+        tubes.name = 'light_tube';
+
+        const onColor = new THREE.Color(0xffffff);
+        const offColor = new THREE.Color(0x333333);
+        const matrix = new THREE.Matrix4();
+        const quaternion = new THREE.Quaternion();
+        const scale = new THREE.Vector3(1, 1, 1);
+        const yAxis = new THREE.Vector3(0, 1, 0);
+        const fixtures = [];
+
+        placements.forEach((placement, index) => {
+            quaternion.setFromAxisAngle(yAxis, placement.rotation || 0);
+            matrix.compose(placement.position, quaternion, scale);
+            housings.setMatrixAt(index, matrix);
+            tubes.setMatrixAt(index, matrix);
+            tubes.setColorAt(index, enabled ? onColor : offColor);
+
+            // Light source pointing downward, as in createLightFixture
+            const anchor = new THREE.Object3D();
+            anchor.position.copy(placement.position);
+            anchor.rotation.y = placement.rotation || 0;
+
+            const light = new THREE.SpotLight(0xffffff, 1);
+            light.castShadow = false;
+            light.position.set(0, -0.1, 0);
+            light.visible = enabled;
+            light.angle = Math.PI / 3;
+            light.penumbra = 0.5;
+            light.decay = 2;
+            light.distance = 10;
+            light.target.position.set(0, -1, 0);
+
+            anchor.add(light, light.target);
+            group.add(anchor);
+            fixtures.push({ light, instanceId: index });
+        });
+
+        housings.computeBoundingSphere();
+        tubes.computeBoundingSphere();
+        group.add(housings, tubes);
+
+        group.userData.fixtures = fixtures;
+        group.userData.housings = housings;
+        group.userData.tubes = tubes;
+
+        // Switch a single fixture on or off
+        group.setFixtureEnabled = (index, isEnabled) => {
+            const fixture = fixtures[index];
+            if (!fixture) return;
+            fixture.light.visible = isEnabled;
+            tubes.setColorAt(fixture.instanceId, isEnabled ? onColor : offColor);
+            tubes.instanceColor.needsUpdate = true;
+        };
+
+        return group;
+    }
 }
\ No newline at end of file
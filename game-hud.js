@@ -0,0 +1,297 @@
+import { GAME_STATES } from './game-state.js';
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+export function formatTime(seconds) {
+    const whole = Math.max(0, Math.floor(seconds));
+    const minutes = Math.floor(whole / 60);
+    return `${minutes}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * On-screen countdown and score plus the intro, pause and results screens
+ * Buttons report back through the callbacks passed to the constructor;
+ * clicks on the HUD never reach the document, so they don't grab the pointer lock
+ */
+export class GameHUD {
+    /**
+     * @param {Object} actions - Button callbacks
+     * @param {Function} actions.onStart - Start or resume playing
+     * @param {Function} actions.onRestart - Restart the current level
+     * @param {Function} actions.onNextLevel - Load the next level
+     * @param {Function} actions.onLevelSelect - Open the level-select menu
+     */
+    constructor({ onStart, onRestart, onNextLevel, onLevelSelect }) {
+        // Countdown, top centre
+        this.timer = document.createElement("div");
+        Object.assign(this.timer.style, {
+            position: "absolute",
+            top: "10px",
+            left: "50%",
+            transform: "translateX(-50%)",
+            padding: "4px 12px",
+            borderRadius: "5px",
+            backgroundColor: "rgba(0, 0, 0, 0.5)",
+            color: "white",
+            font: "bold 24px monospace",
+            zIndex: "10",
+            display: "none"
+        });
+
+        // Score and collectible counts, under the countdown
+        this.score = document.createElement("div");
+        Object.assign(this.score.style, {
+            position: "absolute",
+            top: "52px",
+            left: "50%",
+            transform: "translateX(-50%)",
+            padding: "2px 10px",
+            borderRadius: "5px",
+            backgroundColor: "rgba(0, 0, 0, 0.5)",
+            color: "white",
+            font: "16px monospace",
+            whiteSpace: "nowrap",
+            zIndex: "10",
+            display: "none"
+        });
+
+        // Stamina meter, bottom centre, only shown while stamina is not full
+        this.stamina = document.createElement("div");
+        Object.assign(this.stamina.style, {
+            position: "absolute",
+            bottom: "30px",
+            left: "50%",
+            transform: "translateX(-50%)",
+            width: "200px",
+            height: "8px",
+            borderRadius: "4px",
+            backgroundColor: "rgba(0, 0, 0, 0.5)",
+            overflow: "hidden",
+            zIndex: "10",
+            display: "none"
+        });
+        this.staminaFill = document.createElement("div");
+        Object.assign(this.staminaFill.style, {
+            height: "100%",
+            width: "100%",
+            backgroundColor: "#60d060"
+        });
+        this.stamina.append(this.staminaFill);
+
+        // Short-lived messages for the player (locked doors, trigger messages), above the stamina meter
+        this.notice = document.createElement("div");
+        Object.assign(this.notice.style, {
+            position: "absolute",
+            bottom: "60px",
+            left: "50%",
+            transform: "translateX(-50%)",
+            padding: "4px 12px",
+            borderRadius: "5px",
+            backgroundColor: "rgba(0, 0, 0, 0.5)",
+            color: "white",
+            font: "18px Arial, sans-serif",
+            whiteSpace: "nowrap",
+            zIndex: "10",
+            display: "none"
+        });
+        this.noticeTimeout = null;
+
+        // Full screen overlay for the intro, pause and results screens
+        this.overlay = document.createElement("div");
+        Object.assign(this.overlay.style, {
+            position: "absolute",
+            top: "0",
+            left: "0",
+            width: "100%",
+            height: "100%",
+            display: "none",
+            flexDirection: "column",
+            alignItems: "center",
+            justifyContent: "center",
+            backgroundColor: "rgba(0, 0, 0, 0.6)",
+            color: "white",
+            fontFamily: "Arial, sans-serif",
+            textAlign: "center",
+            zIndex: "20"
+        });
+        this.overlay.addEventListener("click", (e) => e.stopPropagation());
+
+        this.title = document.createElement("h1");
+        this.message = document.createElement("p");
+        this.message.style.whiteSpace = "pre-line";
+
+        this.buttons = document.createElement("div");
+        this.startButton = this.createButton("Start", onStart);
+        this.restartButton = this.createButton("Restart", onRestart);
+        this.nextButton = this.createButton("Next level", onNextLevel);
+        this.levelsButton = this.createButton("Levels", onLevelSelect);
+        this.buttons.append(this.startButton, this.restartButton, this.nextButton, this.levelsButton);
+
+        this.overlay.append(this.title, this.message, this.buttons);
+        document.body.append(this.timer, this.score, this.stamina, this.notice, this.overlay);
+    }
+
+    createButton(label, onClick) {
+        const button = document.createElement("button");
+        button.textContent = label;
+        button.style.margin = "0 6px";
+        button.style.padding = "8px 16px";
+        button.style.fontSize = "16px";
+        button.addEventListener("click", (e) => {
+            e.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    /**
+     * Show the screen for a game state
+     * @param {string} state - One of GAME_STATES
+     * @param {Object} info - Run details
+     * @param {Object} info.levelData - Level JSON (name, description)
+     * @param {number|null} info.timeLimit - Time limit in seconds
+     * @param {number} info.elapsedTime - Time played in seconds
+     * @param {boolean} info.hasNextLevel - Offer the next-level button
+     * @param {number|null} info.nextLevelDelay - Seconds until the next level starts by itself
+     * @param {number|null} info.bestTime - Best completion time of the level in seconds
+     * @param {boolean} info.newBestTime - This run set the best time
+     * @param {number|null} info.score - Points from collectibles, null if the level has none
+     * @param {number} info.requiredCollectibles - Collectibles needed before the goal counts
+     */
+    show(state, {
+        levelData = {}, timeLimit = null, elapsedTime = 0, hasNextLevel = false,
+        nextLevelDelay = null, bestTime = null, newBestTime = false, score = null, requiredCollectibles = 0
+    } = {}) {
+        const name = levelData.name || "Level";
+
+        switch (state) {
+            case GAME_STATES.INTRO:
+                this.showScreen(name, [
+                    levelData.description,
+                    timeLimit !== null ? `Time limit: ${formatTime(timeLimit)}` : "No time limit",
+                    bestTime !== null ? `Best time: ${formatTime(bestTime)}` : "",
+                    requiredCollectibles > 0 ? `Collect ${requiredCollectibles} items before reaching the exit` : "",
+                    "WASD to move, mouse to look, Shift to sprint, Ctrl or C to crouch, Space to jump",
+                    "E to use doors, Esc to pause (keys can be changed under Controls)"
+                ], { start: "Start" });
+                break;
+            case GAME_STATES.PAUSED:
+                this.showScreen("Paused", [name], { start: "Resume", restart: true });
+                break;
+            case GAME_STATES.WON:
+                this.showScreen("Level complete!", [
+                    name,
+                    `Time: ${formatTime(elapsedTime)}` +
+                        (timeLimit !== null ? ` (${formatTime(timeLimit - elapsedTime)} to spare)` : ""),
+                    newBestTime ? "New best time!" : bestTime !== null ? `Best time: ${formatTime(bestTime)}` : "",
+                    score !== null ? `Score: ${score}` : "",
+                    hasNextLevel && nextLevelDelay !== null ? `Next level starts in ${nextLevelDelay} seconds` : ""
+                ], { restart: true, next: hasNextLevel });
+                break;
+            case GAME_STATES.TIMED_OUT:
+                this.showScreen("Time's up!", [
+                    name,
+                    `The ${formatTime(timeLimit)} time limit ran out`
+                ], { restart: true });
+                break;
+            case GAME_STATES.CAUGHT:
+                this.showScreen("Caught!", [
+                    name,
+                    `Something got you after ${formatTime(elapsedTime)}`
+                ], { restart: true });
+                break;
+            default:
+                this.overlay.style.display = "none";
+                return;
+        }
+
+        // Messages of the run are done with once a screen covers it
+        this.hideNotice();
+    }
+
+    /**
+     * Show a message to the player for a few seconds, replacing the one shown before
+     * @param {string} text - Message
+     * @param {number} duration - Seconds to show it for
+     */
+    showNotice(text, duration = 3) {
+        clearTimeout(this.noticeTimeout);
+        this.notice.textContent = text;
+        this.notice.style.display = "block";
+        this.noticeTimeout = setTimeout(() => this.hideNotice(), duration * 1000);
+    }
+
+    hideNotice() {
+        clearTimeout(this.noticeTimeout);
+        this.noticeTimeout = null;
+        this.notice.style.display = "none";
+    }
+
+    /**
+     * Fill and show the overlay
+     * @param {string} title - Heading
+     * @param {Array<string>} lines - Message lines (empty ones are skipped)
+     * @param {Object} buttons - start: label of the start button, restart/next: show those buttons
+     */
+    showScreen(title, lines, { start = null, restart = false, next = false }) {
+        this.title.textContent = title;
+        this.message.textContent = lines.filter(Boolean).join("\n");
+
+        this.startButton.textContent = start || "";
+        this.startButton.style.display = start ? "inline-block" : "none";
+        this.restartButton.style.display = restart ? "inline-block" : "none";
+        this.nextButton.style.display = next ? "inline-block" : "none";
+
+        this.overlay.style.display = "flex";
+    }
+
+    /**
+     * Update the countdown, or the elapsed time for levels without a limit
+     * @param {number|null} remainingTime - Seconds left, null if there is no limit
+     * @param {number} elapsedTime - Seconds played
+     */
+    updateTimer(remainingTime, elapsedTime) {
+        this.timer.style.display = "block";
+        // A countdown shows 0:00 only once time is really up
+        this.timer.textContent = formatTime(remainingTime !== null ? Math.ceil(remainingTime) : elapsedTime);
+
+        // Turn red for the last ten seconds
+        this.timer.style.color = remainingTime !== null && remainingTime <= 10 ? "#ff5050" : "white";
+    }
+
+    /**
+     * Update the stamina meter
+     * @param {number} stamina - 0 (drained) to 1 (full)
+     * @param {boolean} exhausted - Sprinting is blocked until some stamina has come back
+     */
+    updateStamina(stamina, exhausted) {
+        this.stamina.style.display = stamina < 1 ? "block" : "none";
+        this.staminaFill.style.width = `${Math.round(stamina * 100)}%`;
+        this.staminaFill.style.backgroundColor = exhausted ? "#e07030" : "#60d060";
+    }
+
+    /**
+     * Update the score line, hidden on levels without collectibles
+     * @param {number} score - Points collected
+     * @param {Object} counts - Collected and total count per item name
+     * @param {number} collectedCount - Collectibles picked up
+     * @param {number} required - Collectibles needed before the goal counts
+     */
+    updateScore(score, counts, collectedCount, required) {
+        const items = Object.entries(counts);
+        this.score.style.display = items.length > 0 ? "block" : "none";
+        if (items.length === 0) return;
+
+        const parts = [`Score ${score}`, ...items.map(([item, count]) => `${item} ${count.collected}/${count.total}`)];
+        if (required > 0) {
+            parts.push(`exit ${Math.min(collectedCount, required)}/${required}`);
+        }
+        this.score.textContent = parts.join("  ");
+
+        // Yellow until the exit opens up
+        this.score.style.color = collectedCount < required ? "#ffd040" : "white";
+    }
+}
\ No newline at end of file
@@ -0,0 +1,133 @@
+/**
+ * Game flow states
+ */
+export const GAME_STATES = {
+    INTRO: 'intro',
+    PLAYING: 'playing',
+    PAUSED: 'paused',
+    WON: 'won',
+    TIMED_OUT: 'timed-out',
+    CAUGHT: 'caught'
+};
+
+// States each state may move to
+const TRANSITIONS = {
+    [GAME_STATES.INTRO]: [GAME_STATES.PLAYING],
+    [GAME_STATES.PLAYING]: [GAME_STATES.PAUSED, GAME_STATES.WON, GAME_STATES.TIMED_OUT, GAME_STATES.CAUGHT],
+    [GAME_STATES.PAUSED]: [GAME_STATES.PLAYING],
+    [GAME_STATES.WON]: [],
+    [GAME_STATES.TIMED_OUT]: [],
+    [GAME_STATES.CAUGHT]: []
+};
+
+/**
+ * Flow of a single run through a level: intro, playing, paused, won, timed-out and caught
+ * The clock only runs while playing; a level's "timeLimit" (seconds) turns it into a
+ * countdown that ends the run when it reaches zero. Won, timed-out and caught are
+ * final, reset starts a new run.
+ */
+export class GameStateMachine {
+    constructor() {
+        this.state = GAME_STATES.INTRO;
+        this.timeLimit = null;
+        this.elapsedTime = 0;
+
+        // Callbacks (state, previousState) run on every state change
+        this.listeners = [];
+    }
+
+    /**
+     * Start a new run of a level, waiting in the intro state
+     * @param {Object} levelData - Level JSON, its optional "timeLimit" is used
+     */
+    reset(levelData = {}) {
+        this.timeLimit = Number.isFinite(levelData.timeLimit) && levelData.timeLimit > 0 ?
+            levelData.timeLimit : null;
+        this.elapsedTime = 0;
+        this.setState(GAME_STATES.INTRO, true);
+    }
+
+    /**
+     * Register a state change callback
+     * @param {Function} callback - Called with (state, previousState)
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Move to another state if the current one allows it
+     * @param {string} state - One of GAME_STATES
+     * @param {boolean} force - Skip the transition check (used by reset)
+     * @returns {boolean} True if the state changed
+     */
+    setState(state, force = false) {
+        if (!force && !TRANSITIONS[this.state].includes(state)) {
+            return false;
+        }
+
+        const previousState = this.state;
+        this.state = state;
+        this.listeners.forEach(callback => callback(state, previousState));
+        return true;
+    }
+
+    start() {
+        return this.setState(GAME_STATES.PLAYING);
+    }
+
+    pause() {
+        return this.setState(GAME_STATES.PAUSED);
+    }
+
+    resume() {
+        return this.state === GAME_STATES.PAUSED && this.setState(GAME_STATES.PLAYING);
+    }
+
+    /**
+     * End the run as won; only the first call of a run counts
+     * @returns {boolean} True if this call won the run
+     */
+    win() {
+        return this.setState(GAME_STATES.WON);
+    }
+
+    /**
+     * End the run as caught by an entity
+     * @returns {boolean} True if this call ended the run
+     */
+    catchPlayer() {
+        return this.setState(GAME_STATES.CAUGHT);
+    }
+
+    /**
+     * Advance the run clock
+     * @param {number} timeElapsedS - Time step in seconds
+     */
+    update(timeElapsedS) {
+        if (this.state !== GAME_STATES.PLAYING) return;
+
+        this.elapsedTime += timeElapsedS;
+        if (this.timeLimit !== null && this.elapsedTime >= this.timeLimit) {
+            this.elapsedTime = this.timeLimit;
+            this.setState(GAME_STATES.TIMED_OUT);
+        }
+    }
+
+    isPlaying() {
+        return this.state === GAME_STATES.PLAYING;
+    }
+
+    isOver() {
+        return this.state === GAME_STATES.WON || this.state === GAME_STATES.TIMED_OUT ||
+            this.state === GAME_STATES.CAUGHT;
+    }
+
+    /**
+     * Get the time left on the countdown
+     * @returns {number|null} Seconds left, null if the level has no time limit
+     */
+    getRemainingTime() {
+        return this.timeLimit === null ? null : Math.max(0, this.timeLimit - this.elapsedTime);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,82 @@
+import * as THREE from 'three';
+import { ResourceManager } from './resource-manager.js';
+import { decodeRun } from './run-recorder.js';
+
+/**
+ * Translucent "ghost" replaying a recorded run next to the player
+ * The ghost advances one recorded frame per fixed step, so it moves exactly as
+ * fast as the run it was recorded from; at the end of the run it stays put
+ */
+export class GhostReplay {
+    /**
+     * @param {THREE.Scene} scene - Scene to show the ghost in
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.resourceManager = new ResourceManager();
+        this.frames = [];
+        this.tick = 0;
+        this.run = null;
+
+        const material = this.resourceManager.getMaterial('ghost', () => {
+            return new THREE.MeshBasicMaterial({
+                color: 0x88ccff,
+                transparent: true,
+                opacity: 0.35,
+                depthWrite: false
+            });
+        });
+
+        // Body, centred 0.8 above the floor
+        const body = new THREE.Mesh(this.resourceManager.getGeometry('ghost_body', () => {
+            return new THREE.CapsuleGeometry(0.3, 1.0, 4, 12);
+        }), material);
+
+        // Visor on the side the ghost faces (-Z)
+        const visor = new THREE.Mesh(this.resourceManager.getGeometry('ghost_visor', () => {
+            return new THREE.BoxGeometry(0.35, 0.12, 0.1);
+        }), material);
+        visor.position.set(0, 0.55, -0.28);
+
+        this.mesh = new THREE.Group();
+        this.mesh.name = "ghost";
+        this.mesh.add(body, visor);
+        this.mesh.visible = false;
+        this.scene.add(this.mesh);
+    }
+
+    /**
+     * Replay a run from its start
+     * @param {Object|null} run - Run from RunRecorder.finish, null hides the ghost
+     */
+    setRun(run) {
+        this.run = run;
+        this.frames = run ? decodeRun(run) : [];
+        this.restart();
+    }
+
+    restart() {
+        this.tick = 0;
+        this.mesh.visible = this.frames.length > 0;
+        this.applyFrame(0);
+    }
+
+    /**
+     * Advance the ghost by one fixed step
+     */
+    update() {
+        if (this.frames.length === 0) return;
+
+        this.tick = Math.min(this.tick + 1, this.frames.length - 1);
+        this.applyFrame(this.tick);
+    }
+
+    applyFrame(tick) {
+        const frame = this.frames[tick];
+        if (!frame) return;
+
+        // Recorded positions are eye height (1.8 above the floor)
+        this.mesh.position.set(frame.x, frame.y - 1.0, frame.z);
+        this.mesh.rotation.y = frame.phi;
+    }
+}
\ No newline at end of file
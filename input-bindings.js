@@ -0,0 +1,96 @@
+/**
+ * Player actions and the keys they are bound to by default
+ * Keys are KeyboardEvent.code values, which name the physical key, so WASD
+ * stays in the same place on AZERTY or Dvorak keyboards. An action can have
+ * several keys; in freefly mode jump rises and sprint sinks.
+ */
+export const ACTIONS = {
+    moveForward: { label: "Move forward", keys: ['KeyW', 'ArrowUp'] },
+    moveBackward: { label: "Move backward", keys: ['KeyS', 'ArrowDown'] },
+    strafeLeft: { label: "Strafe left", keys: ['KeyA', 'ArrowLeft'] },
+    strafeRight: { label: "Strafe right", keys: ['KeyD', 'ArrowRight'] },
+    sprint: { label: "Sprint", keys: ['ShiftLeft', 'ShiftRight'] },
+    // Ctrl is combined into browser shortcuts like Ctrl+W, so crouch has C as well
+    crouch: { label: "Crouch", keys: ['ControlLeft', 'KeyC'] },
+    jump: { label: "Jump", keys: ['Space'] },
+    interact: { label: "Use door", keys: ['KeyE'] },
+    toggleMap: { label: "Automap", keys: ['KeyM'] },
+    toggleDebug: { label: "Debug freefly", keys: ['KeyQ'] }
+};
+
+/**
+ * Gamepad buttons of each action, as indices of the standard gamepad mapping
+ * Movement and look are on the left and right sticks (the d-pad moves as well)
+ */
+export const GAMEPAD_BUTTONS = {
+    moveForward: [12],
+    moveBackward: [13],
+    strafeLeft: [14],
+    strafeRight: [15],
+    sprint: [10, 4], // Left stick press or left bumper
+    crouch: [1, 11], // B or right stick press
+    jump: [0], // A
+    interact: [2], // X
+    toggleMap: [3], // Y
+    toggleDebug: [8] // Back / select
+};
+
+/**
+ * Keys that can't be bound: Escape always releases the pointer lock (and pauses)
+ */
+export const RESERVED_KEYS = ['Escape'];
+
+/**
+ * Turn saved key overrides into a full binding table
+ * Actions without a (valid) override keep their default keys
+ * @param {Object} overrides - Saved bindings: action name to an array of key codes
+ * @returns {Object} Every action name mapped to its key codes
+ */
+export function resolveBindings(overrides = {}) {
+    const bindings = {};
+
+    for (const [action, { keys }] of Object.entries(ACTIONS)) {
+        const override = overrides?.[action];
+        bindings[action] = Array.isArray(override) ?
+            override.filter(code => typeof code === 'string' && !RESERVED_KEYS.includes(code)) :
+            [...keys];
+    }
+
+    return bindings;
+}
+
+/**
+ * Bind a key to an action, taking it away from any other action
+ * @param {Object} overrides - Current saved bindings (not modified)
+ * @param {string} action - Action name
+ * @param {string} code - KeyboardEvent.code of the key
+ * @returns {Object} New overrides holding the full binding of every changed action
+ */
+export function bindKey(overrides, action, code) {
+    const bindings = resolveBindings(overrides);
+    const changed = { ...overrides };
+
+    for (const [name, codes] of Object.entries(bindings)) {
+        if (name !== action && codes.includes(code)) {
+            changed[name] = codes.filter(other => other !== code);
+        }
+    }
+    changed[action] = [code];
+
+    return changed;
+}
+
+/**
+ * Readable name of a key code
+ * @param {string} code - KeyboardEvent.code
+ * @returns {string} E.g. "W", "Left Shift", "Arrow Up"
+ */
+export function formatKey(code) {
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit[0-9]$/.test(code)) return code.slice(5);
+
+    const side = code.match(/^(Shift|Control|Alt|Meta)(Left|Right)$/);
+    if (side) return `${side[2]} ${side[1] === 'Control' ? 'Ctrl' : side[1]}`;
+
+    return code.replace(/([a-z])([A-Z])/g, "$1 $2");
+}
\ No newline at end of file
@@ -0,0 +1,313 @@
+import { TileRegistry } from './tile-registry.js';
+import { getLevelFloors, getGridCell, findConnectorTarget, getCellKey } from './level-floors.js';
+
+/**
+ * Difficulty labels in rising order, with the highest score each one covers
+ * Calibrated against the shipped levels and generated mazes: the campaign levels
+ * score 31-45 and small mazes (up to about 8x8) below 60, so they are medium, while
+ * loop-free mazes from about 11x11 up score 63 and more and are hard.
+ */
+export const DIFFICULTY_RATINGS = [
+    { rating: 'easy', maxScore: 25 },
+    { rating: 'medium', maxScore: 60 },
+    { rating: 'hard', maxScore: 100 }
+];
+
+// Grid neighbours (north, east, south, west)
+const NEIGHBOURS = [
+    { x: 0, z: -1 },
+    { x: 1, z: 0 },
+    { x: 0, z: 1 },
+    { x: -1, z: 0 }
+];
+
+/**
+ * Analyze the layout of a level: solvability, path metrics and a computed difficulty
+ * Walkable cells are nodes, orthogonal neighbours and stair/elevator links are edges.
+ * The solution respects locked doors: their keycard has to be picked up first. A level
+ * may have several goal cells (each one wins); the nearest reachable one is the solution.
+ * @param {Object} levelData - Parsed level JSON (single grid or "floors")
+ * @returns {{
+ *   solvable: boolean,
+ *   shortestPath: number|null,
+ *   walkableCells: number,
+ *   reachableCells: number,
+ *   reachableCollectibles: number,
+ *   unreachableCollectibles: Array<{floor: number, x: number, z: number}>,
+ *   branchingFactor: number,
+ *   deadEnds: number,
+ *   junctions: number,
+ *   loops: number,
+ *   explorationShare: number,
+ *   score: number,
+ *   difficulty: string,
+ *   declaredDifficulty: string|null,
+ *   difficultyMatches: boolean|null
+ * }} Analysis; shortestPath is counted in cell steps and is null when the goal is unreachable
+ */
+export function analyzeLevel(levelData) {
+    const graph = buildWalkGraph(levelData);
+    const { start, goals } = graph;
+
+    // Everything the player could walk to if every door were open
+    const reachable = start ? findReachable(graph, start) : new Set();
+
+    // Cell degrees over the reachable part of the level
+    let deadEnds = 0;
+    let junctions = 0;
+    let edgeCount = 0;
+    for (const key of reachable) {
+        const degree = graph.links.get(key).size;
+        edgeCount += degree;
+        if (degree === 1 && key !== start && !goals.has(key)) deadEnds++;
+        if (degree >= 3) junctions++;
+    }
+    edgeCount /= 2;
+
+    // Independent cycles of the reachable (connected) part: E - V + 1
+    const loops = reachable.size > 0 ? Math.max(0, edgeCount - reachable.size + 1) : 0;
+
+    const path = start && goals.size > 0 ? findSolution(graph, start, goals) : null;
+    const solvable = path !== null;
+
+    // Pickups the player can get to, behind locked doors only if their keycard can be reached too
+    const walkable = start ? findWalkable(graph, start) : new Set();
+    const collectibleCells = [...graph.tiles.keys()].filter(key => graph.tiles.get(key).collectible);
+    const reachableCollectibles = collectibleCells.filter(key => walkable.has(key)).length;
+    const unreachableCollectibles = collectibleCells.filter(key => !walkable.has(key)).map(key => {
+        const [floor, x, z] = key.split(':').map(Number);
+        return { floor, x, z };
+    });
+
+    // Average onward choices at each step of the solution (the way in is not a choice)
+    const branchingFactor = solvable && path.length > 1 ?
+        path.slice(0, -1).reduce((sum, key, i) =>
+            sum + Math.max(1, graph.links.get(key).size - (i === 0 ? 0 : 1)), 0) / (path.length - 1) :
+        0;
+
+    // Expected share of the level a player choosing turns at random walks through:
+    // the solution itself plus, on average, half of every side region hanging off it
+    const solutionCells = solvable ? new Set(path).size : 0;
+    const explorationShare = solvable ?
+        (solutionCells + (reachable.size - solutionCells) / 2) / reachable.size :
+        0;
+
+    const metrics = {
+        solvable,
+        shortestPath: solvable ? path.length - 1 : null,
+        walkableCells: graph.links.size,
+        reachableCells: reachable.size,
+        reachableCollectibles,
+        unreachableCollectibles,
+        branchingFactor,
+        deadEnds,
+        junctions,
+        loops,
+        explorationShare
+    };
+
+    const score = scoreDifficulty(metrics);
+    const difficulty = getDifficultyRating(score);
+    const declaredDifficulty = typeof levelData?.difficulty === 'string' ? levelData.difficulty : null;
+
+    return {
+        ...metrics,
+        score,
+        difficulty,
+        declaredDifficulty,
+        difficultyMatches: declaredDifficulty === null ? null : declaredDifficulty.toLowerCase() === difficulty
+    };
+}
+
+/**
+ * Turn layout metrics into a 0-100 difficulty score
+ * Long solutions, many dead ends, frequent choices and having to search much of the
+ * level make it harder; loops give the player alternative routes and make it easier
+ * @param {Object} metrics - Metrics computed by analyzeLevel
+ * @returns {number} Score, 0 for unsolvable levels
+ */
+export function scoreDifficulty(metrics) {
+    if (!metrics.solvable || metrics.reachableCells === 0) return 0;
+
+    // Length and dead ends grow on a log scale: doubling a huge maze adds less than doubling a tiny one
+    const pathScore = Math.min(1, Math.log2(1 + metrics.shortestPath / 10) / Math.log2(31));
+    const deadEndScore = Math.min(1, Math.log2(1 + metrics.deadEnds) / Math.log2(201));
+    const branchScore = Math.min(1, Math.max(0, metrics.branchingFactor - 1) * 2.5);
+    const loopRelief = Math.min(1, (metrics.loops / metrics.reachableCells) * 20);
+
+    const score = 100 * (
+        0.4 * pathScore +
+        0.3 * deadEndScore +
+        0.15 * branchScore +
+        0.15 * metrics.explorationShare
+    ) * (1 - 0.3 * loopRelief);
+
+    return Math.round(score);
+}
+
+/**
+ * Get the difficulty label for a score
+ * @param {number} score - Score from scoreDifficulty
+ * @returns {string} 'easy', 'medium' or 'hard'
+ */
+export function getDifficultyRating(score) {
+    return DIFFICULTY_RATINGS.find(entry => score <= entry.maxScore)?.rating ||
+        DIFFICULTY_RATINGS[DIFFICULTY_RATINGS.length - 1].rating;
+}
+
+/**
+ * Build the walkable-cell graph of a level
+ * @param {Object} levelData - Parsed level JSON
+ * @returns {{tiles: Map<string, Object>, links: Map<string, Set<string>>, moves: Map<string, Set<string>>,
+ *            start: string|null, goals: Set<string>}} links are undirected neighbours,
+ *          moves are the steps the player can take (connectors may be one-way)
+ */
+function buildWalkGraph(levelData) {
+    const registry = new TileRegistry();
+    const floors = getLevelFloors(levelData);
+    const floorTiles = floors.map(floor => registry.resolveLegend(floor.legend));
+    const tiles = new Map();
+    const links = new Map();
+    const moves = new Map();
+    let start = null;
+    const goals = new Set();
+
+    const connect = (from, to, twoWay) => {
+        moves.get(from).add(to);
+        links.get(from).add(to);
+        links.get(to).add(from);
+        if (twoWay) moves.get(to).add(from);
+    };
+
+    // Nodes
+    for (const floor of floors) {
+        if (!Array.isArray(floor.grid)) continue;
+
+        for (let z = 0; z < floor.grid.length; z++) {
+            for (let x = 0; x < (floor.grid[z]?.length || 0); x++) {
+                const tile = floorTiles[floor.index].get(getGridCell(floor.grid, x, z));
+                if (!tile?.walkable) continue;
+
+                const key = getCellKey(floor.index, x, z);
+                tiles.set(key, tile);
+                links.set(key, new Set());
+                moves.set(key, new Set());
+                if (tile.marker === 'start' && start === null) start = key;
+                if (tile.marker === 'goal') goals.add(key);
+            }
+        }
+    }
+
+    // Edges
+    for (const key of tiles.keys()) {
+        const [floorIndex, x, z] = key.split(':').map(Number);
+
+        for (const offset of NEIGHBOURS) {
+            const neighbour = getCellKey(floorIndex, x + offset.x, z + offset.z);
+            if (tiles.has(neighbour)) {
+                connect(key, neighbour, true);
+            }
+        }
+
+        const target = findConnectorTarget(floors, floorTiles, floorIndex, x, z);
+        const targetKey = target && getCellKey(target.floor, target.x, target.z);
+        if (targetKey && tiles.has(targetKey) && targetKey !== key) {
+            connect(key, targetKey, false);
+        }
+    }
+
+    return { tiles, links, moves, start, goals };
+}
+
+/**
+ * Collect every cell reachable from a cell, ignoring locks
+ * @param {Object} graph - Graph from buildWalkGraph
+ * @param {string} start - Cell key to start from
+ * @returns {Set<string>} Reachable cell keys (including the start)
+ */
+function findReachable(graph, start) {
+    const reachable = new Set([start]);
+    const queue = [start];
+
+    for (let i = 0; i < queue.length; i++) {
+        for (const next of graph.moves.get(queue[i])) {
+            if (!reachable.has(next)) {
+                reachable.add(next);
+                queue.push(next);
+            }
+        }
+    }
+
+    return reachable;
+}
+
+/**
+ * Breadth-first search for the shortest walk from start to the nearest goal
+ * @param {Object} graph - Graph from buildWalkGraph
+ * @param {string} start - Start cell key
+ * @param {Set<string>} goals - Goal cell keys, reaching any of them solves the level
+ * @returns {Array<string>|null} Cell keys from start to a goal, null if no goal can be reached
+ */
+function findSolution(graph, start, goals) {
+    const end = walkWithKeys(graph, start, state => goals.has(state.cell));
+    if (!end) return null;
+
+    const path = [];
+    for (let step = end; step; step = step.previous) path.push(step.cell);
+    return path.reverse();
+}
+
+/**
+ * Collect every cell the player can actually get to from a cell, locks included
+ * @param {Object} graph - Graph from buildWalkGraph
+ * @param {string} start - Cell key to start from
+ * @returns {Set<string>} Cell keys (including the start)
+ */
+function findWalkable(graph, start) {
+    const cells = new Set();
+    walkWithKeys(graph, start, state => {
+        cells.add(state.cell);
+        return false;
+    });
+    return cells;
+}
+
+/**
+ * Breadth-first walk from a cell, nearest states first
+ * The search state is the cell plus the keycards carried, so a locked door can only
+ * be passed once its key has been collected, even if that means walking back
+ * @param {Object} graph - Graph from buildWalkGraph
+ * @param {string} start - Start cell key
+ * @param {Function} stop - Called with each state { cell, keys, previous }; returning true ends the walk
+ * @returns {Object|null} The state the walk stopped at, null if it ran out of cells
+ */
+function walkWithKeys(graph, start, stop) {
+    const keysAfter = (keys, cell) => {
+        const key = graph.tiles.get(cell).key;
+        return key && !keys.includes(key) ? [...keys, key].sort() : keys;
+    };
+    const stateId = (cell, keys) => `${cell}|${keys.join(',')}`;
+
+    const first = { cell: start, keys: keysAfter([], start), previous: null };
+    const seen = new Set([stateId(first.cell, first.keys)]);
+    const queue = [first];
+
+    for (let i = 0; i < queue.length; i++) {
+        const state = queue[i];
+        if (stop(state)) return state;
+
+        for (const next of graph.moves.get(state.cell)) {
+            const tile = graph.tiles.get(next);
+            if (tile.door && tile.lock && !state.keys.includes(tile.lock)) continue;
+
+            const keys = keysAfter(state.keys, next);
+            const id = stateId(next, keys);
+            if (!seen.has(id)) {
+                seen.add(id);
+                queue.push({ cell: next, keys, previous: state });
+            }
+        }
+    }
+
+    return null;
+}
\ No newline at end of file
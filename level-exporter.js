@@ -0,0 +1,254 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { OBJExporter } from 'three/examples/jsm/exporters/OBJExporter.js';
+import { ResourceManager } from './resource-manager.js';
+
+/**
+ * Supported export formats
+ */
+export const EXPORT_FORMATS = ['glb', 'gltf', 'obj'];
+
+/**
+ * Exports generated levels for use in DCC tools (Blender) and other engines
+ * glTF/GLB keeps the baked canvas textures, light fixtures (as punctual lights)
+ * and the start/goal markers; OBJ/MTL is a geometry and material fallback
+ */
+export class LevelExporter {
+    constructor() {
+        // Material names come from their ResourceManager keys
+        this.resourceManager = new ResourceManager();
+    }
+
+    /**
+     * Export a level in one of EXPORT_FORMATS
+     * @param {THREE.Group} levelGroup - Level group from LevelGenerator.generateLevel
+     * @param {string} format - 'glb', 'gltf' or 'obj'
+     * @param {string} baseName - File name without extension
+     * @returns {Promise<Array<{fileName: string, data: string|ArrayBuffer, mimeType: string}>>} Files to write
+     */
+    async export(levelGroup, format = 'glb', baseName = 'level') {
+        switch (format) {
+            case 'glb': {
+                const glb = await this.exportGLTF(levelGroup, { binary: true });
+                return [{ fileName: `${baseName}.glb`, data: glb, mimeType: 'model/gltf-binary' }];
+            }
+            case 'gltf': {
+                const gltf = await this.exportGLTF(levelGroup, { binary: false });
+                return [{ fileName: `${baseName}.gltf`, data: JSON.stringify(gltf), mimeType: 'model/gltf+json' }];
+            }
+            case 'obj': {
+                const { obj, mtl, textures } = this.exportOBJ(levelGroup, baseName);
+                return [
+                    { fileName: `${baseName}.obj`, data: obj, mimeType: 'text/plain' },
+                    { fileName: `${baseName}.mtl`, data: mtl, mimeType: 'text/plain' },
+                    ...textures.map(texture => ({ fileName: texture.fileName, data: texture.dataURL, mimeType: 'image/png' }))
+                ];
+            }
+            default:
+                throw new Error(`Unknown export format "${format}", expected one of: ${EXPORT_FORMATS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Export a level to glTF, textures are embedded
+     * @param {THREE.Group} levelGroup - Level group from LevelGenerator.generateLevel
+     * @param {Object} options - Export options
+     * @param {boolean} options.binary - Produce a single GLB buffer instead of glTF JSON
+     * @returns {Promise<ArrayBuffer|Object>} GLB buffer or glTF JSON
+     */
+    exportGLTF(levelGroup, { binary = true } = {}) {
+        const scene = this.prepareScene(levelGroup);
+
+        return new GLTFExporter().parseAsync(scene, {
+            binary,
+            onlyVisible: true,
+            maxTextureSize: 4096
+        });
+    }
+
+    /**
+     * Export a level to OBJ with an MTL material library
+     * @param {THREE.Group} levelGroup - Level group from LevelGenerator.generateLevel
+     * @param {string} baseName - File name (without extension) the OBJ, MTL and textures share
+     * @returns {{obj: string, mtl: string, textures: Array<{fileName: string, dataURL: string}>}}
+     *          textures are PNG data URLs referenced by the MTL
+     */
+    exportOBJ(levelGroup, baseName = 'level') {
+        const scene = this.prepareScene(levelGroup);
+
+        // OBJ has no lights, only meshes are kept
+        const obj = `mtllib ${baseName}.mtl\n` + new OBJExporter().parse(scene);
+
+        const materials = new Map();
+        scene.traverse(object => {
+            if (object.isMesh) {
+                materials.set(object.material.name, object.material);
+            }
+        });
+
+        const textures = [];
+        const mtl = [...materials.values()].map(material => {
+            const lines = [
+                `newmtl ${material.name}`,
+                `Kd ${this.formatColor(material.color)}`,
+                'Ks 0.000 0.000 0.000',
+                `Ke ${this.formatColor(material.emissive || new THREE.Color(0, 0, 0))}`,
+                `d ${material.opacity.toFixed(3)}`,
+                'illum 1'
+            ];
+
+            const dataURL = this.getTextureDataURL(material.map);
+            if (dataURL) {
+                const fileName = `${baseName}_${material.name}.png`;
+                const repeat = material.map.repeat;
+                const scale = repeat.x !== 1 || repeat.y !== 1 ? `-s ${repeat.x} ${repeat.y} 1 ` : '';
+                lines.push(`map_Kd ${scale}${fileName}`);
+                textures.push({ fileName, dataURL });
+            }
+
+            return lines.join('\n');
+        }).join('\n\n') + '\n';
+
+        return { obj, mtl, textures };
+    }
+
+    /**
+     * Build an export-friendly copy of a level
+     * Instanced batches are expanded into plain meshes (not every importer supports
+     * GPU instancing), spotlights are re-aimed the way glTF expects, the ambient light
+     * is dropped and runtime-only userData is replaced by the level's basic info
+     * @param {THREE.Group} levelGroup - Level group from LevelGenerator.generateLevel
+     * @returns {THREE.Scene} Scene to hand to an exporter (shares geometries and textures)
+     */
+    prepareScene(levelGroup) {
+        const materialNames = new Map(
+            Object.entries(this.resourceManager.materials).map(([key, material]) => [material, key])
+        );
+        const materialCopies = new Map();
+
+        // Named copies, so exported names are stable and live materials stay untouched
+        const copyMaterial = (material) => {
+            if (!materialCopies.has(material)) {
+                const copy = material.clone();
+                const name = materialNames.get(material) || material.name || `material_${materialCopies.size}`;
+                copy.name = name.replace(/[^A-Za-z0-9_-]/g, '_');
+                materialCopies.set(material, copy);
+            }
+            return materialCopies.get(material);
+        };
+
+        // Spotlight targets are recreated on the exported lights
+        const lightTargets = new Set();
+        levelGroup.traverse(object => {
+            if (object.isSpotLight) lightTargets.add(object.target);
+        });
+
+        const copyNode = (object) => {
+            if (object.isAmbientLight || lightTargets.has(object)) return null;
+
+            let node;
+            if (object.isInstancedMesh) {
+                node = new THREE.Group();
+                const matrix = new THREE.Matrix4();
+                for (let i = 0; i < object.count; i++) {
+                    const instance = new THREE.Mesh(object.geometry, copyMaterial(object.material));
+                    instance.name = `${object.name}_${i}`;
+                    object.getMatrixAt(i, matrix);
+                    matrix.decompose(instance.position, instance.quaternion, instance.scale);
+                    node.add(instance);
+                }
+            } else if (object.isMesh) {
+                node = new THREE.Mesh(object.geometry, copyMaterial(object.material));
+            } else if (object.isSpotLight) {
+                node = new THREE.SpotLight(object.color, object.intensity, object.distance,
+                    object.angle, object.penumbra, object.decay);
+
+                // glTF spotlights shine down their local -Z axis, turn it towards the target
+                const direction = object.target.getWorldPosition(new THREE.Vector3())
+                    .sub(object.getWorldPosition(new THREE.Vector3()))
+                    .applyQuaternion(object.parent.getWorldQuaternion(new THREE.Quaternion()).invert())
+                    .normalize();
+                node.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, -1), direction);
+                node.target.position.set(0, 0, -1);
+                node.add(node.target);
+            } else {
+                node = new THREE.Group();
+            }
+
+            node.name = node.name || object.name;
+            node.visible = object.visible;
+            if (!object.isSpotLight) {
+                node.quaternion.copy(object.quaternion);
+            }
+            node.position.copy(object.position);
+            node.scale.copy(object.scale);
+
+            for (const child of object.children) {
+                const childNode = copyNode(child);
+                if (childNode) node.add(childNode);
+            }
+
+            return node;
+        };
+
+        levelGroup.updateMatrixWorld(true);
+        const scene = new THREE.Scene();
+        scene.add(copyNode(levelGroup));
+
+        // Basic level info travels along as glTF extras
+        const { levelData, startPosition, goalPosition, startStorey, goalStorey } = levelGroup.userData;
+        scene.name = levelData?.name || 'Level';
+        scene.userData = {
+            name: levelData?.name,
+            startPosition: startPosition?.toArray(),
+            goalPosition: goalPosition?.toArray(),
+            startStorey,
+            goalStorey
+        };
+
+        scene.updateMatrixWorld(true);
+        return scene;
+    }
+
+    /**
+     * Get a PNG data URL for a canvas texture
+     * @param {THREE.Texture} texture - Texture (may be null)
+     * @returns {string|null} Data URL, null if the texture has no canvas image
+     */
+    getTextureDataURL(texture) {
+        const image = texture?.image;
+        return image && typeof image.toDataURL === 'function' ? image.toDataURL('image/png') : null;
+    }
+
+    /**
+     * Format a colour as MTL "r g b" (sRGB, as viewers expect)
+     * @param {THREE.Color} color - Colour
+     * @returns {string} Space separated components
+     */
+    formatColor(color) {
+        const { r, g, b } = color.getRGB({}, THREE.SRGBColorSpace);
+        return `${r.toFixed(3)} ${g.toFixed(3)} ${b.toFixed(3)}`;
+    }
+
+    /**
+     * Offer exported files as browser downloads
+     * @param {Array<{fileName: string, data: string|ArrayBuffer, mimeType: string}>} files - Files from export
+     */
+    download(files) {
+        for (const file of files) {
+            const isDataURL = typeof file.data === 'string' && file.data.startsWith('data:');
+            const url = isDataURL ? file.data : URL.createObjectURL(new Blob([file.data], { type: file.mimeType }));
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = file.fileName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+
+            if (!isDataURL) {
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+            }
+        }
+    }
+}
\ No newline at end of file
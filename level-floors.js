@@ -0,0 +1,76 @@
+/**
+ * Helpers for levels made of several stacked floors (storeys)
+ * A level either has a single top-level "grid" or a "floors" array of
+ * { name, grid, legend } entries, ordered from the lowest storey upwards
+ */
+
+/**
+ * Get the floors of a level in a uniform shape
+ * @param {Object} levelData - Parsed level JSON
+ * @returns {Array<{index: number, name: string, grid: Array, legend: Object}>} Floors, lowest first
+ */
+export function getLevelFloors(levelData) {
+    const floors = Array.isArray(levelData?.floors) ? levelData.floors : [{ grid: levelData?.grid }];
+
+    return floors.map((floor, index) => ({
+        index,
+        name: floor?.name || `Floor ${index + 1}`,
+        grid: floor?.grid,
+        // Floors can override or extend the level-wide legend
+        legend: { ...(levelData?.legend || {}), ...(floor?.legend || {}) }
+    }));
+}
+
+/**
+ * Get the character at a grid position
+ * @param {Array} grid - Grid rows (strings or character arrays)
+ * @param {number} x - Column
+ * @param {number} z - Row
+ * @returns {string|undefined} Character, undefined when out of bounds
+ */
+export function getGridCell(grid, x, z) {
+    return grid?.[z]?.[x];
+}
+
+/**
+ * Find where a stair or elevator cell leads
+ * Stairs lead to the same cell one floor up or down. Elevators lead to the next
+ * floor above with an elevator in the same cell, wrapping around to the lowest one.
+ * @param {Array<Object>} floors - Floors from getLevelFloors
+ * @param {Array<Map<string, Object>>} floorTiles - Resolved legend of each floor
+ * @param {number} floorIndex - Floor the connector is on
+ * @param {number} x - Column of the connector
+ * @param {number} z - Row of the connector
+ * @returns {{floor: number, x: number, z: number}|null} Target cell, or null if it leads nowhere walkable
+ */
+export function findConnectorTarget(floors, floorTiles, floorIndex, x, z) {
+    const tileAt = (index) => floorTiles[index]?.get(getGridCell(floors[index]?.grid, x, z));
+    const connector = tileAt(floorIndex)?.connector;
+
+    if (connector === 'up' || connector === 'down') {
+        const target = floorIndex + (connector === 'up' ? 1 : -1);
+        return tileAt(target)?.walkable ? { floor: target, x, z } : null;
+    }
+
+    if (connector === 'elevator') {
+        for (let step = 1; step < floors.length; step++) {
+            const target = (floorIndex + step) % floors.length;
+            if (tileAt(target)?.connector === 'elevator') {
+                return { floor: target, x, z };
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Key identifying a cell on a specific floor
+ * @param {number} floor - Floor index
+ * @param {number} x - Column
+ * @param {number} z - Row
+ * @returns {string} Cell key
+ */
+export function getCellKey(floor, x, z) {
+    return `${floor}:${x}:${z}`;
+}
\ No newline at end of file
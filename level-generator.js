@@ -1,82 +1,148 @@
 import * as THREE from 'three';
-import { TextureGenerator } from './texture-generator.js';
+import { TextureGenerator, DEFAULT_TEXTURE_SEED, DEFAULT_THEME } from './texture-generator.js';
 import { ResourceManager } from './resource-manager.js';
 import { SpatialHashGrid } from './spatial-hash-grid.js';
 import { FluorescentLight } from './fluorescent-light.js';
+import { validateLevel, LevelValidationError } from './level-validator.js';
+import { TileRegistry, UNKNOWN_TILE } from './tile-registry.js';
+import { getCellKey } from './level-floors.js';
+import { analyzeLevel } from './level-analyzer.js';
+import { createLevelModel, LEVEL_DIMENSIONS, openCellSegments, wallBlockAt, wallSegmentAt } from './level-model.js';
 
 
 export class LevelGenerator {
     constructor() {
+        // Standard dimensions
+        this.dimensions = { ...LEVEL_DIMENSIONS };
+        this.corridorWidth = this.dimensions.corridorWidth;
+        this.roomHeight = this.dimensions.roomHeight;
+        this.wallThickness = this.dimensions.wallThickness;
+        
+        // Vertical distance between stacked floors (ceiling plus a slab)
+        this.storeyHeight = this.roomHeight + this.wallThickness;
+        
         // Get resource manager instance
         this.resourceManager = new ResourceManager();
         
         // Create texture generator
         this.textureGenerator = new TextureGenerator();
         
-        // Generate shared textures for 90s office aesthetic
-        const wallTexture = this.textureGenerator.generateWallTexture('stripes', 'nineties');
-        const floorTexture = this.textureGenerator.generateFloorTexture();
-        const ceilingTexture = this.textureGenerator.generateCeilingTexture();
-        
         // Create shared geometries
         this.geometries = {
             wall: this.resourceManager.getGeometry('wall_block', () => {
-                return new THREE.BoxGeometry(2, 3, 2);
+                return new THREE.BoxGeometry(this.corridorWidth, this.roomHeight, this.corridorWidth);
             }),
             wallSection: this.resourceManager.getGeometry('wall_section', () => {
-                return new THREE.BoxGeometry(2, 3, 0.2);
+                return new THREE.BoxGeometry(this.corridorWidth, this.roomHeight, this.wallThickness);
             }),
             floor: this.resourceManager.getGeometry('floor', () => {
                 return new THREE.PlaneGeometry(1, 1);
             }),
             ceiling: this.resourceManager.getGeometry('ceiling', () => {
                 return new THREE.PlaneGeometry(1, 1);
+            }),
+            stairStep: this.resourceManager.getGeometry('stair_step', () => {
+                return new THREE.BoxGeometry(1, 1, 1);
+            }),
+            elevator: this.resourceManager.getGeometry('elevator_platform', () => {
+                return new THREE.BoxGeometry(1.6, 0.05, 1.6);
+            }),
+            door: this.resourceManager.getGeometry('door', () => {
+                const { doorWidth, doorHeight, doorThickness } = this.dimensions;
+                return new THREE.BoxGeometry(doorWidth, doorHeight, doorThickness);
+            }),
+            keycard: this.resourceManager.getGeometry('keycard', () => {
+                return new THREE.BoxGeometry(0.35, 0.22, 0.03);
+            }),
+            // Collectible props by item, other items get the generic gem
+            file: this.resourceManager.getGeometry('collectible_file', () => {
+                return new THREE.BoxGeometry(0.3, 0.38, 0.04);
+            }),
+            coffee: this.resourceManager.getGeometry('collectible_coffee', () => {
+                return new THREE.CylinderGeometry(0.08, 0.065, 0.18, 12);
+            }),
+            collectible: this.resourceManager.getGeometry('collectible', () => {
+                return new THREE.OctahedronGeometry(0.15);
             })
         };
         
-        // Create shared materials
+        // Create shared materials (wall, floor and ceiling come from the level theme)
         this.materials = {
-            wall: this.resourceManager.getMaterial('wall', () => {
+            start: this.resourceManager.getMaterial('start', () => {
+                return new THREE.MeshBasicMaterial({ color: 0x0000ff });
+            }),
+            goal: this.resourceManager.getMaterial('goal', () => {
                 return new THREE.MeshStandardMaterial({ 
-                    map: wallTexture,
-                    roughness: 0.6,
-                    metalness: 0.15,
-                    emissive: 0x111111,
-                    emissiveIntensity: 0.1
+                    color: 0x00ff00, 
+                    emissive: 0x002200,
+                    roughness: 0.4,
+                    metalness: 0.3
                 });
             }),
-            floor: this.resourceManager.getMaterial('floor', () => {
+            stairs: this.resourceManager.getMaterial('stairs', () => {
                 return new THREE.MeshStandardMaterial({ 
-                    map: floorTexture, 
-                    roughness: 0.9,
-                    metalness: 0.0
+                    color: 0x6b6b6b, 
+                    roughness: 0.8,
+                    metalness: 0.1
                 });
             }),
-            ceiling: this.resourceManager.getMaterial('ceiling', () => {
+            elevator: this.resourceManager.getMaterial('elevator', () => {
                 return new THREE.MeshStandardMaterial({ 
-                    map: ceilingTexture, 
-                    roughness: 0.5,
-                    metalness: 0.1
+                    color: 0xb0b4b8, 
+                    emissive: 0x111820,
+                    roughness: 0.3,
+                    metalness: 0.8
                 });
             }),
-            goal: this.resourceManager.getMaterial('goal', () => {
+            door: this.resourceManager.getMaterial('door', () => {
                 return new THREE.MeshStandardMaterial({ 
-                    color: 0x00ff00, 
-                    emissive: 0x002200,
-                    roughness: 0.4,
-                    metalness: 0.3
+                    color: 0x8b6b4a, 
+                    roughness: 0.7,
+                    metalness: 0.05
                 });
+            }),
+            // Floor patches of checkpoint and hazard triggers
+            checkpoint: this.resourceManager.getMaterial('checkpoint', () => {
+                return new THREE.MeshBasicMaterial({ color: 0x00c0ff, transparent: true, opacity: 0.35 });
+            }),
+            hazard: this.resourceManager.getMaterial('hazard', () => {
+                return new THREE.MeshBasicMaterial({ color: 0xff3000, transparent: true, opacity: 0.5 });
             })
         };
+        
+        // Textured materials for the 90s office aesthetic, created per level by applyTheme
+        // (textures are drawn on canvases, so nothing DOM-bound happens before a level is built)
+        this.materialKeys = {};
+        
+        // Keycard colours by key name (legend entries can also set "color")
+        this.keyColors = {
+            master: 0xffcc00,
+            red: 0xff3030,
+            blue: 0x3070ff,
+            green: 0x30c050,
+            yellow: 0xffe030
+        };
+        
+        // Collectible colours by item name (legend entries can also set "color")
+        this.collectibleColors = {
+            file: 0xf0d9a0,
+            coffee: 0xffffff
+        };
 
-        // Standard dimensions
-        this.corridorWidth = 2;
-        this.roomHeight = 3;
-        this.wallThickness = 0.2;
+        // Tile types that legend entries resolve to
+        this.tileRegistry = new TileRegistry();
+        this.tiles = this.tileRegistry.resolveLegend();
+        
+        // Builders for custom named render modes; the built-in modes (block, open, stairs,
+        // elevator, door, keycard, collectible, none) are laid out by the level model
+        this.tileRenderers = {};
         
-        // For tracking instanced walls
+        // Transforms of the instanced walls of the floor being built
         this.wallBlocks = [];
         this.wallSections = [];
+        
+        // Model of the floor being built, custom renderers' walls are added to it
+        this.floorModel = null;
     }
     
     /**
@@ -88,13 +154,22 @@ export class LevelGenerator {
         return gridStrings.map(row => row.split(''));
     }
     
+    /**
+     * Get the tile a grid character resolves to through the current level's legend
+     * @param {string} cell - The cell character
+     * @returns {Object} Tile type (an inert placeholder for unknown characters)
+     */
+    getTile(cell) {
+        return this.tiles.get(cell) || UNKNOWN_TILE;
+    }
+    
     /**
      * Determine if a cell is a floor/walkable area
      * @param {string} cell - The cell character 
      * @returns {boolean} - True if walkable, false otherwise
      */
     isWalkableCell(cell) {
-        return cell === '.' || cell === 'S' || cell === 'E';
+        return this.getTile(cell).walkable;
     }
     
     /**
@@ -103,7 +178,8 @@ export class LevelGenerator {
      * @returns {boolean} - True if hidden area, false otherwise
      */
     isHiddenCell(cell) {
-        return cell === 'x';
+        const tile = this.getTile(cell);
+        return tile.solid && tile.render === 'none';
     }
     
     /**
@@ -112,7 +188,28 @@ export class LevelGenerator {
      * @returns {boolean} - True if cell is a wall, false otherwise
      */
     isWallCell(cell) {
-        return cell === '-' || cell === '|';
+        return this.getTile(cell).render === 'block';
+    }
+    
+    /**
+     * Determine if a cell blocks movement (walkable neighbours get a wall facing it)
+     * @param {string} cell - The cell character
+     * @returns {boolean} - True if solid, false otherwise
+     */
+    isSolidCell(cell) {
+        return this.getTile(cell).solid;
+    }
+    
+    /**
+     * Convert a world position to the grid cell it lies in
+     * @param {THREE.Vector3} position - World position
+     * @returns {{x: number, z: number}} Grid cell
+     */
+    worldToCell(position) {
+        return {
+            x: Math.round(position.x / this.corridorWidth),
+            z: Math.round(position.z / this.corridorWidth)
+        };
     }
 
     async loadLevel(levelFile) {
@@ -122,37 +219,171 @@ export class LevelGenerator {
                 throw new Error(`Failed to load level: ${response.status} ${response.statusText}`);
             }
             const levelData = await response.json();
-            return this.generateLevel(levelData);
+            return this.loadLevelData(levelData, levelFile);
         } catch (error) {
             console.error("Error loading level:", error);
             throw error;
         }
     }
 
+    /**
+     * Validate level data and generate it, refusing levels that would render incorrectly
+     * @param {Object} levelData - Parsed level JSON
+     * @param {string} source - Level file or description used in error messages
+     * @returns {THREE.Group} The generated level
+     * @throws {LevelValidationError} If the level data is invalid
+     */
+    loadLevelData(levelData, source = levelData?.name) {
+        const { valid, errors } = validateLevel(levelData);
+        if (!valid) {
+            throw new LevelValidationError(errors, source);
+        }
+        
+        const level = this.generateLevel(levelData);
+        
+        // Point out hand-written difficulty labels the layout does not back up
+        const analysis = level.userData.analysis;
+        if (analysis.difficultyMatches === false) {
+            console.warn(`Level "${source}" is labelled "${analysis.declaredDifficulty}" but its layout rates as "${analysis.difficulty}" (score ${analysis.score})`);
+        }
+        
+        return level;
+    }
+
+    /**
+     * Switch the wall, floor and ceiling materials to a level's look
+     * Textures are generated from the level's "textureSeed", so a level looks
+     * the same on every load; levels sharing a seed and theme share materials
+     * @param {Object} levelData - Level JSON, its optional "textureSeed" and "theme" are used
+     */
+    applyTheme(levelData = {}) {
+        const seed = levelData.textureSeed ?? DEFAULT_TEXTURE_SEED;
+        const theme = { ...DEFAULT_THEME, ...(levelData.theme || {}) };
+        
+        this.materialKeys = {
+            wall: `wall_${theme.wallStyle}_${theme.wallPalette}_${seed}`,
+            floor: `floor_${seed}`,
+            ceiling: `ceiling_${seed}`
+        };
+        
+        this.materials.wall = this.resourceManager.getMaterial(this.materialKeys.wall, () => {
+            return new THREE.MeshStandardMaterial({ 
+                map: this.textureGenerator.generateWallTexture(theme.wallStyle, theme.wallPalette, seed),
+                roughness: 0.6,
+                metalness: 0.15,
+                emissive: 0x111111,
+                emissiveIntensity: 0.1
+            });
+        });
+        this.materials.floor = this.resourceManager.getMaterial(this.materialKeys.floor, () => {
+            return new THREE.MeshStandardMaterial({ 
+                map: this.textureGenerator.generateFloorTexture(seed), 
+                roughness: 0.9,
+                metalness: 0.0
+            });
+        });
+        this.materials.ceiling = this.resourceManager.getMaterial(this.materialKeys.ceiling, () => {
+            return new THREE.MeshStandardMaterial({ 
+                map: this.textureGenerator.generateCeilingTexture(seed), 
+                roughness: 0.5,
+                metalness: 0.1
+            });
+        });
+    }
+
     generateLevel(levelData) {
-        const levelGroup = new THREE.Group();
-        levelGroup.name = "Level";
+        // Textures and colours for this level
+        this.applyTheme(levelData);
+        
+        // Interpret the grid into plain data first, then turn that into meshes
+        const model = createLevelModel(levelData, this.dimensions);
+        const levelGroup = this.buildLevel(model);
         
         // Store level data in the group's userData for reference in other methods
         levelGroup.userData.levelData = levelData;
+        levelGroup.userData.analysis = analyzeLevel(levelData);
         
-        // Parse grid if needed
-        const grid = Array.isArray(levelData.grid[0]) ? 
-            levelData.grid : this.parseGridFormat(levelData.grid);
-        
-        // Calculate world size for spatial grid
-        const worldSizeX = grid[0].length * this.corridorWidth;
-        const worldSizeZ = grid.length * this.corridorWidth;
+        return levelGroup;
+    }
+
+    /**
+     * Build the Three.js objects for a level model
+     * @param {Object} model - Model from createLevelModel
+     * @returns {THREE.Group} Level group with one child group per floor
+     */
+    buildLevel(model) {
+        const levelGroup = new THREE.Group();
+        levelGroup.name = "Level";
         
-        // Initialize spatial grid for physics/collision optimization
-        this.spatialGrid = new SpatialHashGrid(this.corridorWidth * 2, worldSizeX, worldSizeZ);
-        levelGroup.userData.spatialGrid = this.spatialGrid;
+        levelGroup.userData.model = model;
+        levelGroup.userData.floors = [];
+        levelGroup.userData.doors = [];
+        levelGroup.userData.keycards = [];
+        levelGroup.userData.collectibles = [];
 
         // Add a simple ambient light
-        this.addLighting(levelGroup, levelData);
+        this.addLighting(levelGroup);
         
-        // Generate grid-based layout
-        this.generateGrid(levelGroup, levelData);
+        model.floors.forEach(floorModel => {
+            // Resolve this floor's legend for custom tile renderers
+            this.tiles = this.tileRegistry.resolveLegend(floorModel.legend);
+            
+            // Each storey is built in its own group, raised to its elevation
+            const floorGroup = new THREE.Group();
+            floorGroup.name = floorModel.name;
+            floorGroup.position.y = floorModel.elevation;
+            
+            // Doors and pickups of this storey, for nearby-object queries (walls live in the collision grid)
+            this.spatialGrid = new SpatialHashGrid(this.corridorWidth * 2);
+            
+            this.buildFloor(floorGroup, floorModel);
+            levelGroup.add(floorGroup);
+            
+            levelGroup.userData.floors.push({
+                index: floorModel.index,
+                name: floorModel.name,
+                elevation: floorModel.elevation,
+                grid: floorModel.grid,
+                group: floorGroup,
+                spatialGrid: this.spatialGrid
+            });
+            
+            // Collect doors, keycards and collectibles, tagged with their storey
+            floorGroup.userData.doors.forEach(door => {
+                levelGroup.userData.doors.push({ ...door, storey: floorModel.index });
+            });
+            floorGroup.userData.keycards.forEach(keycard => {
+                levelGroup.userData.keycards.push({ ...keycard, storey: floorModel.index });
+            });
+            floorGroup.userData.collectibles.forEach(collectible => {
+                levelGroup.userData.collectibles.push({ ...collectible, storey: floorModel.index });
+            });
+        });
+        
+        // Checkpoints and hazards are marked on the floor, other triggers are invisible
+        model.triggers.forEach(trigger => {
+            this.addTriggerMarker(levelGroup.userData.floors[trigger.floor].group, trigger);
+        });
+        
+        // Lift start and goal into level space
+        if (model.start) {
+            levelGroup.userData.startPosition = this.cellToWorld(model.start, 1.8);
+            levelGroup.userData.startStorey = model.start.floor;
+        }
+        if (model.goal) {
+            levelGroup.userData.goalPosition = this.cellToWorld(model.goal, 1);
+            levelGroup.userData.goalStorey = model.goal.floor;
+        }
+        
+        // Link stair and elevator cells to the cell they lead to
+        levelGroup.userData.connectors = new Map(model.connectors.map(connector => [
+            getCellKey(connector.from.floor, connector.from.x, connector.from.z),
+            connector.to
+        ]));
+        
+        // The player starts on the start marker's storey
+        const startStorey = levelGroup.userData.startStorey || 0;
+        levelGroup.userData.spatialGrid = levelGroup.userData.floors[startStorey].spatialGrid;
 
         // Enable frustum culling on the entire level
         levelGroup.traverse(object => {
@@ -164,50 +395,83 @@ export class LevelGenerator {
         return levelGroup;
     }
 
-    addLighting(levelGroup, levelData) {
-        // Use a lightweight ambient light only
-        const ambient = new THREE.AmbientLight(0xb0b0b0);
-        levelGroup.add(ambient);
+    /**
+     * World position of a model cell, lifted to its floor's elevation
+     * @param {{floor: number, x: number, z: number}} cell - Cell on a floor
+     * @param {number} height - Height above the floor
+     * @returns {THREE.Vector3} World position
+     */
+    cellToWorld(cell, height = 0) {
+        return new THREE.Vector3(
+            cell.x * this.corridorWidth,
+            cell.floor * this.storeyHeight + height,
+            cell.z * this.corridorWidth
+        );
     }
 
-    identifyLightPositions(grid) {
-        const lightPositions = [];
-    
-        for (let z = 1; z < grid.length - 1; z++) {
-            for (let x = 1; x < grid[z].length - 1; x++) {
-                if (grid[z][x] !== 'l') continue;
-    
-                const vertical = this.isWalkableCell(grid[z-1][x]) && 
-                            this.isWalkableCell(grid[z+1][x]) && 
-                            !this.isWalkableCell(grid[z][x-1]) && 
-                            !this.isWalkableCell(grid[z][x+1]);
-    
-                // Add light position with appropriate rotation
-                lightPositions.push({
-                    x: x * this.corridorWidth,
-                    z: z * this.corridorWidth,
-                    rotation: (!vertical) ? Math.PI/2 : 0
-                });
+    /**
+     * Remove a generated level and free everything it owns
+     * Shared geometries and materials stay cached in the ResourceManager for the next
+     * level; per-level geometries (floor planes, markers), instance buffers and light
+     * shadow maps are disposed
+     * @param {THREE.Group} levelGroup - Level group from generateLevel
+     */
+    disposeLevel(levelGroup) {
+        const sharedGeometries = new Set(Object.values(this.resourceManager.geometries));
+        const sharedMaterials = new Set(Object.values(this.resourceManager.materials));
+        
+        levelGroup.removeFromParent();
+        levelGroup.traverse(object => {
+            if (object.isInstancedMesh) {
+                object.dispose();
             }
-        }
-        return lightPositions;
+            if (object.geometry && !sharedGeometries.has(object.geometry)) {
+                object.geometry.dispose();
+            }
+            if (object.material && !sharedMaterials.has(object.material)) {
+                object.material.dispose();
+            }
+            if (object.isLight) {
+                object.dispose();
+            }
+        });
+        
+        // Drop references to meshes, grids and the level data
+        levelGroup.clear();
+        levelGroup.userData = {};
+        this.spatialGrid = null;
+        this.wallBlocks = [];
+        this.wallSections = [];
+        this.floorModel = null;
     }
-    
 
-    generateGrid(levelGroup, levelData) {
-        // Use legend-aware parsing
-        const rawGrid = levelData.grid;
-        const grid = this.parseGridFormat(rawGrid);
-        const directions = [
-            {x: 0, z: -1},
-            {x: 1, z: 0},
-            {x: 0, z: 1},
-            {x: -1, z: 0}
-        ];
+    addLighting(levelGroup) {
+        // Use a lightweight ambient light only
+        const ambient = new THREE.AmbientLight(0xb0b0b0);
+        levelGroup.add(ambient);
+    }
+
+    /**
+     * Build the meshes of one floor from its model
+     * @param {THREE.Group} levelGroup - Floor group to build into
+     * @param {Object} floorModel - Floor from the level model
+     */
+    buildFloor(levelGroup, floorModel) {
+        const grid = floorModel.grid;
+        
+        // Interactive objects built by door, keycard and collectible tiles
+        levelGroup.userData.doors = [];
+        levelGroup.userData.keycards = [];
+        levelGroup.userData.collectibles = [];
+        
+        // Wall transforms are collected per floor and batched once the grid is done
+        this.wallBlocks = [];
+        this.wallSections = [];
+        this.floorModel = floorModel;
 
         // Create floor and ceiling
-        const gridWidth = grid[0].length;
-        const gridHeight = grid.length;
+        const gridWidth = floorModel.width;
+        const gridHeight = floorModel.depth;
         
         const floorGeometry = new THREE.PlaneGeometry(
             gridWidth * this.corridorWidth, 
@@ -238,148 +502,315 @@ export class LevelGenerator {
         ceiling.receiveShadow = true;
         levelGroup.add(ceiling);
 
-        // Variables to store start and goal positions
-        let startPosition = null;
-        let goalPosition = null;
-
-        // Create walls based on grid
-        for (let z = 0; z < grid.length; z++) {
-            for (let x = 0; x < grid[z].length; x++) {
-                const cell = grid[z][x];
-                
-                if (this.isWallCell(cell)) {
-                    this.createWallBlock(levelGroup, x, z);
-                } else if (this.isHiddenCell(cell)) {
-                    // Hidden area: do nothing
-                } else if (this.isWalkableCell(cell)) {
-                    // For walkable cells, check surrounding directions
-                    for (let i = 0; i < 4; i++) {
-                        const nx = x + directions[i].x;
-                        const nz = z + directions[i].z;
-                        
-                        if (
-                            nx < 0 || nx >= grid[z].length || 
-                            nz < 0 || nz >= grid.length || 
-                            this.isWallCell(grid[nz][nx]) || 
-                            this.isHiddenCell(grid[nz][nx])
-                        ) {
-                            this.createWall(levelGroup, x, z, i);
-                        }
-                    }
-                    
-                    if (cell === 'S') {
-                        startPosition = { x, z };
-                        this.addStartPosition(levelGroup, { x, z });
-                    } else if (cell === 'E') {
-                        goalPosition = { x, z };
-                        this.addGoalPosition(levelGroup, { x, z });
-                    }
-                }
+        // Walls, fixtures and interactive objects described by the model
+        floorModel.wallBlocks.forEach(block => this.addWallBlock(block));
+        floorModel.wallSegments.forEach(segment => this.addWallSegment(segment));
+        floorModel.stairs.forEach(stairs => this.createStairs(levelGroup, stairs));
+        floorModel.elevators.forEach(elevator => this.createElevator(levelGroup, elevator));
+        floorModel.doors.forEach(door => this.createDoor(levelGroup, door));
+        floorModel.keycards.forEach(keycard => this.createKeycard(levelGroup, keycard));
+        floorModel.collectibles.forEach(collectible => this.createCollectible(levelGroup, collectible));
+        
+        // Tiles with their own renderer build themselves
+        floorModel.customCells.forEach(({ x, z, tile }) => {
+            if (typeof tile.render === 'function') {
+                tile.render(this, levelGroup, x, z, tile, grid);
+            } else {
+                this.tileRenderers[tile.render]?.(levelGroup, x, z, tile, grid);
             }
-        }
+        });
 
-            // After creating walls, add lights
-        const fluorescentLight = new FluorescentLight();
-        const lightPositions = this.identifyLightPositions(grid);
+        // One draw call per wall kind instead of one mesh per wall
+        this.addInstancedBatch(levelGroup, 'wall_block', this.materialKeys.wall, this.wallBlocks);
+        this.addInstancedBatch(levelGroup, 'wall_section', this.materialKeys.wall, this.wallSections);
 
-        lightPositions.forEach(pos => {
-            const light = fluorescentLight.createLightFixture(true);
-            light.position.set(pos.x, this.roomHeight - 0.1, pos.z);
-            light.rotation.y = pos.rotation;
-            levelGroup.add(light);
-        });
+        // After creating walls, add lights (fixtures are instanced as well)
+        if (floorModel.lights.length > 0) {
+            const fluorescentLight = new FluorescentLight();
+            const fixtures = fluorescentLight.createInstancedFixtures(floorModel.lights.map(light => ({
+                position: new THREE.Vector3(light.position.x, light.position.y, light.position.z),
+                rotation: light.rotation
+            })));
+            levelGroup.add(fixtures);
+        }
         
-        // Store positions in the level group for easy access
-        if (startPosition) {
-            levelGroup.userData.startPosition = new THREE.Vector3(
-                startPosition.x * this.corridorWidth,
-                1.8,
-                startPosition.z * this.corridorWidth
-            );
+        if (floorModel.start) {
+            this.addStartPosition(levelGroup, floorModel.start);
         }
+        floorModel.goals.forEach(goal => this.addGoalPosition(levelGroup, goal));
+    }
 
-        if (goalPosition) {
-            levelGroup.userData.goalPosition = new THREE.Vector3(
-                goalPosition.x * this.corridorWidth,
-                1,
-                goalPosition.z * this.corridorWidth
-            );
+    /**
+     * Build an open cell: a wall section on every side facing a solid cell or the grid edge
+     * Used by custom tile renderers, built-in tiles get their walls from the level model
+     * @param {THREE.Group} levelGroup - Level group to add walls to
+     * @param {number} x - Grid X
+     * @param {number} z - Grid Z
+     * @param {Object} tile - Tile type of the cell
+     * @param {Array<Array<string>>} grid - Parsed level grid
+     */
+    createOpenCell(levelGroup, x, z, tile, grid) {
+        const isSolid = (nx, nz) => nz < 0 || nz >= grid.length || nx < 0 || nx >= grid[nz].length ||
+            this.isSolidCell(grid[nz][nx]);
+        
+        openCellSegments(x, z, isSolid, this.dimensions).forEach(segment => this.addCustomWallSegment(segment));
+    }
+
+    /**
+     * Build the steps of a stair cell
+     * @param {THREE.Group} levelGroup - Floor group to add the steps to
+     * @param {Object} stairs - Stairs from the floor model
+     */
+    createStairs(levelGroup, stairs) {
+        for (const stepModel of stairs.steps) {
+            const step = new THREE.Mesh(this.geometries.stairStep, this.materials.stairs);
+            step.name = "stairs";
+            step.scale.set(stepModel.size.x, stepModel.size.y, stepModel.size.z);
+            step.position.set(stepModel.position.x, stepModel.position.y, stepModel.position.z);
+            step.receiveShadow = true;
+            levelGroup.add(step);
         }
     }
 
-    createWallBlock(levelGroup, x, z) {
-        const position = new THREE.Vector3(
-            x * this.corridorWidth,
-            this.roomHeight / 2,
-            z * this.corridorWidth
-        );
+    /**
+     * Build an elevator platform marking the lift
+     * @param {THREE.Group} levelGroup - Floor group to add the platform to
+     * @param {Object} elevator - Elevator from the floor model
+     */
+    createElevator(levelGroup, elevator) {
+        const platform = new THREE.Mesh(this.geometries.elevator, this.materials.elevator);
+        platform.name = "elevator";
+        platform.position.set(elevator.position.x, elevator.position.y, elevator.position.z);
+        platform.receiveShadow = true;
+        levelGroup.add(platform);
+    }
+
+    /**
+     * Build a door panel across the corridor
+     * The panel slides sideways into the neighbouring wall when opened (see DoorSystem)
+     * @param {THREE.Group} levelGroup - Floor group to add the door to
+     * @param {Object} doorModel - Door from the floor model (lock names the keycard it needs)
+     */
+    createDoor(levelGroup, doorModel) {
+        const door = new THREE.Mesh(this.geometries.door, this.getDoorMaterial(doorModel));
+        door.name = "door";
+        door.rotation.y = doorModel.alongX ? Math.PI / 2 : 0;
+        door.castShadow = true;
+        door.receiveShadow = true;
         
-        const wall = new THREE.Mesh(this.geometries.wall, this.materials.wall);
-        wall.name = "wall_block";
-        wall.position.copy(position);
+        const position = new THREE.Vector3(doorModel.position.x, doorModel.position.y, doorModel.position.z);
+        door.position.copy(position);
         
-        const stringGrid = levelGroup.userData.levelData?.grid;
-        const grid = Array.isArray(stringGrid) && typeof stringGrid[0] === 'string' ?
-            this.parseGridFormat(stringGrid) : stringGrid;
-            
-        const isPerimeter = grid ? (x === 0 || z === 0 || 
-                            x === grid[0].length - 1 || 
-                            z === grid.length - 1) : true;
-                            
-        wall.castShadow = isPerimeter;
-        wall.receiveShadow = true;
+        if (this.spatialGrid) {
+            const halfExtents = doorModel.halfExtents;
+            this.spatialGrid.insertObject(door, position, { x: halfExtents.x * 2, z: halfExtents.z * 2 });
+        }
+        
+        levelGroup.add(door);
+        levelGroup.userData.doors.push({
+            mesh: door,
+            lock: doorModel.lock,
+            cell: { x: doorModel.x, z: doorModel.z },
+            closedPosition: position.clone(),
+            slideAxis: doorModel.slideAxis,
+            slideDistance: doorModel.slideDistance,
+            halfExtents: { ...doorModel.halfExtents }
+        });
+    }
+
+    /**
+     * Build a floating keycard pickup
+     * @param {THREE.Group} levelGroup - Floor group to add the keycard to
+     * @param {Object} keycardModel - Keycard from the floor model (key names the lock it opens)
+     */
+    createKeycard(levelGroup, keycardModel) {
+        const keycard = new THREE.Mesh(this.geometries.keycard, this.getKeyMaterial(keycardModel.key, keycardModel.color));
+        keycard.name = "keycard";
+        keycard.position.set(keycardModel.position.x, keycardModel.position.y, keycardModel.position.z);
+        
+        levelGroup.add(keycard);
+        levelGroup.userData.keycards.push({
+            mesh: keycard,
+            key: keycardModel.key,
+            cell: { x: keycardModel.x, z: keycardModel.z }
+        });
+    }
+
+    /**
+     * Build a collectible prop; it goes into the floor's spatial grid so pickups are found by position
+     * @param {THREE.Group} levelGroup - Floor group to add the collectible to
+     * @param {Object} collectibleModel - Collectible from the floor model (item name and points)
+     */
+    createCollectible(levelGroup, collectibleModel) {
+        const { item, color } = collectibleModel;
+        const collectible = new THREE.Mesh(
+            this.geometries[item] ?? this.geometries.collectible,
+            this.getCollectibleMaterial(item, color)
+        );
+        collectible.name = `collectible_${item}`;
+        collectible.position.set(collectibleModel.position.x, collectibleModel.position.y, collectibleModel.position.z);
         
         if (this.spatialGrid) {
-            this.spatialGrid.insertObject(wall, position);
+            this.spatialGrid.insertObject(collectible, collectible.position);
         }
         
-        levelGroup.add(wall);
-        this.wallBlocks.push(wall);
+        levelGroup.add(collectible);
+        levelGroup.userData.collectibles.push({
+            mesh: collectible,
+            item,
+            points: collectibleModel.points,
+            cell: { x: collectibleModel.x, z: collectibleModel.z }
+        });
+    }
+
+    /**
+     * Get the shared material for a door, tinted with its lock's keycard colour
+     * @param {Object} door - Door model or tile (uses lock and an optional color)
+     * @returns {THREE.Material}
+     */
+    getDoorMaterial(door) {
+        if (!door.lock) {
+            return this.materials.door;
+        }
+        
+        const color = door.color ?? this.keyColors[door.lock] ?? 0xffffff;
+        return this.resourceManager.getMaterial(`door_${door.lock}_${color}`, () => {
+            return new THREE.MeshStandardMaterial({ 
+                color: 0x8b6b4a, 
+                emissive: color,
+                emissiveIntensity: 0.25,
+                roughness: 0.7,
+                metalness: 0.05
+            });
+        });
+    }
+
+    /**
+     * Get the shared material for a keycard
+     * @param {string} key - Key name
+     * @param {number|string} colorOverride - Colour from the legend entry (optional)
+     * @returns {THREE.Material}
+     */
+    getKeyMaterial(key, colorOverride) {
+        const color = colorOverride ?? this.keyColors[key] ?? 0xffffff;
+        return this.resourceManager.getMaterial(`keycard_${key}_${color}`, () => {
+            return new THREE.MeshStandardMaterial({ 
+                color: color, 
+                emissive: color,
+                emissiveIntensity: 0.4,
+                roughness: 0.3,
+                metalness: 0.5
+            });
+        });
+    }
+
+    /**
+     * Get the shared material for a collectible
+     * @param {string} item - Item name
+     * @param {number|string} colorOverride - Colour from the legend entry (optional)
+     * @returns {THREE.Material}
+     */
+    getCollectibleMaterial(item, colorOverride) {
+        const color = colorOverride ?? this.collectibleColors[item] ?? 0x40e0ff;
+        return this.resourceManager.getMaterial(`collectible_${item}_${color}`, () => {
+            return new THREE.MeshStandardMaterial({ 
+                color: color, 
+                emissive: color,
+                emissiveIntensity: 0.3,
+                roughness: 0.5,
+                metalness: 0.1
+            });
+        });
+    }
+
+    /**
+     * Build a wall block filling a cell, for custom tile renderers
+     * @param {THREE.Group} levelGroup - Floor group being built
+     * @param {number} x - Grid X
+     * @param {number} z - Grid Z
+     */
+    createWallBlock(levelGroup, x, z) {
+        const block = wallBlockAt(x, z, this.dimensions);
+        this.floorModel.wallBlocks.push(block);
+        this.addWallBlock(block);
     }
 
+    /**
+     * Build a wall section on one side of a cell, for custom tile renderers
+     * @param {THREE.Group} levelGroup - Floor group being built
+     * @param {number} x - Grid X
+     * @param {number} z - Grid Z
+     * @param {number} direction - Side of the cell (0 north, 1 east, 2 south, 3 west)
+     */
     createWall(levelGroup, x, z, direction) {
-        let wallWidth, wallDepth;
-        let posX = x * this.corridorWidth;
-        let posZ = z * this.corridorWidth;
-        
-        if (direction === 0 || direction === 2) { // North or South
-            wallWidth = this.corridorWidth;
-            wallDepth = this.wallThickness;
-            posZ += direction === 0 ? -this.corridorWidth/2 : this.corridorWidth/2;
-        } else { // East or West
-            wallWidth = this.wallThickness;
-            wallDepth = this.corridorWidth;
-            posX += direction === 3 ? -this.corridorWidth/2 : this.corridorWidth/2;
+        this.addCustomWallSegment(wallSegmentAt(x, z, direction, this.dimensions));
+    }
+
+    // Record a custom renderer's wall segment in the floor model, which collision is built from, and draw it
+    addCustomWallSegment(segment) {
+        this.floorModel.wallSegments.push(segment);
+        this.addWallSegment(segment);
+    }
+
+    /**
+     * Queue a wall block from the level model for the floor's wall batch
+     * @param {Object} block - Wall block from wallBlockAt
+     */
+    addWallBlock(block) {
+        const { x, y, z } = block.position;
+        const matrix = new THREE.Matrix4().makeTranslation(x, y, z);
+        this.wallBlocks.push(matrix);
+    }
+
+    /**
+     * Queue a wall segment from the level model for the floor's wall section batch
+     * East and west segments are the north/south section turned a quarter around Y
+     * @param {Object} segment - Wall segment from wallSegmentAt
+     */
+    addWallSegment(segment) {
+        const position = new THREE.Vector3(segment.position.x, segment.position.y, segment.position.z);
+        const rotation = new THREE.Quaternion();
+        if (segment.direction === 1 || segment.direction === 3) {
+            rotation.setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI / 2);
         }
         
-        const wall = new THREE.Mesh(this.geometries.wallSection, this.materials.wall);
-        wall.name = "wall_section";
+        const matrix = new THREE.Matrix4().compose(position, rotation, new THREE.Vector3(1, 1, 1));
+        this.wallSections.push(matrix);
+    }
+
+    /**
+     * Render a list of wall transforms as a single InstancedMesh
+     * The batch is only drawn; walls collide through the level model's wall blocks and segments
+     * @param {THREE.Group} levelGroup - Floor group to add the batch to
+     * @param {string} geometryKey - ResourceManager geometry key
+     * @param {string} materialKey - ResourceManager material key
+     * @param {Array<THREE.Matrix4>} matrices - Instance transforms (relative to the floor group)
+     * @returns {THREE.InstancedMesh|null} The batch, or null if there are no instances
+     */
+    addInstancedBatch(levelGroup, geometryKey, materialKey, matrices) {
+        if (matrices.length === 0) return null;
         
-        if (direction === 0 || direction === 2) {
-            wall.scale.set(1, 1, 0.1);
-        } else {
-            wall.scale.set(0.1, 1, 1);
-        }
+        const batch = this.resourceManager.createInstancedMesh(geometryKey, materialKey, matrices.length);
+        batch.name = geometryKey;
         
-        wall.castShadow = (x + z) % 3 === 0;
-        wall.receiveShadow = true;
+        matrices.forEach((matrix, index) => batch.setMatrixAt(index, matrix));
         
-        const position = new THREE.Vector3(posX, this.roomHeight / 2, posZ);
-        wall.position.copy(position);
+        batch.instanceMatrix.needsUpdate = true;
+        batch.computeBoundingSphere();
         
-        if (this.spatialGrid) {
-            this.spatialGrid.insertObject(wall, position);
-        }
+        batch.castShadow = true;
+        batch.receiveShadow = true;
         
-        levelGroup.add(wall);
-        this.wallSections.push(wall);
+        levelGroup.add(batch);
+        return batch;
     }
 
     addStartPosition(levelGroup, startPos) {
         const startMarker = new THREE.Mesh(
             new THREE.CylinderGeometry(0.2, 0.2, 0.1, 16),
-            new THREE.MeshBasicMaterial({ color: 0x0000ff })
+            this.materials.start
         );
+        startMarker.name = "start_marker";
         
         startMarker.position.set(
             startPos.x * this.corridorWidth,
@@ -396,11 +827,30 @@ export class LevelGenerator {
         );
     }
 
+    /**
+     * Mark a checkpoint or hazard trigger with a coloured patch on the floor
+     * @param {THREE.Group} floorGroup - Group of the trigger's floor
+     * @param {Object} trigger - Trigger from the level model
+     */
+    addTriggerMarker(floorGroup, trigger) {
+        if (trigger.type !== 'checkpoint' && trigger.type !== 'hazard') return;
+        
+        const { min, max } = trigger.bounds;
+        const marker = new THREE.Mesh(this.geometries.floor, this.materials[trigger.type]);
+        marker.name = `${trigger.type}_marker`;
+        marker.rotation.x = -Math.PI / 2;
+        marker.scale.set(max.x - min.x - 0.2, max.z - min.z - 0.2, 1);
+        marker.position.set((min.x + max.x) / 2, 0.01, (min.z + max.z) / 2);
+        
+        floorGroup.add(marker);
+    }
+
     addGoalPosition(levelGroup, goalPos) {
         const goalMarker = new THREE.Mesh(
             new THREE.BoxGeometry(1, 1, 1),
             this.materials.goal
         );
+        goalMarker.name = "goal_marker";
         
         goalMarker.position.set(
             goalPos.x * this.corridorWidth,
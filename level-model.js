@@ -0,0 +1,357 @@
+import { TileRegistry, UNKNOWN_TILE } from './tile-registry.js';
+import { getLevelFloors, findConnectorTarget } from './level-floors.js';
+
+/**
+ * Standard level dimensions in world units
+ */
+export const LEVEL_DIMENSIONS = {
+    corridorWidth: 2,
+    roomHeight: 3,
+    wallThickness: 0.2,
+    doorWidth: 1.8,
+    doorHeight: 2.6,
+    doorThickness: 0.1
+};
+
+// Render modes that build an open cell (walls facing solid neighbours) plus their fixture
+const OPEN_RENDER_MODES = ['open', 'stairs', 'elevator', 'door', 'keycard', 'collectible'];
+
+// Cell offsets by wall direction (north, east, south, west)
+const DIRECTIONS = [
+    { x: 0, z: -1 },
+    { x: 1, z: 0 },
+    { x: 0, z: 1 },
+    { x: -1, z: 0 }
+];
+
+/**
+ * Turn level JSON into a plain-data description of everything the level contains
+ * The model holds no Three.js objects and touches no DOM, so layout rules can run
+ * (and be tested) in Node; LevelGenerator turns it into meshes, and collision,
+ * minimaps and exporters can read it directly. Positions are world units relative
+ * to their floor (floor elevation is separate), cells are zero-based { x, z }.
+ * @param {Object} levelData - Parsed level JSON (single grid or "floors")
+ * @param {Object} dimensions - Overrides for LEVEL_DIMENSIONS
+ * @returns {Object} Level model: { name, dimensions, floors, start, goal, goals, connectors, entities, triggers, bounds };
+ *          goal is the first of the goals, for code that follows a single one
+ */
+export function createLevelModel(levelData, dimensions = {}) {
+    const size = { ...LEVEL_DIMENSIONS, ...dimensions };
+    size.storeyHeight = size.roomHeight + size.wallThickness;
+
+    const registry = new TileRegistry();
+    const floors = getLevelFloors(levelData);
+    const floorTiles = floors.map(floor => registry.resolveLegend(floor.legend));
+
+    const model = {
+        name: levelData?.name || 'Level',
+        dimensions: size,
+        floors: [],
+        start: null,
+        goal: null,
+        goals: [],
+        connectors: [],
+        entities: [],
+        triggers: [],
+        bounds: { min: { x: 0, y: 0, z: 0 }, max: { x: 0, y: 0, z: 0 } }
+    };
+
+    for (const floor of floors) {
+        const grid = floor.grid.map(row => Array.isArray(row) ? row : row.split(''));
+        const floorModel = createFloorModel(floor, grid, floorTiles[floor.index], size);
+        model.floors.push(floorModel);
+
+        if (floorModel.start && !model.start) {
+            model.start = { floor: floor.index, ...floorModel.start };
+        }
+        floorModel.goals.forEach(goal => model.goals.push({ floor: floor.index, ...goal }));
+        floorModel.triggerCells.forEach(({ x, z, type }) => {
+            model.triggers.push(createTrigger(type, floor.index, x, z, 1, 1, {}, size));
+        });
+
+        // Stair and elevator cells and the cell they lead to
+        for (let z = 0; z < grid.length; z++) {
+            for (let x = 0; x < grid[z].length; x++) {
+                const target = findConnectorTarget(floors, floorTiles, floor.index, x, z);
+                if (target) {
+                    model.connectors.push({ from: { floor: floor.index, x, z }, to: target });
+                }
+            }
+        }
+
+        model.bounds.max.x = Math.max(model.bounds.max.x, floorModel.bounds.max.x);
+        model.bounds.max.z = Math.max(model.bounds.max.z, floorModel.bounds.max.z);
+        model.bounds.min.x = Math.min(model.bounds.min.x, floorModel.bounds.min.x);
+        model.bounds.min.z = Math.min(model.bounds.min.z, floorModel.bounds.min.z);
+        model.bounds.max.y = floorModel.elevation + size.roomHeight;
+    }
+
+    model.goal = model.goals[0] || null;
+
+    // Entity spawn cells; everything besides the cell is behaviour settings for the entity system
+    for (const { x, z, floor = 0, ...settings } of Array.isArray(levelData?.entities) ? levelData.entities : []) {
+        model.entities.push({
+            floor, x, z,
+            position: { x: x * size.corridorWidth, y: 0, z: z * size.corridorWidth },
+            settings
+        });
+    }
+
+    // Trigger regions of one or more cells; everything besides the region is settings for listeners
+    for (const { type, x, z, width = 1, depth = 1, floor = 0, ...settings } of
+        Array.isArray(levelData?.triggers) ? levelData.triggers : []) {
+        model.triggers.push(createTrigger(type, floor, x, z, width, depth, settings, size));
+    }
+
+    return model;
+}
+
+/**
+ * Describe a trigger volume covering a rectangle of cells, the full height of its floor
+ * @param {string} type - Trigger type ('goal', 'checkpoint', 'hazard' or a scripted name)
+ * @param {number} floor - Floor index
+ * @param {number} x - Grid X of the first cell
+ * @param {number} z - Grid Z of the first cell
+ * @param {number} width - Cells along X
+ * @param {number} depth - Cells along Z
+ * @param {Object} settings - Extra fields from the level data
+ * @param {Object} size - Level dimensions
+ * @returns {Object} Trigger with its cells and bounds { min: { x, z }, max: { x, z } }
+ */
+function createTrigger(type, floor, x, z, width, depth, settings, size) {
+    const cellSize = size.corridorWidth;
+    return {
+        type, floor, x, z, width, depth,
+        bounds: {
+            min: { x: (x - 0.5) * cellSize, z: (z - 0.5) * cellSize },
+            max: { x: (x + width - 0.5) * cellSize, z: (z + depth - 0.5) * cellSize }
+        },
+        settings
+    };
+}
+
+/**
+ * Build the model of a single floor
+ * @param {Object} floor - Floor from getLevelFloors
+ * @param {Array<Array<string>>} grid - Parsed grid
+ * @param {Map<string, Object>} tiles - Resolved legend of the floor
+ * @param {Object} size - Level dimensions
+ * @returns {Object} Floor model
+ */
+function createFloorModel(floor, grid, tiles, size) {
+    const cellSize = size.corridorWidth;
+    const tileAt = (x, z) => tiles.get(grid[z]?.[x]) || UNKNOWN_TILE;
+    const isWalkable = (x, z) => tileAt(x, z).walkable;
+    const isSolid = (x, z) => z < 0 || z >= grid.length || x < 0 || x >= grid[z].length || tileAt(x, z).solid;
+
+    const floorModel = {
+        index: floor.index,
+        name: floor.name,
+        elevation: floor.index * size.storeyHeight,
+        grid,
+        legend: floor.legend,
+        width: grid[0].length,
+        depth: grid.length,
+        // Cells are centred on x * corridorWidth, so the floor starts half a cell before 0
+        bounds: {
+            min: { x: -cellSize / 2, z: -cellSize / 2 },
+            max: { x: grid[0].length * cellSize - cellSize / 2, z: grid.length * cellSize - cellSize / 2 }
+        },
+        wallBlocks: [],
+        wallSegments: [],
+        lights: [],
+        stairs: [],
+        elevators: [],
+        doors: [],
+        keycards: [],
+        collectibles: [],
+        customCells: [],
+        triggerCells: [],
+        start: null,
+        goals: []
+    };
+
+    for (let z = 0; z < grid.length; z++) {
+        for (let x = 0; x < grid[z].length; x++) {
+            const tile = tileAt(x, z);
+            const center = { x: x * cellSize, z: z * cellSize };
+
+            if (tile.render === 'block') {
+                floorModel.wallBlocks.push(wallBlockAt(x, z, size));
+            } else if (OPEN_RENDER_MODES.includes(tile.render)) {
+                floorModel.wallSegments.push(...openCellSegments(x, z, isSolid, size));
+            } else if (tile.render !== 'none') {
+                // Function or custom named renderers are left to the builder
+                floorModel.customCells.push({ x, z, tile });
+            }
+
+            if (tile.render === 'stairs') {
+                floorModel.stairs.push(createStairs(x, z, tile, isWalkable, size));
+            } else if (tile.render === 'elevator') {
+                floorModel.elevators.push({ x, z, position: { x: center.x, y: 0.025, z: center.z } });
+            } else if (tile.render === 'door') {
+                floorModel.doors.push(createDoor(x, z, tile, isWalkable, size));
+            } else if (tile.render === 'keycard') {
+                floorModel.keycards.push({
+                    x, z,
+                    key: tile.key,
+                    color: tile.color ?? null,
+                    position: { x: center.x, y: 1, z: center.z }
+                });
+            } else if (tile.render === 'collectible') {
+                floorModel.collectibles.push({
+                    x, z,
+                    item: tile.collectible,
+                    points: tile.points ?? 0,
+                    color: tile.color ?? null,
+                    position: { x: center.x, y: 0.6, z: center.z }
+                });
+            }
+
+            if (tile.marker === 'start') {
+                floorModel.start = { x, z, position: { x: center.x, y: 0, z: center.z } };
+            } else if (tile.marker === 'goal') {
+                floorModel.goals.push({ x, z, position: { x: center.x, y: 0, z: center.z } });
+            }
+
+            // Goal cells are reached through a trigger of their own
+            const trigger = tile.trigger || (tile.marker === 'goal' ? 'goal' : null);
+            if (trigger) {
+                floorModel.triggerCells.push({ x, z, type: trigger });
+            }
+        }
+    }
+
+    // Ceiling lights, turned to run along the corridor they hang in
+    for (let z = 1; z < grid.length - 1; z++) {
+        for (let x = 1; x < grid[z].length - 1; x++) {
+            if (!tileAt(x, z).light) continue;
+
+            const vertical = isWalkable(x, z - 1) && isWalkable(x, z + 1) &&
+                !isWalkable(x - 1, z) && !isWalkable(x + 1, z);
+
+            floorModel.lights.push({
+                x, z,
+                position: { x: x * cellSize, y: size.roomHeight - 0.1, z: z * cellSize },
+                rotation: vertical ? 0 : Math.PI / 2
+            });
+        }
+    }
+
+    return floorModel;
+}
+
+/**
+ * Describe the walls of an open cell: a segment on every side facing a solid cell or the grid edge
+ * @param {number} x - Grid X
+ * @param {number} z - Grid Z
+ * @param {Function} isSolid - (x, z) => true if that cell blocks movement or lies outside the grid
+ * @param {Object} size - Level dimensions
+ * @returns {Array<Object>} Wall segments from wallSegmentAt
+ */
+export function openCellSegments(x, z, isSolid, size = LEVEL_DIMENSIONS) {
+    const segments = [];
+    DIRECTIONS.forEach((offset, direction) => {
+        if (isSolid(x + offset.x, z + offset.z)) {
+            segments.push(wallSegmentAt(x, z, direction, size));
+        }
+    });
+    return segments;
+}
+
+/**
+ * Describe a full wall block filling a cell
+ * @param {number} x - Grid X
+ * @param {number} z - Grid Z
+ * @param {Object} size - Level dimensions
+ * @returns {{x: number, z: number, position: Object, size: Object}} Wall block
+ */
+export function wallBlockAt(x, z, size = LEVEL_DIMENSIONS) {
+    return {
+        x, z,
+        position: { x: x * size.corridorWidth, y: size.roomHeight / 2, z: z * size.corridorWidth },
+        size: { x: size.corridorWidth, y: size.roomHeight, z: size.corridorWidth }
+    };
+}
+
+/**
+ * Describe a wall segment on one edge of a cell
+ * @param {number} x - Grid X
+ * @param {number} z - Grid Z
+ * @param {number} direction - Edge: 0 north, 1 east, 2 south, 3 west
+ * @param {Object} size - Level dimensions
+ * @returns {{x: number, z: number, direction: number, position: Object, size: Object}} Wall segment
+ */
+export function wallSegmentAt(x, z, direction, size = LEVEL_DIMENSIONS) {
+    const half = size.corridorWidth / 2;
+    const northSouth = direction === 0 || direction === 2;
+
+    return {
+        x, z, direction,
+        position: {
+            x: x * size.corridorWidth + (northSouth ? 0 : (direction === 3 ? -half : half)),
+            y: size.roomHeight / 2,
+            z: z * size.corridorWidth + (northSouth ? (direction === 0 ? -half : half) : 0)
+        },
+        size: {
+            x: northSouth ? size.corridorWidth : size.wallThickness,
+            y: size.roomHeight,
+            z: northSouth ? size.wallThickness : size.corridorWidth
+        }
+    };
+}
+
+/**
+ * Describe the steps of a stair cell, rising (up) or falling (down) along the corridor
+ * @returns {{x: number, z: number, connector: string, alongX: boolean, steps: Array<Object>}} Stairs
+ */
+function createStairs(x, z, tile, isWalkable, size) {
+    const alongX = isWalkable(x - 1, z) || isWalkable(x + 1, z);
+    const stepCount = 4;
+    const stepDepth = size.corridorWidth / stepCount;
+    const steps = [];
+
+    for (let i = 0; i < stepCount; i++) {
+        const height = (tile.connector === 'down' ? stepCount - i : i + 1) * 0.15;
+        const offset = -size.corridorWidth / 2 + stepDepth * (i + 0.5);
+
+        steps.push({
+            position: {
+                x: x * size.corridorWidth + (alongX ? offset : 0),
+                y: height / 2,
+                z: z * size.corridorWidth + (alongX ? 0 : offset)
+            },
+            size: {
+                x: alongX ? stepDepth : size.corridorWidth,
+                y: height,
+                z: alongX ? size.corridorWidth : stepDepth
+            }
+        });
+    }
+
+    return { x, z, connector: tile.connector, alongX, steps };
+}
+
+/**
+ * Describe a door across a corridor; it slides sideways into the wall when opened
+ * @returns {Object} Door with cell, lock, colour, closed position, size and sliding info
+ */
+function createDoor(x, z, tile, isWalkable, size) {
+    // A corridor running along X gets a door spanning Z, and the other way round
+    const alongX = isWalkable(x - 1, z) && isWalkable(x + 1, z);
+
+    return {
+        x, z,
+        lock: tile.lock || null,
+        color: tile.color ?? null,
+        alongX,
+        position: { x: x * size.corridorWidth, y: size.doorHeight / 2, z: z * size.corridorWidth },
+        size: { width: size.doorWidth, height: size.doorHeight, depth: size.doorThickness },
+        slideAxis: alongX ? 'z' : 'x',
+        slideDistance: size.corridorWidth,
+        halfExtents: {
+            x: (alongX ? size.doorThickness : size.doorWidth) / 2,
+            z: (alongX ? size.doorWidth : size.doorThickness) / 2
+        }
+    };
+}
\ No newline at end of file
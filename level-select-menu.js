@@ -0,0 +1,95 @@
+/**
+ * Level-select screen listing the levels of a campaign
+ * Locked levels are shown but can't be picked
+ */
+export class LevelSelectMenu {
+    /**
+     * @param {Function} onSelect - Called with the level file of the picked level
+     */
+    constructor(onSelect) {
+        this.onSelect = onSelect;
+
+        this.element = document.createElement("div");
+        Object.assign(this.element.style, {
+            position: "absolute",
+            top: "0",
+            left: "0",
+            width: "100%",
+            height: "100%",
+            display: "none",
+            flexDirection: "column",
+            alignItems: "center",
+            justifyContent: "center",
+            backgroundColor: "rgba(0, 0, 0, 0.85)",
+            color: "white",
+            fontFamily: "Arial, sans-serif",
+            zIndex: "30"
+        });
+        // Clicks on the menu must not grab the pointer lock
+        this.element.addEventListener("click", (e) => e.stopPropagation());
+
+        this.title = document.createElement("h1");
+        this.list = document.createElement("div");
+        this.list.style.width = "min(480px, 90%)";
+
+        const backButton = document.createElement("button");
+        backButton.textContent = "Back";
+        backButton.style.marginTop = "16px";
+        backButton.style.padding = "8px 16px";
+        backButton.addEventListener("click", () => this.hide());
+
+        this.element.append(this.title, this.list, backButton);
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Show the menu
+     * @param {Campaign} campaign - Campaign to list
+     * @param {string} currentFile - File of the level being played (highlighted)
+     */
+    show(campaign, currentFile) {
+        this.title.textContent = campaign.name;
+        this.list.replaceChildren(...campaign.levels.map((level, index) =>
+            this.createEntry(level, index + 1, campaign.isUnlocked(index), level.file === currentFile)));
+        this.element.style.display = "flex";
+    }
+
+    hide() {
+        this.element.style.display = "none";
+    }
+
+    isVisible() {
+        return this.element.style.display !== "none";
+    }
+
+    createEntry(level, number, unlocked, current) {
+        const entry = document.createElement("button");
+        entry.disabled = !unlocked;
+        Object.assign(entry.style, {
+            display: "block",
+            width: "100%",
+            margin: "6px 0",
+            padding: "10px 14px",
+            textAlign: "left",
+            fontSize: "16px",
+            cursor: unlocked ? "pointer" : "default",
+            opacity: unlocked ? "1" : "0.5",
+            border: current ? "2px solid #ffcc00" : "1px solid #888"
+        });
+
+        const heading = document.createElement("strong");
+        heading.textContent = `${number}. ${level.name}${unlocked ? "" : " (locked)"}`;
+
+        const description = document.createElement("div");
+        description.style.fontSize = "13px";
+        description.style.marginTop = "4px";
+        description.textContent = level.description;
+
+        entry.append(heading, description);
+        entry.addEventListener("click", () => {
+            this.hide();
+            this.onSelect(level.file);
+        });
+        return entry;
+    }
+}
\ No newline at end of file
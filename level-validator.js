@@ -0,0 +1,362 @@
+import { TileRegistry } from './tile-registry.js';
+import { getLevelFloors, findConnectorTarget } from './level-floors.js';
+import { analyzeLevel } from './level-analyzer.js';
+
+/**
+ * Error thrown when a level fails validation
+ * Carries the structured validation errors alongside a readable message
+ */
+export class LevelValidationError extends Error {
+    /**
+     * @param {Array<Object>} errors - Errors returned by validateLevel
+     * @param {string} source - Level file or description used in the message
+     */
+    constructor(errors, source = 'level') {
+        super(`Invalid level "${source}":\n${formatValidationErrors(errors)}`);
+        this.name = 'LevelValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Format validation errors as one readable line each
+ * @param {Array<Object>} errors - Errors returned by validateLevel
+ * @returns {string} Multi-line description
+ */
+export function formatValidationErrors(errors) {
+    return errors.map(error => {
+        const parts = [];
+        if (error.floor !== undefined) parts.push(`floor ${error.floor}`);
+        if (error.row !== undefined) parts.push(`row ${error.row}`);
+        if (error.column !== undefined) parts.push(`column ${error.column}`);
+        return `  - ${error.message}${parts.length > 0 ? ` (${parts.join(', ')})` : ''}`;
+    }).join('\n');
+}
+
+/**
+ * Validate level data before it is turned into geometry
+ * Floor, row and column positions are zero-based indices; errors on
+ * single-grid levels carry no floor
+ * @param {Object} levelData - Parsed level JSON
+ * @returns {{valid: boolean, errors: Array<{code: string, message: string, floor?: number, row?: number, column?: number}>}}
+ */
+export function validateLevel(levelData) {
+    const errors = [];
+    const addError = (code, message, row, column, floor) => {
+        const error = { code, message };
+        if (floor !== undefined) error.floor = floor;
+        if (row !== undefined) error.row = row;
+        if (column !== undefined) error.column = column;
+        errors.push(error);
+    };
+
+    if (!levelData || typeof levelData !== 'object') {
+        addError('invalid-level', 'Level data must be an object');
+        return { valid: false, errors };
+    }
+
+    // Required fields
+    if (typeof levelData.name !== 'string' || levelData.name.length === 0) {
+        addError('missing-field', 'Level is missing a "name"');
+    }
+
+    // Optional look settings
+    if (levelData.textureSeed !== undefined &&
+        !(typeof levelData.textureSeed === 'string' || Number.isFinite(levelData.textureSeed))) {
+        addError('invalid-field', '"textureSeed" must be a number or a string');
+    }
+    if (levelData.timeLimit !== undefined &&
+        !(Number.isFinite(levelData.timeLimit) && levelData.timeLimit > 0)) {
+        addError('invalid-field', '"timeLimit" must be a positive number of seconds');
+    }
+    if (levelData.requiredCollectibles !== undefined &&
+        !(Number.isInteger(levelData.requiredCollectibles) && levelData.requiredCollectibles >= 0)) {
+        addError('invalid-field', '"requiredCollectibles" must be a whole number of at least 0');
+    }
+    if (levelData.theme !== undefined) {
+        if (!isLegend(levelData.theme)) {
+            addError('invalid-field', '"theme" must be an object');
+        } else {
+            for (const field of ['wallStyle', 'wallPalette']) {
+                if (levelData.theme[field] !== undefined && typeof levelData.theme[field] !== 'string') {
+                    addError('invalid-field', `"theme.${field}" must be a string`);
+                }
+            }
+        }
+    }
+
+    const isMultiFloor = Array.isArray(levelData.floors);
+    const hasLegend = isLegend(levelData.legend);
+    if (!hasLegend && !isMultiFloor) {
+        addError('missing-field', 'Level is missing a "legend" object');
+    }
+
+    if (isMultiFloor ? levelData.floors.length === 0 :
+        !Array.isArray(levelData.grid) || levelData.grid.length === 0) {
+        addError('missing-field', 'Level needs a non-empty "grid" array or "floors" array');
+        return { valid: false, errors };
+    }
+
+    const registry = new TileRegistry();
+    const floors = getLevelFloors(levelData);
+    const floorTiles = floors.map(floor => registry.resolveLegend(floor.legend));
+    const starts = [];
+    let goalCount = 0;
+    const keys = new Set();
+    const locks = [];
+
+    for (const floor of floors) {
+        const floorIndex = isMultiFloor ? floor.index : undefined;
+        const addFloorError = (code, message, row, column) => addError(code, message, row, column, floorIndex);
+        const tiles = floorTiles[floor.index];
+        const floorLegend = isMultiFloor ? levelData.floors[floor.index]?.legend : levelData.legend;
+
+        if (isMultiFloor && floorLegend !== undefined && !isLegend(floorLegend)) {
+            addFloorError('invalid-legend', 'Floor "legend" must be an object');
+        }
+
+        // Every legend entry must name a registered tile type
+        for (const [char, value] of Object.entries(floor.legend)) {
+            if (!registry.resolveTile(value)) {
+                addFloorError('unknown-tile-type', `Legend entry "${char}" does not map to a known tile type: ${JSON.stringify(value)}`);
+            }
+        }
+
+        const grid = parseGrid(floor.grid, addFloorError);
+        if (!grid) continue;
+
+        // Consistent row widths (the floor is sized from the first row)
+        const width = grid[0].length;
+        if (width === 0) {
+            addFloorError('invalid-row', 'Grid rows must not be empty', 0);
+        }
+        for (let row = 1; row < grid.length; row++) {
+            if (grid[row].length !== width) {
+                addFloorError(
+                    'ragged-row',
+                    `Row is ${grid[row].length} cells wide, expected ${width} like row 0`,
+                    row,
+                    Math.min(grid[row].length, width)
+                );
+            }
+        }
+
+        const missingChars = new Map();
+
+        for (let row = 0; row < grid.length; row++) {
+            for (let column = 0; column < grid[row].length; column++) {
+                const cell = grid[row][column];
+                const tile = tiles.get(cell);
+                const onPerimeter = row === 0 || row === grid.length - 1 ||
+                    column === 0 || column === grid[row].length - 1;
+
+                // Start and goal placement
+                if (tile?.marker === 'start') starts.push({ row, column, floor: floorIndex });
+                if (tile?.marker === 'goal') goalCount++;
+                
+                // Locked doors and the keycards that open them
+                if (tile?.key) keys.add(tile.key);
+                if (tile?.door && tile.lock) locks.push({ lock: tile.lock, row, column, floor: floorIndex });
+
+                // Characters used in the grid but not described by the legend
+                if (!Object.prototype.hasOwnProperty.call(floor.legend, cell) && !missingChars.has(cell)) {
+                    missingChars.set(cell, { row, column });
+                }
+
+                // The outer ring of the grid must be closed off
+                if (onPerimeter && !tile?.solid) {
+                    addFloorError('open-perimeter', `Perimeter cell "${cell}" is not solid`, row, column);
+                }
+
+                // Stairs and elevators must lead somewhere walkable
+                if (tile?.connector && !findConnectorTarget(floors, floorTiles, floor.index, column, row)) {
+                    addFloorError('dead-connector', `${tile.type} cell "${cell}" does not lead to a walkable cell on another floor`, row, column);
+                }
+            }
+        }
+
+        for (const [cell, position] of missingChars) {
+            addFloorError('unknown-character', `Character "${cell}" is not defined in the legend`, position.row, position.column);
+        }
+    }
+
+    if (starts.length === 0) {
+        addError('missing-start', 'Level has no start position');
+    }
+    for (const extra of starts.slice(1)) {
+        addError('duplicate-start', 'Level has more than one start position', extra.row, extra.column, extra.floor);
+    }
+    if (goalCount === 0) {
+        addError('missing-goal', 'Level has no goal position');
+    }
+    for (const door of locks) {
+        if (!keys.has(door.lock)) {
+            addError('missing-key', `Door locked with "${door.lock}" has no matching keycard in the level`, door.row, door.column, door.floor);
+        }
+    }
+
+    validateEntities(levelData, floors, floorTiles, addError);
+    validateTriggers(levelData, floors, addError);
+
+    // Only a well-formed level can be checked for a way to the goal and its pickups
+    if (errors.length === 0) {
+        const analysis = analyzeLevel(levelData);
+        if (!analysis.solvable) {
+            addError('unreachable-goal', 'The goal cannot be reached from the start position');
+        }
+
+        // Pickups in sealed areas or behind doors whose keycard can't be reached could never be counted
+        for (const { floor, x, z } of analysis.unreachableCollectibles) {
+            addError('unreachable-collectible', 'Collectible cannot be reached from the start position',
+                z, x, isMultiFloor ? floor : undefined);
+        }
+        const required = levelData.requiredCollectibles;
+        if (Number.isInteger(required) && required > analysis.reachableCollectibles) {
+            addError('not-enough-collectibles',
+                `Level requires ${required} collectibles but only ${analysis.reachableCollectibles} can be reached from the start`);
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Check that a value is a plain legend object
+ * @param {*} legend - Value to check
+ * @returns {boolean} True if it is an object (not an array)
+ */
+function isLegend(legend) {
+    return !!legend && typeof legend === 'object' && !Array.isArray(legend);
+}
+
+/**
+ * Split grid rows into character arrays, reporting rows that cannot be read
+ * @param {*} rawGrid - Grid from the level data
+ * @param {Function} addError - Error reporter (code, message, row, column)
+ * @returns {Array<Array<string>>|null} Parsed grid, null if it is unusable
+ */
+function parseGrid(rawGrid, addError) {
+    if (!Array.isArray(rawGrid) || rawGrid.length === 0) {
+        addError('missing-field', 'Floor is missing a non-empty "grid" array');
+        return null;
+    }
+
+    const grid = [];
+    for (let row = 0; row < rawGrid.length; row++) {
+        const cells = typeof rawGrid[row] === 'string' ? rawGrid[row].split('') : rawGrid[row];
+        if (!Array.isArray(cells)) {
+            addError('invalid-row', 'Grid row must be a string or an array of characters', row);
+            return null;
+        }
+        grid.push(cells);
+    }
+    return grid;
+}
+
+// Numeric entity settings, all must be positive
+const ENTITY_NUMBER_FIELDS = ['speed', 'chaseSpeed', 'sightRange', 'catchDistance'];
+
+/**
+ * Check entity spawns: each must stand on a walkable cell, patrol routes too
+ * @param {Object} levelData - Parsed level JSON
+ * @param {Array<Object>} floors - Floors from getLevelFloors
+ * @param {Array<Map<string, Object>>} floorTiles - Resolved legend of each floor
+ * @param {Function} addError - Error reporter (code, message, row, column, floor)
+ */
+function validateEntities(levelData, floors, floorTiles, addError) {
+    if (levelData.entities === undefined) return;
+    if (!Array.isArray(levelData.entities)) {
+        addError('invalid-field', '"entities" must be an array');
+        return;
+    }
+
+    const isWalkable = (floor, x, z) => {
+        const grid = floors[floor]?.grid;
+        const row = Array.isArray(grid) ? grid[z] : undefined;
+        return Number.isInteger(x) && Number.isInteger(z) && !!floorTiles[floor]?.get(row?.[x])?.walkable;
+    };
+
+    levelData.entities.forEach((entity, index) => {
+        if (!isLegend(entity)) {
+            addError('invalid-entity', `Entity ${index} must be an object`);
+            return;
+        }
+
+        const floor = entity.floor ?? 0;
+        if (!Number.isInteger(floor) || floor < 0 || floor >= floors.length) {
+            addError('invalid-entity', `Entity ${index} is on floor ${JSON.stringify(entity.floor)}, which does not exist`);
+            return;
+        }
+        const floorIndex = Array.isArray(levelData.floors) ? floor : undefined;
+
+        if (!isWalkable(floor, entity.x, entity.z)) {
+            addError('invalid-entity', `Entity ${index} must spawn on a walkable cell`, entity.z, entity.x, floorIndex);
+        }
+
+        for (const field of ENTITY_NUMBER_FIELDS) {
+            if (entity[field] !== undefined && !(Number.isFinite(entity[field]) && entity[field] > 0)) {
+                addError('invalid-entity', `Entity ${index} "${field}" must be a positive number`);
+            }
+        }
+
+        if (entity.patrol !== undefined) {
+            if (!Array.isArray(entity.patrol)) {
+                addError('invalid-entity', `Entity ${index} "patrol" must be an array of [x, z] cells`);
+                return;
+            }
+            for (const cell of entity.patrol) {
+                if (!Array.isArray(cell) || !isWalkable(floor, cell[0], cell[1])) {
+                    addError('invalid-entity', `Entity ${index} patrol point ${JSON.stringify(cell)} is not a walkable cell`,
+                        Array.isArray(cell) ? cell[1] : undefined, Array.isArray(cell) ? cell[0] : undefined, floorIndex);
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Check trigger regions: each needs a type and must lie inside its floor's grid
+ * @param {Object} levelData - Parsed level JSON
+ * @param {Array<Object>} floors - Floors from getLevelFloors
+ * @param {Function} addError - Error reporter (code, message, row, column, floor)
+ */
+function validateTriggers(levelData, floors, addError) {
+    if (levelData.triggers === undefined) return;
+    if (!Array.isArray(levelData.triggers)) {
+        addError('invalid-field', '"triggers" must be an array');
+        return;
+    }
+
+    levelData.triggers.forEach((trigger, index) => {
+        if (!isLegend(trigger)) {
+            addError('invalid-trigger', `Trigger ${index} must be an object`);
+            return;
+        }
+
+        if (typeof trigger.type !== 'string' || trigger.type.length === 0) {
+            addError('invalid-trigger', `Trigger ${index} is missing a "type"`);
+        }
+
+        const floor = trigger.floor ?? 0;
+        if (!Number.isInteger(floor) || floor < 0 || floor >= floors.length) {
+            addError('invalid-trigger', `Trigger ${index} is on floor ${JSON.stringify(trigger.floor)}, which does not exist`);
+            return;
+        }
+        const floorIndex = Array.isArray(levelData.floors) ? floor : undefined;
+
+        const { x, z, width = 1, depth = 1 } = trigger;
+        if (!Number.isInteger(width) || width < 1 || !Number.isInteger(depth) || depth < 1) {
+            addError('invalid-trigger', `Trigger ${index} "width" and "depth" must be whole numbers of at least 1`);
+            return;
+        }
+
+        const grid = floors[floor].grid;
+        const rows = Array.isArray(grid) ? grid.length : 0;
+        const columns = rows > 0 && grid[0] ? grid[0].length : 0;
+        if (!Number.isInteger(x) || !Number.isInteger(z) || x < 0 || z < 0 ||
+            x + width > columns || z + depth > rows) {
+            addError('invalid-trigger', `Trigger ${index} must cover cells inside the grid`,
+                Number.isInteger(z) ? z : undefined, Number.isInteger(x) ? x : undefined, floorIndex);
+        }
+    });
+}
\ No newline at end of file
@@ -4,22 +4,24 @@ import Stats from 'three/examples/jsm/libs/stats.module.js';
 import { LevelGenerator } from './level-generator.js';
 import { CollisionSystem } from './collision-system.js';
 import { ResourceManager } from './resource-manager.js';
-
-// Key mappings
-const KEYS = {
-    a: 65,
-    s: 83,
-    w: 87,
-    d: 68,
-    q: 81,  // Added Q key for debug mode toggle
-    space: 32,
-    shift: 16,
-    left: 37,
-    up: 38,
-    right: 39,
-    down: 40,
-    ctrl: 17,
-};
+import { MazeGenerator } from './maze-generator.js';
+import { getCellKey } from './level-floors.js';
+import { DoorSystem } from './door-system.js';
+import { CollectibleSystem } from './collectible-system.js';
+import { LevelExporter, EXPORT_FORMATS } from './level-exporter.js';
+import { GameStateMachine, GAME_STATES } from './game-state.js';
+import { GameHUD } from './game-hud.js';
+import { Campaign } from './campaign.js';
+import { LevelSelectMenu } from './level-select-menu.js';
+import { SaveManager } from './save-manager.js';
+import { Minimap } from './minimap.js';
+import { RunRecorder } from './run-recorder.js';
+import { GhostReplay } from './ghost-replay.js';
+import { EntitySystem, ENTITY_RADIUS } from './entity-system.js';
+import { TriggerSystem } from './trigger-system.js';
+import { AudioSystem, AUDIO_CATEGORIES } from './audio-system.js';
+import { GAMEPAD_BUTTONS, resolveBindings } from './input-bindings.js';
+import { ControlsMenu } from './controls-menu.js';
 
 function clamp(x, a, b) {
     return Math.min(Math.max(x, a), b);
@@ -41,8 +43,15 @@ class InputController {
             mouseY: 0,
         };
         this.previous_ = null;
-        this.keys_ = {};
+        this.keys_ = {}; // Held keys by KeyboardEvent.code
         this.previousKeys_ = {};
+        this.bindings_ = resolveBindings(); // Action name to key codes
+        
+        // First connected gamepad, read once per update
+        this.gamepad_ = null;
+        this.deadZone_ = 0.15;
+        this.stickLookSpeed_ = 0.3; // Screen widths per second at full right stick tilt
+        this.stickSensitivity_ = 1;
         this.target_.addEventListener("click", (e) => this.onClick_(e), false);
         this.target_.addEventListener("mousedown", (e) => this.onMouseDown_(e), false);
         this.target_.addEventListener("mousemove", (e) => this.onMouseMove_(e), false);
@@ -115,15 +124,70 @@ class InputController {
     }
 
     onKeyDown_(e) {
-        this.keys_[e.keyCode] = true;
+        this.keys_[e.code] = true;
     }
 
     onKeyUp_(e) {
-        this.keys_[e.keyCode] = false;
+        this.keys_[e.code] = false;
+    }
+
+    key(code) {
+        return !!this.keys_[code];
+    }
+
+    setBindings(bindings) {
+        this.bindings_ = bindings;
+    }
+
+    setGamepadSettings(deadZone, lookSensitivity) {
+        this.deadZone_ = clamp(deadZone, 0, 0.9);
+        this.stickSensitivity_ = lookSensitivity;
+    }
+
+    // True while a key or gamepad button bound to the action is held
+    action(name) {
+        if (this.bindings_[name]?.some(code => this.keys_[code])) {
+            return true;
+        }
+        const buttons = this.gamepad_?.buttons;
+        return !!buttons && (GAMEPAD_BUTTONS[name] || []).some(index => buttons[index]?.pressed);
+    }
+
+    // Movement from the keys and the left stick: forward and strafe (left is positive), -1 to 1 each
+    movement() {
+        const stick = this.stick_(0, 1);
+        const forward = (this.action('moveForward') ? 1 : 0) - (this.action('moveBackward') ? 1 : 0) - stick.y;
+        const strafe = (this.action('strafeLeft') ? 1 : 0) - (this.action('strafeRight') ? 1 : 0) - stick.x;
+        return { forward: clamp(forward, -1, 1), strafe: clamp(strafe, -1, 1) };
+    }
+
+    // Look movement of this step as a fraction of the screen: the mouse plus the right stick
+    look(timeElapsedS) {
+        const stick = this.stick_(2, 3);
+        const rate = this.stickLookSpeed_ * this.stickSensitivity_ * timeElapsedS;
+        return {
+            x: this.current_.mouseXDelta / window.innerWidth + stick.x * rate,
+            y: this.current_.mouseYDelta / window.innerHeight + stick.y * rate
+        };
+    }
+
+    // Stick position with a radial dead zone, rescaled so full tilt still reaches 1
+    stick_(xAxis, yAxis) {
+        const axes = this.gamepad_?.axes;
+        if (!axes) return { x: 0, y: 0 };
+
+        const x = axes[xAxis] || 0;
+        const y = axes[yAxis] || 0;
+        const length = Math.hypot(x, y);
+        if (length <= this.deadZone_) return { x: 0, y: 0 };
+
+        const scale = Math.min(1, (length - this.deadZone_) / (1 - this.deadZone_)) / length;
+        return { x: x * scale, y: y * scale };
     }
 
-    key(keyCode) {
-        return !!this.keys_[keyCode];
+    pollGamepad_() {
+        const gamepads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+        this.gamepad_ = gamepads.find(gamepad => gamepad && gamepad.connected) || null;
     }
 
     isReady() {
@@ -136,6 +200,7 @@ class InputController {
             this.current_.mouseYDelta = this.current_.mouseY - this.previous_.mouseY;
             this.previous_ = { ...this.current_ };
         }
+        this.pollGamepad_();
     }
 }
 
@@ -158,11 +223,64 @@ class FirstPersonCamera {
         this.bobIntensity_ = 0.1;
         this.collisionSystem_ = collisionSystem; // Collision detection system
         this.freeflyMode_ = false; // Track camera mode
+        this.onFootstep_ = null; // Called at every step of the head bob cycle
+        
+        // Sprint, crouch and jump (FPS mode only)
+        this.standingHeight_ = 1.8; // Eye height when standing
+        this.crouchHeight_ = 1.1; // Eye height when crouched
+        this.eyeHeight_ = this.standingHeight_;
+        this.crouchSpeed_ = 4; // Eye height change per second when crouching or standing up
+        this.crouching_ = false;
+        this.sprintMultiplier_ = 1.8;
+        this.crouchMultiplier_ = 0.5;
+        this.speedMultiplier_ = 1;
+        this.stamina_ = 1; // 0 (drained) to 1 (full)
+        this.staminaDrain_ = 0.25; // Per second of sprinting
+        this.staminaRegen_ = 0.2; // Per second once the regen delay has passed
+        this.staminaRegenDelay_ = 1; // Seconds after sprinting before stamina comes back
+        this.staminaCooldown_ = 0;
+        this.exhausted_ = false; // Drained stamina blocks sprinting until some has come back
+        this.gravity_ = 15; // Units per second squared
+        this.jumpSpeed_ = 5; // Upward speed at take-off
+        this.verticalVelocity_ = 0;
+        this.grounded_ = true;
+        this.jumpKeyPressed_ = false;
+    }
+
+    // Scale mouse look speed (1 = default)
+    setMouseSensitivity(multiplier) {
+        this.phiSpeed_ = 8 * multiplier;
+        this.thetaSpeed_ = 5 * multiplier;
+    }
+
+    setHeadBob(enabled) {
+        this.bobIntensity_ = enabled ? 0.1 : 0;
+    }
+
+    // Footsteps follow the head bob cycle (which keeps running when the bob itself is turned off)
+    setFootstepCallback(callback) {
+        this.onFootstep_ = callback;
     }
 
     // Toggle between FPS and freefly mode
     toggleFreeflyMode(enabled) {
         this.freeflyMode_ = enabled;
+        this.verticalVelocity_ = 0;
+    }
+
+    // Stand up on the ground with full stamina (new level or respawn)
+    resetMovement() {
+        this.eyeHeight_ = this.standingHeight_;
+        this.crouching_ = false;
+        this.speedMultiplier_ = 1;
+        this.stamina_ = 1;
+        this.staminaCooldown_ = 0;
+        this.exhausted_ = false;
+        this.verticalVelocity_ = 0;
+        this.grounded_ = true;
+        if (this.collisionSystem_) {
+            this.collisionSystem_.setPlayerHeight(this.standingHeight_);
+        }
     }
 
     update(timeElapsedS) {
@@ -172,9 +290,9 @@ class FirstPersonCamera {
         this.updateRotation_(timeElapsedS);
         this.updateTranslation_(timeElapsedS);
         
-        // Only apply head bob in FPS mode
+        // Only apply head bob in FPS mode, steps come quicker when sprinting
         if (!this.freeflyMode_) {
-            this.updateHeadBob_(timeElapsedS);
+            this.updateHeadBob_(timeElapsedS * this.speedMultiplier_);
         }
         
         this.updateCamera_(timeElapsedS);
@@ -208,30 +326,36 @@ class FirstPersonCamera {
 
             if (this.headBobTimer_ == nextStepTime) {
                 this.headBobActive_ = false;
+                if (this.onFootstep_) {
+                    this.onFootstep_();
+                }
             }
         }
     }
 
     updateTranslation_(timeElapsedS) {
-        const forwardVelocity =
-            (this.input_.key(KEYS.w) ? 1 : 0) + (this.input_.key(KEYS.s) ? -1 : 0);
-        const strafeVelocity =
-            (this.input_.key(KEYS.a) ? 1 : 0) + (this.input_.key(KEYS.d) ? -1 : 0);
+        const movement = this.input_.movement();
+        const forwardVelocity = movement.forward;
+        const strafeVelocity = movement.strafe;
+        
+        // Sprinting and crouching change the walking speed (freefly has its own vertical controls)
+        this.speedMultiplier_ = this.freeflyMode_ ? 1 :
+            this.updateStance_(timeElapsedS, forwardVelocity != 0 || strafeVelocity != 0);
         
         // Vertical movement in freefly mode
         const verticalVelocity = this.freeflyMode_ ? 
-            (this.input_.key(KEYS.space) ? 1 : 0) + (this.input_.key(KEYS.shift) ? -1 : 0) : 0;
+            (this.input_.action('jump') ? 1 : 0) + (this.input_.action('sprint') ? -1 : 0) : 0;
 
         const qx = new THREE.Quaternion();
         qx.setFromAxisAngle(new THREE.Vector3(0, 1, 0), this.phi_);
 
         const forward = new THREE.Vector3(0, 0, -1);
         forward.applyQuaternion(qx);
-        forward.multiplyScalar(forwardVelocity * timeElapsedS * this.forwardSpeed_);
+        forward.multiplyScalar(forwardVelocity * timeElapsedS * this.forwardSpeed_ * this.speedMultiplier_);
 
         const left = new THREE.Vector3(-1, 0, 0);
         left.applyQuaternion(qx);
-        left.multiplyScalar(strafeVelocity * timeElapsedS * this.strafeSpeed_);
+        left.multiplyScalar(strafeVelocity * timeElapsedS * this.strafeSpeed_ * this.speedMultiplier_);
 
         // Add vertical movement for freefly mode
         const up = new THREE.Vector3(0, 1, 0);
@@ -252,11 +376,29 @@ class FirstPersonCamera {
         } else {
             // In FPS mode, check collisions
             if (this.collisionSystem_) {
+                // Gravity always pulls, the floor pushing back is what keeps the player grounded
+                this.verticalVelocity_ -= this.gravity_ * timeElapsedS;
+                proposedPosition.y += this.verticalVelocity_ * timeElapsedS;
+                
                 const adjustedPosition = this.collisionSystem_.checkCollisions(
                     currentPosition, 
                     proposedPosition
                 );
                 
+                if (adjustedPosition.y > proposedPosition.y) {
+                    // Landing from a jump or a drop sounds like a footstep
+                    if (!this.grounded_ && this.onFootstep_) {
+                        this.onFootstep_();
+                    }
+                    this.grounded_ = true;
+                    this.verticalVelocity_ = 0;
+                } else if (adjustedPosition.y < proposedPosition.y) {
+                    // Head hit the ceiling
+                    this.verticalVelocity_ = Math.min(0, this.verticalVelocity_);
+                } else {
+                    this.grounded_ = false;
+                }
+                
                 // Update with collision-adjusted position
                 this.translation_.copy(adjustedPosition);
             } else {
@@ -266,14 +408,64 @@ class FirstPersonCamera {
             }
         }
 
-        if ((forwardVelocity != 0 || strafeVelocity != 0) && !this.freeflyMode_) {
+        if ((forwardVelocity != 0 || strafeVelocity != 0) && !this.freeflyMode_ && this.grounded_) {
             this.headBobActive_ = true;
         }
     }
 
+    // Crouch (held), sprint (held, uses stamina) and jump (on the press)
+    // Returns the walking speed multiplier for this step
+    updateStance_(timeElapsedS, moving) {
+        this.crouching_ = this.input_.action('crouch');
+        
+        const targetHeight = this.crouching_ ? this.crouchHeight_ : this.standingHeight_;
+        const step = this.crouchSpeed_ * timeElapsedS;
+        const height = this.eyeHeight_ + clamp(targetHeight - this.eyeHeight_, -step, step);
+        if (height !== this.eyeHeight_) {
+            // On the ground the eyes move, in the air the feet are pulled up instead
+            if (this.grounded_) {
+                this.translation_.y += height - this.eyeHeight_;
+            }
+            this.eyeHeight_ = height;
+            if (this.collisionSystem_) {
+                this.collisionSystem_.setPlayerHeight(height);
+            }
+        }
+        
+        const sprinting = this.input_.action('sprint') && moving && !this.crouching_ && !this.exhausted_;
+        if (sprinting) {
+            this.stamina_ = Math.max(0, this.stamina_ - this.staminaDrain_ * timeElapsedS);
+            this.staminaCooldown_ = this.staminaRegenDelay_;
+            if (this.stamina_ === 0) {
+                this.exhausted_ = true;
+            }
+        } else if (this.staminaCooldown_ > 0) {
+            this.staminaCooldown_ -= timeElapsedS;
+        } else {
+            this.stamina_ = Math.min(1, this.stamina_ + this.staminaRegen_ * timeElapsedS);
+        }
+        
+        // Once drained, sprinting waits until a third of the stamina is back
+        if (this.exhausted_ && this.stamina_ >= 0.3) {
+            this.exhausted_ = false;
+        }
+        
+        // Jump on the key press, not while it is held
+        const jumpKey = this.input_.action('jump');
+        if (jumpKey && !this.jumpKeyPressed_ && this.grounded_ && !this.crouching_) {
+            this.verticalVelocity_ = this.jumpSpeed_;
+            this.grounded_ = false;
+        }
+        this.jumpKeyPressed_ = jumpKey;
+        
+        if (this.crouching_) return this.crouchMultiplier_;
+        return sprinting ? this.sprintMultiplier_ : 1;
+    }
+
     updateRotation_(timeElapsedS) {
-        const xh = this.input_.current_.mouseXDelta / window.innerWidth;
-        const yh = this.input_.current_.mouseYDelta / window.innerHeight;
+        const look = this.input_.look(timeElapsedS);
+        const xh = look.x;
+        const yh = look.y;
 
         this.phi_ += -xh * this.phiSpeed_;
         this.theta_ = clamp(
@@ -331,12 +523,77 @@ class threejsdemo {
                 // Create collision system
                 this.collisionSystem = new CollisionSystem(this.scene);
                 
+                // Doors and keycards of the current level
+                this.doorSystem = new DoorSystem(this.collisionSystem);
+                
+                // Collectible props and the score of the current run
+                this.collectibleSystem = new CollectibleSystem(this.collisionSystem);
+                
+                // Entities that roam the level and hunt the player
+                this.entitySystem = new EntitySystem(this.collisionSystem, this.doorSystem);
+                
+                // Goal, checkpoint, hazard and scripted trigger volumes, entered by the player and entities
+                this.triggerSystem = new TriggerSystem(this.scene);
+                this.triggerSystem.onEvent((event, trigger, actor) => this.onTriggerEvent(event, trigger, actor));
+                this.checkpoint = null;
+                
+                // Download the current level as glTF/GLB or OBJ
+                this.levelExporter = new LevelExporter();
+                this.setupExportControls();
+                
+                // Progress, best times and settings kept across page loads
+                this.saveManager = new SaveManager();
+                this.setupSaveControls();
+                
+                // Intro, playing, paused, won, timed-out and caught, with a countdown from the level's timeLimit
+                this.gameState = new GameStateMachine();
+                this.gameState.onChange((state, previousState) => this.onGameStateChange(state, previousState));
+                this.hud = new GameHUD({
+                        onStart: () => this.requestPlay(),
+                        onRestart: () => this.restartLevel(),
+                        onNextLevel: () => this.loadNextLevel(),
+                        onLevelSelect: () => this.levelSelectMenu.show(this.campaign, this.currentLevelSource)
+                });
+                
+                // Corner minimap and full-screen automap, revealed as the player explores
+                this.minimap = new Minimap();
+                
+                // Every run is recorded; the best one of a level (or a loaded replay) runs alongside as a ghost
+                this.runRecorder = new RunRecorder();
+                this.ghost = new GhostReplay(this.scene);
+                this.lastRun = null;
+                this.pendingReplay = null;
+                
+                // Synthesized sound, silent until the first click or key press
+                this.audio = new AudioSystem();
+                this.audio.listenForInteraction();
+                
+                // Levels in campaign order, later ones unlock as earlier ones are completed
+                this.campaign = new Campaign();
+                this.levelSelectMenu = new LevelSelectMenu((levelFile) => this.loadLevel(levelFile));
+                
+                // Key bindings and gamepad settings, saved with the other settings
+                this.controlsMenu = new ControlsMenu((changes) => {
+                        const settings = this.saveManager.updateSettings(changes);
+                        this.applySettings(settings);
+                        this.controlsMenu.show(settings);
+                });
+                this.nextLevelDelay = 5; // Seconds before a completed level moves on by itself
+                this.nextLevelTimer = null;
+                
+                // Leaving pointer lock (Esc) pauses, taking it again resumes
+                document.addEventListener('pointerlockchange', () => this.onPointerLockChange());
+                
                 // For performance tracking
                 this.stats.addPanel(new Stats.Panel('FPS', '#0ff', '#002'));
+                // Wall boxes swept against per physics step (click the stats to cycle panels)
+                this.collisionPanel = this.stats.addPanel(new Stats.Panel('COLL', '#f80', '#210'));
                 this.stats.showPanel(0);
                 
                 // Set up custom FPS controls with head bobbing
                 this.setupControls();
+                this.fpsCamera.setFootstepCallback(() => this.audio.playFootstep());
+                this.applySettings(this.saveManager.getSettings());
                 
                 // Handle resize
                 window.addEventListener('resize', () => this.onWindowResize());
@@ -352,37 +609,359 @@ class threejsdemo {
                 
                 // Debug mode variables
                 this.debugModeActive = false;
-                this.qKeyPressed = false;
+                this.debugTogglePressed = false;
+                this.interactPressed = false;
+                this.mapTogglePressed = false;
                 this.startPosition = new THREE.Vector3();
                 
-                // Load and generate the level
-                this.loadLevel('level1.json');
+                // Multi-floor tracking
+                this.startStorey = 0;
+                this.currentStorey = 0;
+                this.currentCellKey = null;
+                
+                // Load the campaign and start its first level (a ?seed= URL plays a generated maze instead)
+                this.startGame();
         }
         
-        async loadLevel(levelFile) {
+        async startGame() {
                 try {
-                        // Clear any existing level
-                        if (this.currentLevel) {
-                                this.scene.remove(this.currentLevel);
-                                
-                                // Clean up resources
-                                this.collisionSystem.clear();
+                        await this.campaign.load('campaign.json');
+                } catch (error) {
+                        console.error("Failed to load campaign:", error);
+                }
+                
+                // Restore the levels unlocked in earlier sessions
+                this.campaign.restoreUnlocks(this.saveManager.getUnlockedCount(this.campaign.name));
+                
+                const generatedLevel = this.getGeneratedLevelFromUrl();
+                const firstLevel = this.campaign.levels[0]?.file || 'level1.json';
+                this.loadLevel(generatedLevel || firstLevel);
+        }
+        
+        // Add a format picker and download button for exporting the current level
+        setupExportControls() {
+                const panel = document.createElement("div");
+                panel.style.position = "absolute";
+                panel.style.bottom = "10px";
+                panel.style.right = "10px";
+                panel.style.zIndex = "10";
+                
+                const formatSelect = document.createElement("select");
+                EXPORT_FORMATS.forEach(format => {
+                        const option = document.createElement("option");
+                        option.value = format;
+                        option.textContent = format.toUpperCase();
+                        formatSelect.appendChild(option);
+                });
+                
+                const exportButton = document.createElement("button");
+                exportButton.textContent = "Export level";
+                exportButton.addEventListener("click", (e) => {
+                        // Don't let the click grab the pointer lock
+                        e.stopPropagation();
+                        this.exportLevel(formatSelect.value);
+                });
+                formatSelect.addEventListener("click", (e) => e.stopPropagation());
+                
+                panel.append(formatSelect, exportButton);
+                document.body.appendChild(panel);
+        }
+        
+        // Add settings and save export/import controls above the export panel
+        setupSaveControls() {
+                const panel = document.createElement("div");
+                panel.style.position = "absolute";
+                panel.style.bottom = "40px";
+                panel.style.right = "10px";
+                panel.style.zIndex = "10";
+                panel.style.color = "white";
+                panel.style.fontFamily = "Arial, sans-serif";
+                panel.style.fontSize = "13px";
+                // Don't let clicks on the panel grab the pointer lock
+                panel.addEventListener("click", (e) => e.stopPropagation());
+                
+                const settings = this.saveManager.getSettings();
+                
+                const sensitivity = document.createElement("input");
+                sensitivity.type = "range";
+                sensitivity.min = "0.2";
+                sensitivity.max = "3";
+                sensitivity.step = "0.1";
+                sensitivity.value = String(settings.mouseSensitivity);
+                sensitivity.addEventListener("change", () => {
+                        this.applySettings(this.saveManager.updateSettings({ mouseSensitivity: Number(sensitivity.value) }));
+                });
+                
+                const headBob = document.createElement("input");
+                headBob.type = "checkbox";
+                headBob.checked = settings.headBob;
+                headBob.addEventListener("change", () => {
+                        this.applySettings(this.saveManager.updateSettings({ headBob: headBob.checked }));
+                });
+                
+                const showGhost = document.createElement("input");
+                showGhost.type = "checkbox";
+                showGhost.checked = settings.showGhost;
+                showGhost.addEventListener("change", () => {
+                        this.saveManager.updateSettings({ showGhost: showGhost.checked });
+                        this.setupGhost();
+                });
+                
+                // One volume slider for the master volume and each sound category
+                const volumeRow = document.createElement("div");
+                volumeRow.append("Volume");
+                const volumeSliders = {};
+                for (const name of ['master', ...AUDIO_CATEGORIES]) {
+                        const key = `${name}Volume`;
+                        const slider = document.createElement("input");
+                        slider.type = "range";
+                        slider.min = "0";
+                        slider.max = "1";
+                        slider.step = "0.05";
+                        slider.value = String(settings[key]);
+                        slider.style.width = "70px";
+                        slider.addEventListener("input", () => {
+                                this.applySettings(this.saveManager.updateSettings({ [key]: Number(slider.value) }));
+                        });
+                        volumeSliders[key] = slider;
+                        
+                        const label = document.createElement("label");
+                        label.append(` ${name} `, slider);
+                        volumeRow.append(label);
+                }
+                
+                const sensitivityLabel = document.createElement("label");
+                sensitivityLabel.append("Mouse ", sensitivity);
+                const headBobLabel = document.createElement("label");
+                headBobLabel.append(" Head bob ", headBob);
+                const showGhostLabel = document.createElement("label");
+                showGhostLabel.append(" Ghost ", showGhost);
+                
+                const exportButton = document.createElement("button");
+                exportButton.textContent = "Export save";
+                exportButton.addEventListener("click", () => {
+                        this.levelExporter.download([{
+                                fileName: "threejs-level-gen-save.json",
+                                data: this.saveManager.exportSave(),
+                                mimeType: "application/json"
+                        }]);
+                });
+                
+                // Hidden file picker behind the import button
+                const fileInput = document.createElement("input");
+                fileInput.type = "file";
+                fileInput.accept = "application/json,.json";
+                fileInput.style.display = "none";
+                fileInput.addEventListener("change", async () => {
+                        const file = fileInput.files[0];
+                        fileInput.value = "";
+                        if (!file) return;
+                        
+                        try {
+                                this.saveManager.importSave(await file.text());
+                        } catch (error) {
+                                console.error("Failed to import save:", error);
+                                return;
                         }
+                        
+                        // The imported save replaces unlocks and settings
+                        const imported = this.saveManager.getSettings();
+                        sensitivity.value = String(imported.mouseSensitivity);
+                        headBob.checked = imported.headBob;
+                        showGhost.checked = imported.showGhost;
+                        for (const [key, slider] of Object.entries(volumeSliders)) {
+                                slider.value = String(imported[key]);
+                        }
+                        this.applySettings(imported);
+                        if (this.controlsMenu.isVisible()) this.controlsMenu.show(imported);
+                        this.campaign.restoreUnlocks(this.saveManager.getUnlockedCount(this.campaign.name));
+                        
+                        // The old save's best run goes with it
+                        this.setupGhost();
+                        console.log("Save imported");
+                });
+                
+                const importButton = document.createElement("button");
+                importButton.textContent = "Import save";
+                importButton.addEventListener("click", () => fileInput.click());
+                
+                const controlsButton = document.createElement("button");
+                controlsButton.textContent = "Controls";
+                controlsButton.addEventListener("click", () => this.controlsMenu.show(this.saveManager.getSettings()));
+                
+                // Replays of single runs, for bug reports
+                const exportReplayButton = document.createElement("button");
+                exportReplayButton.textContent = "Export replay";
+                exportReplayButton.addEventListener("click", () => {
+                        if (!this.lastRun) {
+                                console.log("Finish or time out a run to export its replay");
+                                return;
+                        }
+                        const name = String(this.lastRun.level).replace(/[^A-Za-z0-9_-]+/g, "-");
+                        this.levelExporter.download([{
+                                fileName: `replay-${name}.json`,
+                                data: JSON.stringify(this.lastRun),
+                                mimeType: "application/json"
+                        }]);
+                });
+                
+                const replayInput = document.createElement("input");
+                replayInput.type = "file";
+                replayInput.accept = "application/json,.json";
+                replayInput.style.display = "none";
+                replayInput.addEventListener("change", async () => {
+                        const file = replayInput.files[0];
+                        replayInput.value = "";
+                        if (!file) return;
+                        
+                        try {
+                                this.loadReplay(JSON.parse(await file.text()));
+                        } catch (error) {
+                                console.error("Failed to load replay:", error);
+                        }
+                });
+                
+                const loadReplayButton = document.createElement("button");
+                loadReplayButton.textContent = "Load replay";
+                loadReplayButton.addEventListener("click", () => replayInput.click());
+                
+                panel.append(sensitivityLabel, headBobLabel, showGhostLabel, " ", controlsButton,
+                        exportButton, importButton, exportReplayButton, loadReplayButton, fileInput, replayInput, volumeRow);
+                document.body.appendChild(panel);
+        }
+        
+        applySettings(settings) {
+                this.fpsCamera.setMouseSensitivity(settings.mouseSensitivity);
+                this.fpsCamera.setHeadBob(settings.headBob);
+                this.fpsCamera.input_.setBindings(resolveBindings(settings.keyBindings));
+                this.fpsCamera.input_.setGamepadSettings(settings.gamepadDeadZone, settings.gamepadLookSensitivity);
+                this.audio.setVolumes(Object.fromEntries(
+                        ['master', ...AUDIO_CATEGORIES].map(name => [name, settings[`${name}Volume`]])
+                ));
+        }
+        
+        // Pick the run the ghost replays on the current level
+        setupGhost() {
+                const run = this.pendingReplay ||
+                        (this.saveManager.getSettings().showGhost ? this.saveManager.getBestRun(this.getLevelKey()) : null);
+                this.pendingReplay = null;
+                
+                try {
+                        this.ghost.setRun(run);
+                } catch (error) {
+                        console.error("Failed to replay run:", error);
+                        this.ghost.setRun(null);
+                }
+        }
+        
+        // Replay a run file, switching to its level first if needed
+        loadReplay(run) {
+                const campaignIndex = this.campaign.indexOf(run.level);
+                
+                if (run.level === this.getLevelKey()) {
+                        this.ghost.setRun(run);
+                } else if (campaignIndex >= 0) {
+                        // A replay file must not skip ahead in the campaign
+                        if (!this.campaign.isUnlocked(campaignIndex)) {
+                                console.error(`Replay is of "${run.levelName}", which is not unlocked yet`);
+                                return;
+                        }
+                        this.pendingReplay = run;
+                        this.loadLevel(run.level);
+                } else if (run.maze) {
+                        // Generated mazes are built again from the options they were generated with
+                        let level;
+                        try {
+                                level = new MazeGenerator().generate(run.maze);
+                        } catch (error) {
+                                console.error("Failed to rebuild the replay's maze:", error);
+                                return;
+                        }
+                        this.pendingReplay = run;
+                        this.loadLevel(level);
+                } else if (run.seed !== null && run.seed !== undefined) {
+                        console.error(`Replay is of generated maze "${run.levelName}" but was recorded without its maze options, so the maze cannot be rebuilt`);
+                } else {
+                        console.error(`Replay is of "${run.levelName}" (${run.level}), load that level first`);
+                }
+        }
+        
+        // Key progress is stored under: the level file, or the name of a generated maze
+        getLevelKey() {
+                return typeof this.currentLevelSource === 'string' ?
+                        this.currentLevelSource :
+                        `generated:${this.currentLevelSource?.name}`;
+        }
+        
+        // Export the current level and download the resulting files
+        async exportLevel(format) {
+                if (!this.currentLevel) return;
+                
+                const levelName = this.currentLevel.userData.levelData?.name || "level";
+                const baseName = levelName.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+                
+                try {
+                        const files = await this.levelExporter.export(this.currentLevel, format, baseName);
+                        this.levelExporter.download(files);
+                } catch (error) {
+                        console.error("Failed to export level:", error);
+                }
+        }
+        
+        // Build a maze level from URL parameters so levels can be shared by seed
+        // e.g. ?seed=1234&algorithm=prim&width=12&height=12
+        getGeneratedLevelFromUrl() {
+                const params = new URLSearchParams(window.location.search);
+                if (!params.has('seed')) return null;
+                
+                // Missing or non-numeric sizes fall back to the defaults, too large ones are refused by the generator
+                const intParam = (name, fallback) => {
+                        const value = parseInt(params.get(name), 10);
+                        return Number.isNaN(value) ? fallback : value;
+                };
+                
+                try {
+                        return new MazeGenerator().generate({
+                                seed: params.get('seed'),
+                                algorithm: params.get('algorithm') || 'backtracker',
+                                width: intParam('width', 8),
+                                height: intParam('height', 8),
+                                lightSpacing: intParam('lights', 6)
+                        });
+                } catch (error) {
+                        console.error("Failed to generate maze:", error);
+                        return null;
+                }
+        }
+        
+        /**
+         * Load a level from a JSON file or from an already built level object
+         * @param {string|Object} levelFile - Level file URL or level data
+         */
+        async loadLevel(levelFile) {
+                try {
+                        // Remembered for restarting and finding the next level
+                        this.currentLevelSource = levelFile;
+                        
+                        // Tear down the previous level before building the next one
+                        this.unloadLevel();
                 
                         // Generate level from JSON
-                        const level = await this.levelGenerator.loadLevel(levelFile);
+                        const level = typeof levelFile === 'string' ?
+                                await this.levelGenerator.loadLevel(levelFile) :
+                                this.levelGenerator.loadLevelData(levelFile);
                         this.scene.add(level);
                         this.currentLevel = level;
                         
-                        // Connect spatial grid from level generator to collision system
-                        if (level.userData.spatialGrid) {
-                                this.collisionSystem.setSpatialGrid(level.userData.spatialGrid);
-                        }
+                        // Start on the storey holding the start marker
+                        this.startStorey = level.userData.startStorey || 0;
+                        this.setStorey(this.startStorey);
                         
                         // Set player at starting position
                         if (level.userData.startPosition) {
                                 this.camera.position.copy(level.userData.startPosition);
                                 this.fpsCamera.translation_.copy(level.userData.startPosition);
+                                this.fpsCamera.resetMovement();
                                 
                                 // Store starting position for debug mode respawn
                                 this.startPosition.copy(level.userData.startPosition);
@@ -394,8 +973,30 @@ class threejsdemo {
                         // Create wall colliders from level
                         this.setupColliders(level);
                         
-                        // Store goal position for collision detection
-                        this.goalPosition = level.userData.goalPosition;
+                        // Doors need their colliders in place before they can toggle them
+                        this.doorSystem.setupFromLevel(level);
+                        
+                        // Entities path around the doors
+                        this.entitySystem.setupFromLevel(level);
+                        
+                        // Collectibles and a fresh score
+                        this.collectibleSystem.setupFromLevel(level);
+                        
+                        // Goal and other triggers, hazards send the player back to the start until a checkpoint is reached
+                        this.triggerSystem.setupFromLevel(level);
+                        this.checkpoint = null;
+                        
+                        // Fresh fog of war for the new level
+                        this.minimap.setLevel(level, (x, z, storey) => this.doorSystem.isOpen(x, z, storey));
+                        
+                        // Light fixtures hum where they hang
+                        this.audio.setLevel(level);
+                        
+                        // Ghost of a loaded replay, or of the best run so far
+                        this.setupGhost();
+                        
+                        // New run, waiting on the intro screen
+                        this.gameState.reset(level.userData.levelData);
                         
                         // Start animation loop if not already running
                         if (this.previousRAF === null) {
@@ -406,13 +1007,64 @@ class threejsdemo {
                 }
         }
         
+        // Remove the current level with its colliders, doors and per-level GPU resources
+        unloadLevel() {
+                clearTimeout(this.nextLevelTimer);
+                this.nextLevelTimer = null;
+                
+                if (this.debugModeActive) {
+                        this.debugModeActive = false;
+                        this.fpsCamera.toggleFreeflyMode(false);
+                }
+                
+                if (!this.currentLevel) return;
+                
+                this.collisionSystem.clear();
+                this.doorSystem.clear();
+                this.entitySystem.clear();
+                this.collectibleSystem.clear();
+                this.triggerSystem.clear();
+                this.audio.clear();
+                this.levelGenerator.disposeLevel(this.currentLevel);
+                
+                this.currentLevel = null;
+                this.checkpoint = null;
+                this.currentCellKey = null;
+        }
+        
         setupColliders(levelGroup) {
-                levelGroup.traverse((object) => {
-                        // Only add colliders for wall objects
-                        if (object.isMesh && object.name !== 'floor' && object.name !== 'ceiling') {
-                                this.collisionSystem.addWallCollider(object);
-                        }
-                });
+                // Walls and doors from the level model, plus floor and ceiling bounds for jumps and falls
+                this.collisionSystem.extractCollidersFromLevel(levelGroup);
+        }
+        
+        // Move collision checks to another storey of the current level
+        setStorey(storey) {
+                this.currentStorey = storey;
+                this.currentCellKey = null;
+                this.collisionSystem.setStorey(storey);
+        }
+        
+        // Take the player up or down when they step onto a stair or elevator cell
+        checkStoreyTransition() {
+                if (!this.currentLevel || this.debugModeActive) return;
+                
+                const cell = this.levelGenerator.worldToCell(this.fpsCamera.translation_);
+                const cellKey = getCellKey(this.currentStorey, cell.x, cell.z);
+                
+                // Only trigger when entering a cell, not while standing on it
+                if (cellKey === this.currentCellKey) return;
+                this.currentCellKey = cellKey;
+                
+                const target = this.currentLevel.userData.connectors.get(cellKey);
+                if (!target) return;
+                
+                const floors = this.currentLevel.userData.floors;
+                this.fpsCamera.translation_.y += floors[target.floor].elevation - floors[this.currentStorey].elevation;
+                this.setStorey(target.floor);
+                
+                // Arriving on a connector must not send the player straight back
+                this.currentCellKey = getCellKey(target.floor, target.x, target.z);
+                console.log(`Moved to ${floors[target.floor].name}`);
         }
         
         setupControls() {
@@ -424,30 +1076,199 @@ class threejsdemo {
                 this.scene.add(ambient);
         }
         
-        checkGoalReached() {
-                if (!this.goalPosition) return false;
+        // The player and the entities, as checked against the trigger volumes and closing doors
+        // (the player is left out while flying around in debug mode)
+        getTriggerActors() {
+                const actors = this.entitySystem.entities.map((entity, index) => ({
+                        id: `entity-${index}`,
+                        entity,
+                        position: entity.position,
+                        storey: entity.floor,
+                        radius: ENTITY_RADIUS
+                }));
+                if (!this.debugModeActive) {
+                        actors.push({ id: 'player', position: this.fpsCamera.translation_, storey: this.currentStorey });
+                }
+                return actors;
+        }
+        
+        // React to the player entering triggers; entity events are left to other listeners
+        onTriggerEvent(event, trigger, actor) {
+                if (actor.id !== 'player') return;
+                
+                if (event === 'enter' && trigger.settings.message) {
+                        this.hud.showNotice(trigger.settings.message);
+                }
+                
+                if (trigger.type === 'goal') {
+                        // Standing on the goal counts as well, in case the last required item is picked up there
+                        // (won is a final state, so this wins once per run)
+                        if (event !== 'exit' && this.gameState.isPlaying() && this.collectibleSystem.hasRequired()) {
+                                this.gameState.win();
+                        }
+                } else if (trigger.type === 'checkpoint' && event === 'enter' && this.checkpoint?.trigger !== trigger) {
+                        // Respawn in the middle of the checkpoint, at the start marker's eye height
+                        const center = {
+                                floor: trigger.floor,
+                                x: trigger.x + (trigger.width - 1) / 2,
+                                z: trigger.z + (trigger.depth - 1) / 2
+                        };
+                        this.checkpoint = { trigger, storey: trigger.storey, position: this.levelGenerator.cellToWorld(center, 1.8) };
+                        this.hud.showNotice("Checkpoint reached");
+                } else if (trigger.type === 'hazard' && event === 'enter') {
+                        this.respawnPlayer();
+                }
+        }
+        
+        // Put the player back on the last checkpoint reached, or the start
+        respawnPlayer() {
+                const { position, storey } = this.checkpoint || { position: this.startPosition, storey: this.startStorey };
+                this.fpsCamera.translation_.copy(position);
+                this.fpsCamera.resetMovement();
+                this.setStorey(storey);
+                this.hud.showNotice(this.checkpoint ? "Back to the last checkpoint" : "Back to the start");
+        }
+        
+        // Show the screen for the new state and hand the mouse back when the run is over
+        onGameStateChange(state, previousState) {
+                let newBestTime = false;
+                
+                if (state === GAME_STATES.PLAYING && previousState === GAME_STATES.INTRO) {
+                        this.saveManager.recordAttempt(this.getLevelKey());
+                        
+                        // Record the run from its first step, with the ghost starting alongside
+                        const levelData = this.currentLevel.userData.levelData;
+                        const { seed, algorithm, width, height, lightSpacing } = levelData;
+                        this.runRecorder.start({
+                                level: this.getLevelKey(),
+                                levelName: levelData.name,
+                                seed: seed ?? null,
+                                maze: seed !== undefined ? { seed, algorithm, width, height, lightSpacing } : null,
+                                tickRate: Math.round(1 / this.fixedTimeStep)
+                        });
+                        this.ghost.restart();
+                } else if (state === GAME_STATES.WON) {
+                        console.log(`Goal reached in ${this.gameState.elapsedTime.toFixed(1)}s`);
+                        newBestTime = this.saveManager.recordCompletion(this.getLevelKey(), this.gameState.elapsedTime);
+                        
+                        this.lastRun = this.runRecorder.finish(true, this.gameState.elapsedTime);
+                        if (newBestTime && this.lastRun) {
+                                this.saveManager.setBestRun(this.getLevelKey(), this.lastRun);
+                        }
+                        
+                        // Unlock the next campaign level and move on to it after a moment
+                        this.campaign.completeLevel(this.currentLevelSource);
+                        this.saveManager.setUnlockedCount(this.campaign.name, this.campaign.unlockedCount);
+                        if (this.getNextLevel()) {
+                                this.nextLevelTimer = setTimeout(() => {
+                                        // Don't pull the level away while the player is picking one
+                                        if (!this.levelSelectMenu.isVisible()) this.loadNextLevel();
+                                }, this.nextLevelDelay * 1000);
+                        }
+                } else if (state === GAME_STATES.TIMED_OUT || state === GAME_STATES.CAUGHT) {
+                        console.log(state === GAME_STATES.CAUGHT ? "Caught!" : "Time's up!");
+                        this.lastRun = this.runRecorder.finish(false, this.gameState.elapsedTime);
+                }
+                
+                this.hud.show(state, {
+                        levelData: this.currentLevel?.userData.levelData,
+                        timeLimit: this.gameState.timeLimit,
+                        elapsedTime: this.gameState.elapsedTime,
+                        hasNextLevel: this.getNextLevel() !== null,
+                        nextLevelDelay: this.nextLevelDelay,
+                        bestTime: this.saveManager.getLevelProgress(this.getLevelKey()).bestTime,
+                        newBestTime,
+                        score: this.collectibleSystem.collectibles.length > 0 ? this.collectibleSystem.score : null,
+                        requiredCollectibles: this.collectibleSystem.required
+                });
+                
+                if (this.gameState.isOver() && document.pointerLockElement) {
+                        document.exitPointerLock();
+                }
+        }
+        
+        // Start or resume by taking the pointer lock (see onPointerLockChange)
+        requestPlay() {
+                this.renderer.domElement.requestPointerLock();
+        }
+        
+        onPointerLockChange() {
+                if (document.pointerLockElement) {
+                        if (this.gameState.state === GAME_STATES.INTRO) {
+                                this.gameState.start();
+                        } else {
+                                this.gameState.resume();
+                        }
+                } else if (this.gameState.isPlaying()) {
+                        this.gameState.pause();
+                }
+        }
+        
+        restartLevel() {
+                this.loadLevel(this.currentLevelSource);
+        }
+        
+        // Next unlocked campaign level, null for the last level and generated mazes
+        getNextLevel() {
+                const nextLevel = this.campaign.getNextLevel(this.currentLevelSource);
+                return nextLevel && this.campaign.isUnlocked(this.campaign.indexOf(nextLevel.file)) ?
+                        nextLevel.file : null;
+        }
+        
+        loadNextLevel() {
+                const nextLevel = this.getNextLevel();
+                if (nextLevel) {
+                        this.loadLevel(nextLevel);
+                }
+        }
+        
+        // Use the nearest door when the interact action is pressed
+        checkInteract() {
+                const interactCurrentlyPressed = this.fpsCamera.input_.action('interact');
                 
-                const distance = this.camera.position.distanceTo(this.goalPosition);
-                if (distance < 1.5) {
-                        console.log("Goal reached!");
-                        return true;
+                // Trigger only on key press (not hold)
+                if (interactCurrentlyPressed && !this.interactPressed && !this.debugModeActive) {
+                        const interaction = this.doorSystem.interact(this.fpsCamera.translation_, this.currentStorey,
+                                this.getTriggerActors());
+                        
+                        if (interaction?.result === 'opened') {
+                                // Rooms behind the door come into view
+                                this.minimap.refreshSight();
+                        } else if (interaction?.result === 'locked') {
+                                this.hud.showNotice(`This door needs the ${interaction.door.lock} keycard`);
+                        } else if (interaction?.result === 'blocked') {
+                                this.hud.showNotice("Something is in the way of the door");
+                        }
                 }
-                return false;
+                
+                this.interactPressed = interactCurrentlyPressed;
+        }
+        
+        // Open or close the automap when the map action is pressed
+        checkMapToggle() {
+                const mapToggleCurrentlyPressed = this.fpsCamera.input_.action('toggleMap');
+                
+                if (mapToggleCurrentlyPressed && !this.mapTogglePressed) {
+                        this.minimap.toggleAutomap();
+                }
+                
+                this.mapTogglePressed = mapToggleCurrentlyPressed;
         }
         
         // Handle debug mode toggle
         checkDebugModeToggle() {
                 if (!this.debug) return;
                 
-                const qKeyCurrentlyPressed = this.fpsCamera.input_.key(KEYS.q);
+                const debugToggleCurrentlyPressed = this.fpsCamera.input_.action('toggleDebug');
                 
                 // Toggle only on key press (not hold)
-                if (qKeyCurrentlyPressed && !this.qKeyPressed) {
+                if (debugToggleCurrentlyPressed && !this.debugTogglePressed) {
                         // Toggle debug mode
                         this.debugModeActive = !this.debugModeActive;
                         
-                        // Update camera mode
+                        // Update camera mode, trigger outlines show while flying around
                         this.fpsCamera.toggleFreeflyMode(this.debugModeActive);
+                        this.triggerSystem.setHelpersVisible(this.debugModeActive);
                         
                         if (this.debugModeActive) {
                                 console.log("Debug: Freefly mode activated");
@@ -455,11 +1276,13 @@ class threejsdemo {
                                 console.log("Debug: FPS mode restored");
                                 // Respawn at start position when returning to FPS mode
                                 this.fpsCamera.translation_.copy(this.startPosition);
+                                this.fpsCamera.resetMovement();
+                                this.setStorey(this.startStorey);
                         }
                 }
                 
                 // Update key state
-                this.qKeyPressed = qKeyCurrentlyPressed;
+                this.debugTogglePressed = debugToggleCurrentlyPressed;
         }
         
         onWindowResize() {
@@ -482,19 +1305,64 @@ class threejsdemo {
                         
                         // Update at fixed intervals for consistent physics
                         while (this.timeAccumulator >= this.fixedTimeStep) {
-                                // Check for debug mode toggle
-                                this.checkDebugModeToggle();
-                                
-                                // Update camera with head bobbing
-                                this.fpsCamera.update(this.fixedTimeStep);
-                                
-                                // Check if goal reached
-                                this.checkGoalReached();
+                                // The world stands still outside of play (intro, paused, results)
+                                if (this.gameState.isPlaying()) {
+                                        this.collisionSystem.beginFrame();
+                                        
+                                        // Check for debug mode toggle
+                                        this.checkDebugModeToggle();
+                                        
+                                        // Update camera with head bobbing
+                                        this.fpsCamera.update(this.fixedTimeStep);
+                                        
+                                        // Follow stairs and elevators between storeys
+                                        this.checkStoreyTransition();
+                                        
+                                        // Automap toggle
+                                        this.checkMapToggle();
+                                        
+                                        // Doors and keycards
+                                        this.checkInteract();
+                                        this.doorSystem.update(this.fpsCamera.translation_, this.currentStorey, this.fixedTimeStep);
+                                        this.collectibleSystem.update(this.fpsCamera.translation_, this.currentStorey, this.fixedTimeStep);
+                                        
+                                        // Entities patrol and chase, contact ends the run (not while flying around in debug mode)
+                                        const caughtBy = this.entitySystem.update(this.fpsCamera.translation_, this.currentStorey, this.fixedTimeStep);
+                                        if (caughtBy && !this.debugModeActive) {
+                                                this.gameState.catchPlayer();
+                                        }
+                                        
+                                        // Goal, checkpoints, hazards and scripted triggers
+                                        this.triggerSystem.update(this.getTriggerActors());
+                                        
+                                        // Record this step of the run and move the ghost along
+                                        this.runRecorder.record(this.fpsCamera.translation_, this.fpsCamera.phi_,
+                                                this.fpsCamera.theta_, this.currentStorey);
+                                        this.ghost.update();
+                                        
+                                        // Run the clock, this ends the run when the time limit is up
+                                        this.gameState.update(this.fixedTimeStep);
+                                }
                                 
                                 this.timeAccumulator -= this.fixedTimeStep;
                         }
                         
+                        // Countdown (or elapsed time for levels without a limit)
+                        this.hud.updateTimer(this.gameState.getRemainingTime(), this.gameState.elapsedTime);
+                        this.hud.updateStamina(this.fpsCamera.stamina_, this.fpsCamera.exhausted_);
+                        this.hud.updateScore(this.collectibleSystem.score, this.collectibleSystem.counts,
+                                this.collectibleSystem.collectedCount, this.collectibleSystem.required);
+                        
+                        // Minimap follows the player (the freefly camera doesn't explore)
+                        if (this.currentLevel && !this.debugModeActive) {
+                                this.minimap.update(this.fpsCamera.translation_, this.fpsCamera.phi_, this.currentStorey);
+                        }
+                        
+                        // The listener follows the camera, fixture hum follows the listener
+                        this.audio.update(this.camera, this.currentStorey);
+                        
                         // Update stats
+                        this.collisionPanel.update(this.collisionSystem.lastFrameStats.tests, 200);
                         this.stats.update();
                         
                         // Render the scene
@@ -0,0 +1,381 @@
+import { SeededRandom } from './seeded-random.js';
+import { analyzeLevel } from './level-analyzer.js';
+
+/**
+ * Supported maze carving algorithms
+ */
+export const MAZE_ALGORITHMS = ['backtracker', 'prim', 'kruskal', 'eller'];
+
+/**
+ * Largest maze width or height in cells; bigger mazes take too long to build and render
+ */
+export const MAX_MAZE_SIZE = 64;
+
+// Cell offsets in maze-cell space (north, east, south, west)
+const DIRECTIONS = [
+    { x: 0, z: -1 },
+    { x: 1, z: 0 },
+    { x: 0, z: 1 },
+    { x: -1, z: 0 }
+];
+
+/**
+ * Procedural maze generator that emits level JSON
+ * Output uses the same grid format as the hand-made level files,
+ * so the result can be passed straight to LevelGenerator.generateLevel
+ */
+export class MazeGenerator {
+    constructor() {
+        // Characters used in the emitted grid
+        this.chars = {
+            floor: '.',
+            wall: '-',
+            sideWall: '|',
+            start: 'S',
+            goal: 'E',
+            light: 'l'
+        };
+    }
+
+    /**
+     * Generate a maze level
+     * @param {Object} options - Generation options
+     * @param {number} options.width - Maze width in cells, 2 to MAX_MAZE_SIZE (grid is 2 * width + 1 characters wide)
+     * @param {number} options.height - Maze height in cells (grid is 2 * height + 1 rows tall)
+     * @param {number|string} options.seed - Seed, the same seed always yields the same maze
+     * @param {string} options.algorithm - One of MAZE_ALGORITHMS
+     * @param {number} options.lightSpacing - Place a light on every Nth straight corridor cell (0 = no lights)
+     * @returns {Object} Level object with name, description, legend, grid, computed difficulty
+     *          and the options it was generated with
+     */
+    generate({ width = 8, height = 8, seed = 1, algorithm = 'backtracker', lightSpacing = 0 } = {}) {
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width < 2 || height < 2) {
+            throw new Error(`Maze size must be at least 2x2 cells, got ${width}x${height}`);
+        }
+        if (width > MAX_MAZE_SIZE || height > MAX_MAZE_SIZE) {
+            throw new Error(`Maze size must be at most ${MAX_MAZE_SIZE}x${MAX_MAZE_SIZE} cells, got ${width}x${height}`);
+        }
+
+        const rng = new SeededRandom(seed);
+        const carve = {
+            backtracker: () => this.carveBacktracker(width, height, rng),
+            prim: () => this.carvePrim(width, height, rng),
+            kruskal: () => this.carveKruskal(width, height, rng),
+            eller: () => this.carveEller(width, height, rng)
+        }[algorithm];
+
+        if (!carve) {
+            throw new Error(`Unknown maze algorithm "${algorithm}", expected one of: ${MAZE_ALGORITHMS.join(', ')}`);
+        }
+
+        const grid = this.createWallGrid(width, height);
+        for (const passage of carve()) {
+            this.openPassage(grid, passage.x, passage.z, passage.dir);
+        }
+
+        // Start in the top-left cell, goal in the cell furthest from it
+        const start = { x: 1, z: 1 };
+        const goal = this.findFurthestCell(grid, start);
+        grid[start.z][start.x] = this.chars.start;
+        grid[goal.z][goal.x] = this.chars.goal;
+
+        if (lightSpacing > 0) {
+            this.placeLights(grid, lightSpacing);
+        }
+
+        const level = {
+            name: `Generated Maze ${seed}`,
+            description: `A ${width}x${height} ${algorithm} maze generated from seed ${seed}`,
+            legend: {
+                [this.chars.floor]: 'Floor',
+                [this.chars.wall]: 'Wall',
+                [this.chars.sideWall]: 'Wall',
+                [this.chars.start]: 'Start position',
+                [this.chars.goal]: 'End/goal position',
+                [this.chars.light]: 'Light'
+            },
+            grid: grid.map(row => row.join('')),
+            textureSeed: seed,
+            // Generation options, enough to build the same maze again (e.g. for a replay)
+            seed,
+            algorithm,
+            width,
+            height,
+            lightSpacing
+        };
+
+        // Label the maze with the difficulty its layout rates as
+        level.difficulty = analyzeLevel(level).difficulty;
+
+        return level;
+    }
+
+    /**
+     * Create a grid where every maze cell is open and every cell boundary is wall
+     * @param {number} width - Maze width in cells
+     * @param {number} height - Maze height in cells
+     * @returns {Array<Array<string>>} 2D character grid
+     */
+    createWallGrid(width, height) {
+        const grid = [];
+        for (let z = 0; z < height * 2 + 1; z++) {
+            const row = [];
+            for (let x = 0; x < width * 2 + 1; x++) {
+                if (x === 0 || x === width * 2) {
+                    row.push(this.chars.sideWall);
+                } else if (x % 2 === 1 && z % 2 === 1) {
+                    row.push(this.chars.floor);
+                } else {
+                    row.push(this.chars.wall);
+                }
+            }
+            grid.push(row);
+        }
+        return grid;
+    }
+
+    /**
+     * Knock down the wall between a maze cell and its neighbour
+     * @param {Array<Array<string>>} grid - Character grid
+     * @param {number} x - Maze cell X
+     * @param {number} z - Maze cell Z
+     * @param {number} dir - Index into DIRECTIONS
+     */
+    openPassage(grid, x, z, dir) {
+        grid[z * 2 + 1 + DIRECTIONS[dir].z][x * 2 + 1 + DIRECTIONS[dir].x] = this.chars.floor;
+    }
+
+    /**
+     * Recursive backtracker (depth-first search with an explicit stack)
+     * @returns {Array<Object>} Passages as { x, z, dir }
+     */
+    carveBacktracker(width, height, rng) {
+        const passages = [];
+        const visited = new Uint8Array(width * height);
+        const stack = [{ x: 0, z: 0 }];
+        visited[0] = 1;
+
+        while (stack.length > 0) {
+            const current = stack[stack.length - 1];
+            const options = [];
+
+            for (let dir = 0; dir < 4; dir++) {
+                const nx = current.x + DIRECTIONS[dir].x;
+                const nz = current.z + DIRECTIONS[dir].z;
+                if (nx >= 0 && nx < width && nz >= 0 && nz < height && !visited[nx + nz * width]) {
+                    options.push(dir);
+                }
+            }
+
+            if (options.length === 0) {
+                stack.pop();
+                continue;
+            }
+
+            const dir = rng.pick(options);
+            const next = { x: current.x + DIRECTIONS[dir].x, z: current.z + DIRECTIONS[dir].z };
+            visited[next.x + next.z * width] = 1;
+            passages.push({ x: current.x, z: current.z, dir });
+            stack.push(next);
+        }
+
+        return passages;
+    }
+
+    /**
+     * Randomized Prim's algorithm (grows the maze from a frontier of cells)
+     * @returns {Array<Object>} Passages as { x, z, dir }
+     */
+    carvePrim(width, height, rng) {
+        const passages = [];
+        const inMaze = new Uint8Array(width * height);
+        const inFrontier = new Uint8Array(width * height);
+        const frontier = [];
+
+        const addFrontier = (x, z) => {
+            for (const d of DIRECTIONS) {
+                const nx = x + d.x;
+                const nz = z + d.z;
+                const index = nx + nz * width;
+                if (nx >= 0 && nx < width && nz >= 0 && nz < height && !inMaze[index] && !inFrontier[index]) {
+                    inFrontier[index] = 1;
+                    frontier.push({ x: nx, z: nz });
+                }
+            }
+        };
+
+        inMaze[0] = 1;
+        addFrontier(0, 0);
+
+        while (frontier.length > 0) {
+            // Swap-remove a random frontier cell
+            const pickIndex = rng.nextInt(frontier.length);
+            const cell = frontier[pickIndex];
+            frontier[pickIndex] = frontier[frontier.length - 1];
+            frontier.pop();
+
+            // Connect it to a random neighbour that is already part of the maze
+            const options = [];
+            for (let dir = 0; dir < 4; dir++) {
+                const nx = cell.x + DIRECTIONS[dir].x;
+                const nz = cell.z + DIRECTIONS[dir].z;
+                if (nx >= 0 && nx < width && nz >= 0 && nz < height && inMaze[nx + nz * width]) {
+                    options.push(dir);
+                }
+            }
+
+            passages.push({ x: cell.x, z: cell.z, dir: rng.pick(options) });
+            inMaze[cell.x + cell.z * width] = 1;
+            addFrontier(cell.x, cell.z);
+        }
+
+        return passages;
+    }
+
+    /**
+     * Randomized Kruskal's algorithm (joins cell sets via shuffled edges)
+     * @returns {Array<Object>} Passages as { x, z, dir }
+     */
+    carveKruskal(width, height, rng) {
+        const passages = [];
+        const parent = new Int32Array(width * height).map((_, i) => i);
+
+        const find = (i) => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+
+        // Every east and south edge between neighbouring cells
+        const edges = [];
+        for (let z = 0; z < height; z++) {
+            for (let x = 0; x < width; x++) {
+                if (x < width - 1) edges.push({ x, z, dir: 1 });
+                if (z < height - 1) edges.push({ x, z, dir: 2 });
+            }
+        }
+        rng.shuffle(edges);
+
+        for (const edge of edges) {
+            const a = find(edge.x + edge.z * width);
+            const b = find(edge.x + DIRECTIONS[edge.dir].x + (edge.z + DIRECTIONS[edge.dir].z) * width);
+            if (a !== b) {
+                parent[a] = b;
+                passages.push(edge);
+            }
+        }
+
+        return passages;
+    }
+
+    /**
+     * Eller's algorithm (builds the maze one row at a time)
+     * @returns {Array<Object>} Passages as { x, z, dir }
+     */
+    carveEller(width, height, rng) {
+        const passages = [];
+        let rowSets = new Array(width).fill(0);
+        let nextSet = 1;
+
+        for (let z = 0; z < height; z++) {
+            const lastRow = z === height - 1;
+
+            // Cells without a set (no passage from above) start a new one
+            for (let x = 0; x < width; x++) {
+                if (!rowSets[x]) rowSets[x] = nextSet++;
+            }
+
+            // Randomly join adjacent cells of different sets (always on the last row)
+            for (let x = 0; x < width - 1; x++) {
+                if (rowSets[x] !== rowSets[x + 1] && (lastRow || rng.next() < 0.5)) {
+                    const merged = rowSets[x + 1];
+                    for (let i = 0; i < width; i++) {
+                        if (rowSets[i] === merged) rowSets[i] = rowSets[x];
+                    }
+                    passages.push({ x, z, dir: 1 });
+                }
+            }
+
+            if (lastRow) break;
+
+            // Each set extends downwards at least once
+            const nextRow = new Array(width).fill(0);
+            const members = new Map();
+            for (let x = 0; x < width; x++) {
+                if (!members.has(rowSets[x])) members.set(rowSets[x], []);
+                members.get(rowSets[x]).push(x);
+            }
+
+            for (const [set, cells] of members) {
+                rng.shuffle(cells);
+                const count = 1 + rng.nextInt(cells.length);
+                for (let i = 0; i < count; i++) {
+                    nextRow[cells[i]] = set;
+                    passages.push({ x: cells[i], z, dir: 2 });
+                }
+            }
+
+            rowSets = nextRow;
+        }
+
+        return passages;
+    }
+
+    /**
+     * Find the open grid cell with the longest path from a start cell
+     * @param {Array<Array<string>>} grid - Character grid
+     * @param {Object} start - Start cell { x, z } in grid coordinates
+     * @returns {Object} Furthest cell { x, z }
+     */
+    findFurthestCell(grid, start) {
+        const visited = new Set([`${start.x},${start.z}`]);
+        const queue = [start];
+        let furthest = start;
+
+        for (let i = 0; i < queue.length; i++) {
+            const cell = queue[i];
+            furthest = cell;
+
+            for (const d of DIRECTIONS) {
+                const nx = cell.x + d.x;
+                const nz = cell.z + d.z;
+                const key = `${nx},${nz}`;
+                if (grid[nz]?.[nx] === this.chars.floor && !visited.has(key)) {
+                    visited.add(key);
+                    queue.push({ x: nx, z: nz });
+                }
+            }
+        }
+
+        return furthest;
+    }
+
+    /**
+     * Turn some straight corridor cells into light cells
+     * @param {Array<Array<string>>} grid - Character grid
+     * @param {number} spacing - Light every Nth eligible cell
+     */
+    placeLights(grid, spacing) {
+        const isOpen = (x, z) => grid[z]?.[x] !== undefined &&
+            grid[z][x] !== this.chars.wall && grid[z][x] !== this.chars.sideWall;
+        let eligible = 0;
+
+        for (let z = 1; z < grid.length - 1; z++) {
+            for (let x = 1; x < grid[z].length - 1; x++) {
+                if (grid[z][x] !== this.chars.floor) continue;
+
+                // Only straight corridor sections so the fixture can be oriented along them
+                const vertical = isOpen(x, z - 1) && isOpen(x, z + 1) && !isOpen(x - 1, z) && !isOpen(x + 1, z);
+                const horizontal = isOpen(x - 1, z) && isOpen(x + 1, z) && !isOpen(x, z - 1) && !isOpen(x, z + 1);
+                if (!vertical && !horizontal) continue;
+
+                if (eligible % spacing === 0) {
+                    grid[z][x] = this.chars.light;
+                }
+                eligible++;
+            }
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,283 @@
+import { TileRegistry } from './tile-registry.js';
+
+// How far (in cells) the player can see along open corridors
+const VIEW_RADIUS = 6;
+
+// Cells shown around the player on the corner minimap
+const MINIMAP_CELLS = 15;
+
+const COLORS = {
+    background: "rgba(0, 0, 0, 0.6)",
+    floor: "#c8c8c0",
+    wall: "#505860",
+    door: "#8b6b4a",
+    connector: "#9060c0",
+    light: "#ffe060",
+    start: "#3070ff",
+    goal: "#30d050",
+    player: "#ff3030"
+};
+
+/**
+ * Corner minimap and full-screen automap of the current storey
+ * Drawn from the level model's grids; a cell only shows up once the player has
+ * stood in it or had a clear line of sight to it (walls are revealed by looking at them)
+ */
+export class Minimap {
+    constructor() {
+        // Corner minimap, top right
+        this.canvas = document.createElement("canvas");
+        this.canvas.width = 180;
+        this.canvas.height = 180;
+        Object.assign(this.canvas.style, {
+            position: "absolute",
+            top: "10px",
+            right: "10px",
+            borderRadius: "5px",
+            zIndex: "10",
+            pointerEvents: "none"
+        });
+
+        // Full-screen automap
+        this.automapCanvas = document.createElement("canvas");
+        Object.assign(this.automapCanvas.style, {
+            position: "absolute",
+            top: "0",
+            left: "0",
+            width: "100%",
+            height: "100%",
+            display: "none",
+            zIndex: "15",
+            pointerEvents: "none"
+        });
+
+        document.body.append(this.canvas, this.automapCanvas);
+
+        this.context = this.canvas.getContext("2d");
+        this.automapContext = this.automapCanvas.getContext("2d");
+        this.automapOpen = false;
+
+        this.floors = [];
+        this.cellSize = 2;
+        this.lastCellKey = null;
+
+        // Tells whether the door in a cell is open: (x, z, storey) => boolean
+        this.isDoorOpen = () => false;
+    }
+
+    /**
+     * Take over the grids of a newly generated level, everything starts undiscovered
+     * @param {THREE.Group} levelGroup - Level group from LevelGenerator.generateLevel
+     * @param {Function} isDoorOpen - (x, z, storey) => true if that door lets the view through;
+     *                                without it every door counts as closed
+     */
+    setLevel(levelGroup, isDoorOpen = () => false) {
+        const model = levelGroup.userData.model;
+        const registry = new TileRegistry();
+
+        this.cellSize = model.dimensions.corridorWidth;
+        this.lastCellKey = null;
+        this.isDoorOpen = isDoorOpen;
+        this.floors = model.floors.map(floorModel => {
+            const tiles = registry.resolveLegend(floorModel.legend);
+            const features = new Map();
+            const addFeature = (cell, feature) => features.set(`${cell.x},${cell.z}`, feature);
+
+            floorModel.lights.forEach(cell => addFeature(cell, 'light'));
+            floorModel.doors.forEach(cell => addFeature(cell, 'door'));
+            floorModel.stairs.forEach(cell => addFeature(cell, 'connector'));
+            floorModel.elevators.forEach(cell => addFeature(cell, 'connector'));
+            if (floorModel.start) addFeature(floorModel.start, 'start');
+            floorModel.goals.forEach(cell => addFeature(cell, 'goal'));
+
+            return {
+                index: floorModel.index,
+                width: floorModel.width,
+                depth: floorModel.depth,
+                cells: floorModel.grid.map(row => row.map(cell => tiles.get(cell) || null)),
+                features,
+                discovered: new Uint8Array(floorModel.width * floorModel.depth)
+            };
+        });
+    }
+
+    /**
+     * Discover what the player can see and redraw the maps
+     * @param {THREE.Vector3} position - Player position
+     * @param {number} phi - Player heading (FirstPersonCamera.phi_, radians around Y)
+     * @param {number} storey - Storey the player is on
+     */
+    update(position, phi, storey) {
+        const floor = this.floors[storey];
+        if (!floor) return;
+
+        const cellX = Math.round(position.x / this.cellSize);
+        const cellZ = Math.round(position.z / this.cellSize);
+
+        // Sight only changes when the player enters another cell
+        const cellKey = `${storey}:${cellX}:${cellZ}`;
+        if (cellKey !== this.lastCellKey) {
+            this.lastCellKey = cellKey;
+            this.reveal(floor, cellX, cellZ);
+        }
+
+        // Position within the map in cells (cell centres sit on whole numbers)
+        const player = { x: position.x / this.cellSize, z: position.z / this.cellSize, phi };
+
+        this.drawMinimap(floor, player);
+        if (this.automapOpen) {
+            this.drawAutomap(floor, player);
+        }
+    }
+
+    /**
+     * Look around again on the next update, e.g. after a door opened in view
+     */
+    refreshSight() {
+        this.lastCellKey = null;
+    }
+
+    toggleAutomap() {
+        this.automapOpen = !this.automapOpen;
+        this.automapCanvas.style.display = this.automapOpen ? "block" : "none";
+        this.canvas.style.display = this.automapOpen ? "none" : "block";
+    }
+
+    /**
+     * Mark the cells in clear view of a cell as discovered
+     * @param {Object} floor - Floor from setLevel
+     * @param {number} fromX - Grid X of the player
+     * @param {number} fromZ - Grid Z of the player
+     */
+    reveal(floor, fromX, fromZ) {
+        for (let z = fromZ - VIEW_RADIUS; z <= fromZ + VIEW_RADIUS; z++) {
+            for (let x = fromX - VIEW_RADIUS; x <= fromX + VIEW_RADIUS; x++) {
+                if (x < 0 || z < 0 || x >= floor.width || z >= floor.depth) continue;
+                if (floor.discovered[z * floor.width + x]) continue;
+
+                if (this.hasLineOfSight(floor, fromX, fromZ, x, z)) {
+                    floor.discovered[z * floor.width + x] = 1;
+                }
+            }
+        }
+    }
+
+    /**
+     * Check whether every cell between two cells lets the view through
+     * Walls and closed doors block; the end cell itself may block (that is the wall
+     * or door being looked at)
+     */
+    hasLineOfSight(floor, fromX, fromZ, toX, toZ) {
+        const steps = Math.max(Math.abs(toX - fromX), Math.abs(toZ - fromZ)) * 2;
+
+        for (let i = 1; i < steps; i++) {
+            const x = Math.round(fromX + ((toX - fromX) * i) / steps);
+            const z = Math.round(fromZ + ((toZ - fromZ) * i) / steps);
+            if (x === toX && z === toZ) break;
+            const tile = floor.cells[z]?.[x];
+            if (!tile?.walkable || (tile.door && !this.isDoorOpen(x, z, floor.index))) return false;
+        }
+
+        return true;
+    }
+
+    drawMinimap(floor, player) {
+        const { width, height } = this.canvas;
+        const scale = width / MINIMAP_CELLS;
+
+        this.context.clearRect(0, 0, width, height);
+        this.context.fillStyle = COLORS.background;
+        this.context.fillRect(0, 0, width, height);
+
+        // Keep the player in the middle
+        const originX = width / 2 - player.x * scale;
+        const originZ = height / 2 - player.z * scale;
+        const half = Math.ceil(MINIMAP_CELLS / 2);
+
+        this.drawCells(this.context, floor, originX, originZ, scale, {
+            minX: Math.floor(player.x) - half,
+            maxX: Math.ceil(player.x) + half,
+            minZ: Math.floor(player.z) - half,
+            maxZ: Math.ceil(player.z) + half
+        });
+        this.drawPlayer(this.context, originX, originZ, scale, player);
+    }
+
+    drawAutomap(floor, player) {
+        const canvas = this.automapCanvas;
+        if (canvas.width !== window.innerWidth || canvas.height !== window.innerHeight) {
+            canvas.width = window.innerWidth;
+            canvas.height = window.innerHeight;
+        }
+
+        // Fit the whole storey with a margin
+        const scale = Math.min(canvas.width / (floor.width + 2), canvas.height / (floor.depth + 2));
+        const originX = (canvas.width - floor.width * scale) / 2 + scale / 2;
+        const originZ = (canvas.height - floor.depth * scale) / 2 + scale / 2;
+
+        this.automapContext.fillStyle = "rgba(0, 0, 0, 0.85)";
+        this.automapContext.fillRect(0, 0, canvas.width, canvas.height);
+
+        this.drawCells(this.automapContext, floor, originX, originZ, scale, {
+            minX: 0, maxX: floor.width - 1, minZ: 0, maxZ: floor.depth - 1
+        });
+        this.drawPlayer(this.automapContext, originX, originZ, scale, player);
+    }
+
+    /**
+     * Draw the discovered cells of a grid window
+     * @param {CanvasRenderingContext2D} context - Canvas to draw on
+     * @param {Object} floor - Floor from setLevel
+     * @param {number} originX - Canvas X of the centre of cell (0, 0)
+     * @param {number} originZ - Canvas Y of the centre of cell (0, 0)
+     * @param {number} scale - Pixels per cell
+     * @param {Object} range - Cell window { minX, maxX, minZ, maxZ }
+     */
+    drawCells(context, floor, originX, originZ, scale, range) {
+        for (let z = Math.max(0, range.minZ); z <= Math.min(floor.depth - 1, range.maxZ); z++) {
+            for (let x = Math.max(0, range.minX); x <= Math.min(floor.width - 1, range.maxX); x++) {
+                if (!floor.discovered[z * floor.width + x]) continue;
+
+                const tile = floor.cells[z][x];
+                if (!tile || (!tile.walkable && tile.render === 'none')) continue;
+
+                const left = originX + (x - 0.5) * scale;
+                const top = originZ + (z - 0.5) * scale;
+                const feature = floor.features.get(`${x},${z}`);
+
+                context.fillStyle = tile.walkable ? COLORS.floor : COLORS.wall;
+                if (feature === 'door' || feature === 'connector') {
+                    context.fillStyle = COLORS[feature];
+                }
+                context.fillRect(left, top, scale + 0.5, scale + 0.5);
+
+                if (feature === 'light' || feature === 'start' || feature === 'goal') {
+                    context.fillStyle = COLORS[feature];
+                    context.beginPath();
+                    context.arc(left + scale / 2, top + scale / 2, scale * (feature === 'light' ? 0.15 : 0.3), 0, Math.PI * 2);
+                    context.fill();
+                }
+            }
+        }
+    }
+
+    /**
+     * Draw the player as an arrow pointing the way they face
+     */
+    drawPlayer(context, originX, originZ, scale, player) {
+        // Facing -Z at phi 0, turning left as phi grows
+        const dirX = -Math.sin(player.phi);
+        const dirZ = -Math.cos(player.phi);
+        const x = originX + player.x * scale;
+        const z = originZ + player.z * scale;
+        const size = Math.max(4, scale * 0.45);
+
+        context.fillStyle = COLORS.player;
+        context.beginPath();
+        context.moveTo(x + dirX * size, z + dirZ * size);
+        context.lineTo(x - dirX * size * 0.6 - dirZ * size * 0.6, z - dirZ * size * 0.6 + dirX * size * 0.6);
+        context.lineTo(x - dirX * size * 0.6 + dirZ * size * 0.6, z - dirZ * size * 0.6 - dirX * size * 0.6);
+        context.closePath();
+        context.fill();
+    }
+}
\ No newline at end of file
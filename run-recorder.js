@@ -0,0 +1,121 @@
+/**
+ * Version of the recorded run format
+ */
+export const RUN_FORMAT_VERSION = 1;
+
+// Recorded values are stored as integers: positions in centimetres, angles in milliradians
+const POSITION_SCALE = 100;
+const ANGLE_SCALE = 1000;
+
+// Per-tick channels and the scale each one is stored with
+const CHANNELS = {
+    x: POSITION_SCALE,
+    y: POSITION_SCALE,
+    z: POSITION_SCALE,
+    phi: ANGLE_SCALE,
+    theta: ANGLE_SCALE,
+    storey: 1
+};
+
+/**
+ * Records a run as the player's position and view at every fixed physics step
+ * Channels are quantized and delta-encoded, so a run is a short list of small
+ * integers per channel and packs into compact JSON
+ */
+export class RunRecorder {
+    constructor() {
+        this.recording = false;
+        this.run = null;
+        this.previous = null;
+    }
+
+    /**
+     * Start recording a run
+     * @param {Object} info - What the run is of
+     * @param {string} info.level - Level file, or another stable id for generated levels
+     * @param {string} info.levelName - Level name
+     * @param {number|string|null} info.seed - Maze seed of generated levels
+     * @param {Object|null} info.maze - MazeGenerator options of generated levels, to rebuild the maze
+     * @param {number} info.tickRate - Fixed steps per second
+     */
+    start({ level, levelName, seed = null, maze = null, tickRate }) {
+        this.recording = true;
+        this.previous = null;
+        this.run = {
+            version: RUN_FORMAT_VERSION,
+            level,
+            levelName,
+            seed,
+            maze,
+            tickRate,
+            ticks: 0,
+            completed: false,
+            time: null,
+            recordedAt: new Date().toISOString(),
+            channels: Object.fromEntries(Object.keys(CHANNELS).map(channel => [channel, []]))
+        };
+    }
+
+    /**
+     * Record one fixed step
+     * @param {THREE.Vector3} position - Player position
+     * @param {number} phi - Heading (radians around Y)
+     * @param {number} theta - Pitch (radians)
+     * @param {number} storey - Storey the player is on
+     */
+    record(position, phi, theta, storey) {
+        if (!this.recording) return;
+
+        const values = { x: position.x, y: position.y, z: position.z, phi, theta, storey };
+        const current = {};
+
+        for (const [channel, scale] of Object.entries(CHANNELS)) {
+            current[channel] = Math.round(values[channel] * scale);
+            this.run.channels[channel].push(current[channel] - (this.previous ? this.previous[channel] : 0));
+        }
+
+        this.previous = current;
+        this.run.ticks++;
+    }
+
+    /**
+     * Stop recording
+     * @param {boolean} completed - The run reached the goal
+     * @param {number} time - Run time in seconds
+     * @returns {Object|null} The recorded run, null if nothing was being recorded
+     */
+    finish(completed, time) {
+        if (!this.recording) return null;
+
+        this.recording = false;
+        this.run.completed = completed;
+        this.run.time = time;
+        return this.run;
+    }
+}
+
+/**
+ * Decode a recorded run into one frame per tick
+ * @param {Object} run - Run from RunRecorder.finish
+ * @returns {Array<{x: number, y: number, z: number, phi: number, theta: number, storey: number}>} Frames
+ * @throws {Error} If the run is not a recorded run of a known version
+ */
+export function decodeRun(run) {
+    if (!run || run.version !== RUN_FORMAT_VERSION || typeof run.channels !== 'object') {
+        throw new Error(`Not a recorded run of version ${RUN_FORMAT_VERSION}`);
+    }
+
+    const frames = [];
+    const totals = Object.fromEntries(Object.keys(CHANNELS).map(channel => [channel, 0]));
+
+    for (let tick = 0; tick < run.ticks; tick++) {
+        const frame = {};
+        for (const [channel, scale] of Object.entries(CHANNELS)) {
+            totals[channel] += run.channels[channel]?.[tick] ?? 0;
+            frame[channel] = totals[channel] / scale;
+        }
+        frames.push(frame);
+    }
+
+    return frames;
+}
\ No newline at end of file
@@ -0,0 +1,331 @@
+/**
+ * Current version of the save schema, bump it (and add a migration) when the shape changes
+ */
+export const SAVE_VERSION = 1;
+
+/**
+ * Player settings and their defaults
+ */
+export const DEFAULT_SETTINGS = {
+    mouseSensitivity: 1, // Multiplier on the look speed
+    headBob: true,
+    showGhost: true, // Replay the best run of a level as a ghost
+    // Volumes from 0 to 1, the categories play under the master volume
+    masterVolume: 1,
+    ambienceVolume: 0.5,
+    humVolume: 0.6,
+    footstepsVolume: 0.8,
+    // Key overrides by action ({ jump: ['Space'] }), actions left out keep their default keys
+    keyBindings: {},
+    gamepadDeadZone: 0.15, // Stick travel (0 to 1) that is ignored
+    gamepadLookSensitivity: 1 // Multiplier on the right stick look speed
+};
+
+// localStorage key the save lives under
+const STORAGE_KEY = 'threejs-level-gen.save';
+
+// Best runs are large, each lives under its own key next to the save: `${RUN_KEY_PREFIX}${levelKey}`
+const RUN_KEY_PREFIX = 'threejs-level-gen.run.';
+
+// Upgrades from one save version to the next: MIGRATIONS[n] turns a version n save into version n + 1
+const MIGRATIONS = {
+    // Saves written before the schema carried a version
+    0: (save) => ({ ...save, version: 1 })
+};
+
+/**
+ * Error thrown when an imported save can't be used
+ */
+export class SaveImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SaveImportError';
+    }
+}
+
+/**
+ * Create an empty save
+ * @returns {Object} Save with no progress and default settings
+ */
+export function createEmptySave() {
+    return {
+        version: SAVE_VERSION,
+        levels: {},
+        campaigns: {},
+        settings: { ...DEFAULT_SETTINGS }
+    };
+}
+
+/**
+ * Bring a save of any known version up to SAVE_VERSION
+ * Unknown or malformed fields are dropped, missing ones get their defaults
+ * @param {Object} save - Parsed save
+ * @returns {Object} Save in the current schema
+ * @throws {SaveImportError} If the save is not an object or comes from a newer version
+ */
+export function migrateSave(save) {
+    if (!save || typeof save !== 'object' || Array.isArray(save)) {
+        throw new SaveImportError('Save data must be an object');
+    }
+
+    let version = Number.isInteger(save.version) ? save.version : 0;
+    if (version > SAVE_VERSION) {
+        throw new SaveImportError(`Save version ${version} is newer than this game (version ${SAVE_VERSION})`);
+    }
+
+    let migrated = save;
+    while (version < SAVE_VERSION) {
+        migrated = MIGRATIONS[version](migrated);
+        version++;
+    }
+
+    return normalizeSave(migrated);
+}
+
+/**
+ * Keep only well-formed fields of a current-version save
+ * @param {Object} save - Save in the current schema
+ * @returns {Object} Clean save
+ */
+function normalizeSave(save) {
+    const clean = createEmptySave();
+
+    for (const [key, level] of Object.entries(isObject(save.levels) ? save.levels : {})) {
+        if (!isObject(level)) continue;
+        clean.levels[key] = {
+            completed: level.completed === true,
+            bestTime: Number.isFinite(level.bestTime) && level.bestTime > 0 ? level.bestTime : null,
+            attempts: Number.isInteger(level.attempts) && level.attempts > 0 ? level.attempts : 0
+        };
+    }
+
+    for (const [name, campaign] of Object.entries(isObject(save.campaigns) ? save.campaigns : {})) {
+        if (isObject(campaign) && Number.isInteger(campaign.unlockedCount) && campaign.unlockedCount > 0) {
+            clean.campaigns[name] = { unlockedCount: campaign.unlockedCount };
+        }
+    }
+
+    const settings = isObject(save.settings) ? save.settings : {};
+    for (const [key, value] of Object.entries(DEFAULT_SETTINGS)) {
+        if (isSettingValue(settings[key], value)) {
+            clean.settings[key] = settings[key];
+        }
+    }
+
+    return clean;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// A setting must have the type of its default (objects must be plain objects)
+function isSettingValue(value, defaultValue) {
+    return isObject(defaultValue) ? isObject(value) : typeof value === typeof defaultValue;
+}
+
+/**
+ * Persistent progress, best times and settings in localStorage
+ * Every change is written straight away. When localStorage is unavailable
+ * (private browsing, blocked storage) the save lives in memory for the session.
+ */
+export class SaveManager {
+    /**
+     * @param {Storage} storage - Storage to use (defaults to window.localStorage)
+     */
+    constructor(storage = SaveManager.getDefaultStorage()) {
+        this.storage = storage;
+        this.save = this.load();
+
+        // Best runs read or written this session
+        this.bestRuns = new Map();
+    }
+
+    static getDefaultStorage() {
+        try {
+            return window.localStorage;
+        } catch (error) {
+            console.warn("localStorage is not available, progress won't be kept:", error);
+            return null;
+        }
+    }
+
+    /**
+     * Read the save from storage, starting fresh if there is none or it is unreadable
+     * @returns {Object} Save in the current schema
+     */
+    load() {
+        try {
+            const stored = this.storage?.getItem(STORAGE_KEY);
+            return stored ? migrateSave(JSON.parse(stored)) : createEmptySave();
+        } catch (error) {
+            console.error("Failed to read save, starting a new one:", error);
+            return createEmptySave();
+        }
+    }
+
+    persist() {
+        try {
+            this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.save));
+        } catch (error) {
+            console.error("Failed to write save:", error);
+        }
+    }
+
+    /**
+     * Get the progress on a level
+     * @param {string} levelKey - Level file, or another stable id for generated levels
+     * @returns {{completed: boolean, bestTime: number|null, attempts: number}}
+     */
+    getLevelProgress(levelKey) {
+        return this.save.levels[levelKey] || { completed: false, bestTime: null, attempts: 0 };
+    }
+
+    /**
+     * Count a started run of a level
+     * @param {string} levelKey - Level id
+     */
+    recordAttempt(levelKey) {
+        const progress = this.getLevelProgress(levelKey);
+        this.save.levels[levelKey] = { ...progress, attempts: progress.attempts + 1 };
+        this.persist();
+    }
+
+    /**
+     * Record a completed run of a level
+     * @param {string} levelKey - Level id
+     * @param {number} time - Completion time in seconds
+     * @returns {boolean} True if the time is a new best
+     */
+    recordCompletion(levelKey, time) {
+        const progress = this.getLevelProgress(levelKey);
+        const isBest = progress.bestTime === null || time < progress.bestTime;
+
+        this.save.levels[levelKey] = {
+            ...progress,
+            completed: true,
+            bestTime: isBest ? time : progress.bestTime
+        };
+        this.persist();
+        return isBest;
+    }
+
+    /**
+     * Get how many levels of a campaign are unlocked
+     * @param {string} campaignName - Campaign name
+     * @returns {number} Unlocked level count (at least 1)
+     */
+    getUnlockedCount(campaignName) {
+        return this.save.campaigns[campaignName]?.unlockedCount || 1;
+    }
+
+    setUnlockedCount(campaignName, unlockedCount) {
+        this.save.campaigns[campaignName] = { unlockedCount };
+        this.persist();
+    }
+
+    /**
+     * Get the recorded best run of a level
+     * @param {string} levelKey - Level id
+     * @returns {Object|null} Run from RunRecorder, null if none was kept
+     */
+    getBestRun(levelKey) {
+        if (!this.bestRuns.has(levelKey)) {
+            try {
+                const stored = this.storage?.getItem(RUN_KEY_PREFIX + levelKey);
+                this.bestRuns.set(levelKey, stored ? JSON.parse(stored) : null);
+            } catch (error) {
+                console.error(`Failed to read best run of "${levelKey}":`, error);
+                this.bestRuns.set(levelKey, null);
+            }
+        }
+        return this.bestRuns.get(levelKey);
+    }
+
+    /**
+     * Keep a run as the best run of a level
+     * @param {string} levelKey - Level id
+     * @param {Object} run - Run from RunRecorder
+     */
+    setBestRun(levelKey, run) {
+        this.bestRuns.set(levelKey, run);
+        try {
+            this.storage?.setItem(RUN_KEY_PREFIX + levelKey, JSON.stringify(run));
+        } catch (error) {
+            // Storage full, the run is still kept for this session
+            console.warn(`Failed to store best run of "${levelKey}":`, error);
+        }
+    }
+
+    getSettings() {
+        return { ...this.save.settings };
+    }
+
+    /**
+     * Change some settings, unknown keys and values of the wrong type are ignored
+     * @param {Object} changes - Settings to change
+     * @returns {Object} All settings after the change
+     */
+    updateSettings(changes) {
+        for (const [key, value] of Object.entries(changes)) {
+            if (key in DEFAULT_SETTINGS && isSettingValue(value, DEFAULT_SETTINGS[key])) {
+                this.save.settings[key] = value;
+            }
+        }
+        this.persist();
+        return this.getSettings();
+    }
+
+    /**
+     * Serialize the save for sharing
+     * @returns {string} Pretty-printed JSON
+     */
+    exportSave() {
+        return JSON.stringify(this.save, null, 2);
+    }
+
+    /**
+     * Drop the stored best runs of every level, and the ones read this session
+     */
+    clearBestRuns() {
+        this.bestRuns.clear();
+        try {
+            const runKeys = [];
+            for (let i = 0; i < (this.storage?.length ?? 0); i++) {
+                const key = this.storage.key(i);
+                if (key?.startsWith(RUN_KEY_PREFIX)) runKeys.push(key);
+            }
+            runKeys.forEach(key => this.storage.removeItem(key));
+        } catch (error) {
+            console.error("Failed to remove best runs:", error);
+        }
+    }
+
+    /**
+     * Replace the save with an exported one
+     * Exports carry no runs, so the best runs of the old save are dropped with it
+     * @param {string} json - JSON from exportSave (any older version is migrated)
+     * @throws {SaveImportError} If the JSON is unreadable or not a save
+     */
+    importSave(json) {
+        let parsed;
+        try {
+            parsed = JSON.parse(json);
+        } catch (error) {
+            throw new SaveImportError(`Save file is not valid JSON: ${error.message}`);
+        }
+
+        this.save = migrateSave(parsed);
+        this.persist();
+        this.clearBestRuns();
+    }
+
+    /**
+     * Forget all progress, best runs and settings
+     */
+    reset() {
+        this.save = createEmptySave();
+        this.persist();
+        this.clearBestRuns();
+    }
+}
\ No newline at end of file
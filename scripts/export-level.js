@@ -0,0 +1,175 @@
+/**
+ * Export a level to glTF/GLB or OBJ/MTL from the command line
+ *
+ *   node scripts/export-level.js level1.json --format glb --out exports
+ *   node scripts/export-level.js --seed 1234 --algorithm prim --width 12 --height 12 --format obj
+ *
+ * Level textures are drawn on canvases, so the level is built and exported in
+ * headless Chromium (through Playwright) with the same modules the game uses
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { chromium } from '@playwright/test';
+import { MazeGenerator } from '../maze-generator.js';
+import { EXPORT_FORMATS } from '../level-exporter.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Made-up origin the page is served from, requests to it are answered from ROOT
+const ORIGIN = 'http://level-export.local';
+
+const MIME_TYPES = {
+    '.js': 'text/javascript',
+    '.json': 'application/json',
+    '.html': 'text/html'
+};
+
+const PAGE = `<!DOCTYPE html>
+<html>
+<head>
+    <script type="importmap">
+        {
+            "imports": {
+                "three": "/node_modules/three/build/three.module.js",
+                "three/examples/jsm/": "/node_modules/three/examples/jsm/"
+            }
+        }
+    </script>
+</head>
+<body></body>
+</html>`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(args) {
+    const options = { format: 'glb', out: '.' };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            options[args[i].slice(2)] = args[i + 1];
+            i++;
+        } else {
+            options.level = args[i];
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Load the level to export, from a JSON file or generated from a seed
+ * @param {Object} options - Parsed options
+ * @returns {Object} Level data
+ */
+function loadLevelData(options) {
+    if (options.seed !== undefined) {
+        return new MazeGenerator().generate({
+            seed: options.seed,
+            algorithm: options.algorithm,
+            width: options.width ? Number(options.width) : undefined,
+            height: options.height ? Number(options.height) : undefined,
+            lightSpacing: options.lights ? Number(options.lights) : undefined
+        });
+    }
+
+    if (!options.level) {
+        throw new Error('Usage: node scripts/export-level.js <level.json> [--format glb|gltf|obj] [--out dir]\n' +
+            '       node scripts/export-level.js --seed <seed> [--algorithm name] [--width n] [--height n] [--lights n]');
+    }
+
+    return JSON.parse(fs.readFileSync(options.level, 'utf8'));
+}
+
+/**
+ * Build and export a level in headless Chromium
+ * @param {Object} levelData - Level data
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {string} baseName - File name without extension
+ * @returns {Promise<Array<{fileName: string, base64: string}>>} Exported files
+ */
+async function exportInBrowser(levelData, format, baseName) {
+    const browser = await chromium.launch();
+
+    try {
+        const page = await browser.newPage();
+        page.on('console', message => {
+            if (message.type() === 'error') console.error(message.text());
+        });
+
+        await page.route(`${ORIGIN}/**`, route => {
+            const pathname = new URL(route.request().url()).pathname;
+            if (pathname === '/') {
+                return route.fulfill({ contentType: 'text/html', body: PAGE });
+            }
+
+            const file = path.join(ROOT, decodeURIComponent(pathname));
+            if (!file.startsWith(ROOT) || !fs.existsSync(file)) {
+                return route.fulfill({ status: 404 });
+            }
+            return route.fulfill({
+                contentType: MIME_TYPES[path.extname(file)] || 'application/octet-stream',
+                body: fs.readFileSync(file)
+            });
+        });
+
+        await page.goto(`${ORIGIN}/`);
+
+        return await page.evaluate(async ({ levelData, format, baseName }) => {
+            const { LevelGenerator } = await import('/level-generator.js');
+            const { LevelExporter } = await import('/level-exporter.js');
+
+            const level = new LevelGenerator().loadLevelData(levelData, baseName);
+            const files = await new LevelExporter().export(level, format, baseName);
+
+            // Hand everything back as base64, the only binary-safe way out of the page
+            return files.map(file => {
+                let base64;
+                if (typeof file.data !== 'string') {
+                    let binary = '';
+                    const bytes = new Uint8Array(file.data);
+                    for (let i = 0; i < bytes.length; i += 0x8000) {
+                        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+                    }
+                    base64 = btoa(binary);
+                } else if (file.data.startsWith('data:')) {
+                    base64 = file.data.slice(file.data.indexOf(',') + 1);
+                } else {
+                    base64 = btoa(unescape(encodeURIComponent(file.data)));
+                }
+                return { fileName: file.fileName, base64 };
+            });
+        }, { levelData, format, baseName });
+    } finally {
+        await browser.close();
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (!EXPORT_FORMATS.includes(options.format)) {
+        throw new Error(`Unknown export format "${options.format}", expected one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const levelData = loadLevelData(options);
+    const baseName = options.name ||
+        (options.level ? path.basename(options.level, '.json') : `maze-${options.seed}`);
+
+    const files = await exportInBrowser(levelData, options.format, baseName);
+
+    fs.mkdirSync(options.out, { recursive: true });
+    for (const file of files) {
+        const target = path.join(options.out, file.fileName);
+        fs.writeFileSync(target, Buffer.from(file.base64, 'base64'));
+        console.log(`Wrote ${target}`);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
\ No newline at end of file
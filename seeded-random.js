@@ -0,0 +1,93 @@
+/**
+ * Deterministic pseudo-random number generator (mulberry32)
+ * The same seed always produces the same sequence, so anything built from it
+ * can be reproduced exactly from the seed alone
+ */
+export class SeededRandom {
+    /**
+     * Create a new generator
+     * @param {number|string} seed - Numeric seed or any string (hashed to 32 bits)
+     */
+    constructor(seed = 1) {
+        this.seed = SeededRandom.hashSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Convert a number or string seed into an unsigned 32-bit integer
+     * @param {number|string} seed - Seed value
+     * @returns {number} 32-bit seed
+     */
+    static hashSeed(seed) {
+        // Numeric strings (e.g. from a URL) behave like the number itself
+        if (typeof seed === 'string' && /^\d+$/.test(seed)) {
+            seed = Number(seed);
+        }
+
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        // FNV-1a hash for string seeds
+        const text = String(seed);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Get the next value in the sequence
+     * @returns {number} Float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a random integer
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Get a random float in a range
+     * @param {number} min - Inclusive lower bound
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} array - Source array
+     * @returns {*} The chosen element (undefined for an empty array)
+     */
+    pick(array) {
+        return array[this.nextInt(array.length)];
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} The same array, shuffled
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+}
\ No newline at end of file
@@ -1,73 +1,93 @@
 /**
  * A simple spatial hashing system for efficient collision detection
- * Divides the space into a grid of cells and tracks which objects are in each cell
+ * Divides the space into a grid of cells and tracks which objects are in each cell.
+ * Cells are hashed by their coordinates, so the grid has no bounds: negative and
+ * far-away positions get cells of their own. An object is a point or a box, and a
+ * box is listed in every cell it overlaps.
  */
 export class SpatialHashGrid {
     /**
      * Create a new spatial hash grid
      * @param {number} cellSize - Size of each grid cell (larger = fewer cells but more objects per cell)
-     * @param {number} worldSizeX - Width of the world space
-     * @param {number} worldSizeZ - Depth of the world space 
+     * @param {number} worldSizeX - Ignored, the grid is unbounded (kept for existing callers)
+     * @param {number} worldSizeZ - Ignored, the grid is unbounded (kept for existing callers)
      */
-    constructor(cellSize = 5, worldSizeX = 100, worldSizeZ = 100) {
+    constructor(cellSize = 5, worldSizeX, worldSizeZ) {
         this.cellSize = cellSize;
-        this.worldSizeX = worldSizeX;
-        this.worldSizeZ = worldSizeZ;
-        
-        // Calculate grid dimensions
-        this.numCellsX = Math.ceil(worldSizeX / cellSize);
-        this.numCellsZ = Math.ceil(worldSizeZ / cellSize);
-        
-        // Create grid cells
-        this.cells = new Array(this.numCellsX * this.numCellsZ);
-        for (let i = 0; i < this.cells.length; i++) {
-            this.cells[i] = new Set();
-        }
-        
-        // Map to track which cell each object is in
-        this.objectCells = new Map();
+
+        // Occupied cells only: "x,z" cell key to the set of objects in the cell
+        this.cells = new Map();
+
+        // Bounds and cell keys of each object
+        this.objectEntries = new Map();
     }
 
     /**
-     * Get the cell index from world coordinates
-     * @param {number} x - World X coordinate
-     * @param {number} z - World Z coordinate
-     * @returns {number} Cell index
+     * Get the cell coordinate of a world coordinate
+     * @param {number} value - World X or Z coordinate
+     * @returns {number} Cell coordinate (negative below 0)
      */
-    getCellIndex(x, z) {
-        // Clamp coordinates to world bounds
-        const cellX = Math.floor(Math.max(0, Math.min(x, this.worldSizeX - 0.001)) / this.cellSize);
-        const cellZ = Math.floor(Math.max(0, Math.min(z, this.worldSizeZ - 0.001)) / this.cellSize);
-        
-        return cellX + cellZ * this.numCellsX;
+    toCell(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    /**
+     * Get the key of a cell
+     * @param {number} cellX - Cell X coordinate
+     * @param {number} cellZ - Cell Z coordinate
+     * @returns {string} Cell key
+     */
+    getCellKey(cellX, cellZ) {
+        return `${cellX},${cellZ}`;
     }
 
     /**
      * Add an object to the grid at the specified position
      * @param {Object} object - The object to add (any type)
-     * @param {Object} position - Position with x, z coordinates
+     * @param {Object} position - Center position with x, z coordinates
+     * @param {Object} size - Full size with x, z components (optional, a point without it)
      */
-    insertObject(object, position) {
-        const cellIndex = this.getCellIndex(position.x, position.z);
-        
-        // Add object to the cell
-        this.cells[cellIndex].add(object);
-        
-        // Track which cell this object is in
-        this.objectCells.set(object, cellIndex);
+    insertObject(object, position, size = null) {
+        if (this.objectEntries.has(object)) {
+            this.removeObject(object);
+        }
+
+        const halfX = size ? size.x / 2 : 0;
+        const halfZ = size ? size.z / 2 : 0;
+        const entry = {
+            minX: position.x - halfX,
+            maxX: position.x + halfX,
+            minZ: position.z - halfZ,
+            maxZ: position.z + halfZ,
+            keys: []
+        };
+
+        this.forEachCellKey(entry.minX, entry.minZ, entry.maxX, entry.maxZ, key => {
+            let cell = this.cells.get(key);
+            if (!cell) {
+                cell = new Set();
+                this.cells.set(key, cell);
+            }
+            cell.add(object);
+            entry.keys.push(key);
+        });
+
+        this.objectEntries.set(object, entry);
     }
 
     /**
      * Update an object's position in the grid
      * @param {Object} object - The object to update
-     * @param {Object} position - New position with x, z coordinates
+     * @param {Object} position - New center position with x, z coordinates
+     * @param {Object} size - New full size with x, z components (optional, keeps the current size)
      */
-    updateObject(object, position) {
-        // Remove from old cell
+    updateObject(object, position, size = null) {
+        const entry = this.objectEntries.get(object);
+        const currentSize = entry ? { x: entry.maxX - entry.minX, z: entry.maxZ - entry.minZ } : null;
+
+        // Remove from old cells and insert at new position
         this.removeObject(object);
-        
-        // Insert at new position
-        this.insertObject(object, position);
+        this.insertObject(object, position, size || currentSize);
     }
 
     /**
@@ -75,57 +95,177 @@ export class SpatialHashGrid {
      * @param {Object} object - The object to remove
      */
     removeObject(object) {
-        const cellIndex = this.objectCells.get(object);
-        
-        if (cellIndex !== undefined) {
-            // Remove from cell
-            this.cells[cellIndex].delete(object);
-            
-            // Remove from tracking map
-            this.objectCells.delete(object);
+        const entry = this.objectEntries.get(object);
+        if (!entry) return;
+
+        for (const key of entry.keys) {
+            const cell = this.cells.get(key);
+            cell.delete(object);
+
+            // Empty cells are dropped so the map only holds occupied cells
+            if (cell.size === 0) {
+                this.cells.delete(key);
+            }
+        }
+
+        this.objectEntries.delete(object);
+    }
+
+    /**
+     * Find all objects overlapping a box
+     * @param {Object} min - Box minimum with x, z coordinates
+     * @param {Object} max - Box maximum with x, z coordinates
+     * @returns {Set} Objects whose point or box overlaps the box
+     */
+    queryBox(min, max) {
+        const found = new Set();
+        const overlaps = (entry) =>
+            entry.minX <= max.x && entry.maxX >= min.x && entry.minZ <= max.z && entry.maxZ >= min.z;
+
+        // A box covering more cells than are occupied is faster checked object by object
+        const cellCount = (this.toCell(max.x) - this.toCell(min.x) + 1) * (this.toCell(max.z) - this.toCell(min.z) + 1);
+        if (cellCount > this.cells.size) {
+            for (const [object, entry] of this.objectEntries) {
+                if (overlaps(entry)) found.add(object);
+            }
+            return found;
+        }
+
+        this.forEachCellKey(min.x, min.z, max.x, max.z, key => {
+            for (const object of this.cells.get(key) || []) {
+                if (!found.has(object) && overlaps(this.objectEntries.get(object))) {
+                    found.add(object);
+                }
+            }
+        });
+
+        return found;
+    }
+
+    /**
+     * Find all objects within a certain radius of a position
+     * @param {Object} position - Center position with x, z coordinates
+     * @param {number} radius - Search radius
+     * @returns {Set} Objects whose point or nearest box edge lies within the radius
+     */
+    queryRadius(position, radius) {
+        const found = new Set();
+        const min = { x: position.x - radius, z: position.z - radius };
+        const max = { x: position.x + radius, z: position.z + radius };
+
+        for (const object of this.queryBox(min, max)) {
+            if (this.distanceTo(object, position) <= radius) {
+                found.add(object);
+            }
         }
+
+        return found;
     }
 
     /**
      * Find all objects within a certain radius of a position
+     * Older name of queryRadius, kept for existing callers
      * @param {Object} position - Center position with x, z coordinates
      * @param {number} radius - Search radius
-     * @returns {Set} Set of objects within the radius
+     * @returns {Set} Objects whose point or nearest box edge lies within the radius
      */
     findNearbyObjects(position, radius) {
-        const nearby = new Set();
-        
-        // Calculate cell range to check
-        const minCellX = Math.floor(Math.max(0, position.x - radius) / this.cellSize);
-        const maxCellX = Math.floor(Math.min(this.worldSizeX - 0.001, position.x + radius) / this.cellSize);
-        const minCellZ = Math.floor(Math.max(0, position.z - radius) / this.cellSize);
-        const maxCellZ = Math.floor(Math.min(this.worldSizeZ - 0.001, position.z + radius) / this.cellSize);
-        
-        // Check each cell in the range
-        for (let z = minCellZ; z <= maxCellZ; z++) {
-            for (let x = minCellX; x <= maxCellX; x++) {
-                const cellIndex = x + z * this.numCellsX;
-                const cell = this.cells[cellIndex];
-                
-                // Add all objects in this cell to the result
-                if (cell) {
-                    for (const obj of cell) {
-                        nearby.add(obj);
-                    }
+        return this.queryRadius(position, radius);
+    }
+
+    /**
+     * Find the objects closest to a position
+     * Searches ring after ring of cells around the position, stopping once no
+     * unsearched cell can hold anything closer than what was already found
+     * @param {Object} position - Position with x, z coordinates
+     * @param {number} count - How many objects to find
+     * @param {number} maxDistance - Ignore objects further away than this (optional)
+     * @returns {Array<Object>} Up to count objects, nearest first
+     */
+    queryNearest(position, count, maxDistance = Infinity) {
+        if (count <= 0 || this.objectEntries.size === 0) return [];
+
+        const centerX = this.toCell(position.x);
+        const centerZ = this.toCell(position.z);
+        const seen = new Set();
+        const candidates = [];
+        const consider = (object) => {
+            if (seen.has(object)) return;
+            seen.add(object);
+
+            const distance = this.distanceTo(object, position);
+            if (distance <= maxDistance) {
+                candidates.push({ object, distance });
+            }
+        };
+
+        for (let ring = 0; ; ring++) {
+            // Once the square holds more cells than are occupied (e.g. a lone object far
+            // away), checking the remaining objects directly is cheaper than more rings
+            if ((2 * ring + 1) ** 2 > this.cells.size) {
+                this.objectEntries.forEach((entry, object) => consider(object));
+                candidates.sort((a, b) => a.distance - b.distance);
+                break;
+            }
+
+            // Cells on the border of the (2 * ring + 1) square around the center cell
+            for (let z = centerZ - ring; z <= centerZ + ring; z++) {
+                const onEdge = z === centerZ - ring || z === centerZ + ring;
+                const step = onEdge ? 1 : 2 * ring;
+                for (let x = centerX - ring; x <= centerX + ring; x += step) {
+                    (this.cells.get(this.getCellKey(x, z)) || []).forEach(consider);
                 }
             }
+
+            // Anything not seen yet lies entirely outside the searched square
+            const searched = Math.min(
+                position.x - (centerX - ring) * this.cellSize,
+                (centerX + ring + 1) * this.cellSize - position.x,
+                position.z - (centerZ - ring) * this.cellSize,
+                (centerZ + ring + 1) * this.cellSize - position.z
+            );
+
+            candidates.sort((a, b) => a.distance - b.distance);
+            const enough = candidates.length >= count && candidates[count - 1].distance <= searched;
+            if (enough || searched > maxDistance || seen.size === this.objectEntries.size) break;
+        }
+
+        return candidates.slice(0, count).map(candidate => candidate.object);
+    }
+
+    /**
+     * Distance from a position to an object's point or the nearest edge of its box
+     * @param {Object} object - Object in the grid
+     * @param {Object} position - Position with x, z coordinates
+     * @returns {number} Distance in the XZ plane (0 inside the box)
+     */
+    distanceTo(object, position) {
+        const entry = this.objectEntries.get(object);
+        const dx = Math.max(entry.minX - position.x, 0, position.x - entry.maxX);
+        const dz = Math.max(entry.minZ - position.z, 0, position.z - entry.maxZ);
+        return Math.hypot(dx, dz);
+    }
+
+    /**
+     * Visit the keys of the cells an area overlaps
+     * @param {Function} callback - Called with each cell key
+     */
+    forEachCellKey(minX, minZ, maxX, maxZ, callback) {
+        const maxCellX = this.toCell(maxX);
+        const maxCellZ = this.toCell(maxZ);
+
+        for (let z = this.toCell(minZ); z <= maxCellZ; z++) {
+            for (let x = this.toCell(minX); x <= maxCellX; x++) {
+                callback(this.getCellKey(x, z));
+            }
         }
-        
-        return nearby;
     }
 
     /**
      * Clear all objects from the grid
      */
     clear() {
-        for (let i = 0; i < this.cells.length; i++) {
-            this.cells[i].clear();
-        }
-        this.objectCells.clear();
+        this.cells.clear();
+        this.objectEntries.clear();
     }
 }
\ No newline at end of file
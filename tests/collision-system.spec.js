@@ -0,0 +1,233 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import * as THREE from 'three';
+import { CollisionSystem } from '../collision-system.js';
+import { CollisionGrid } from '../collision-grid.js';
+import { DoorSystem } from '../door-system.js';
+import { SpatialHashGrid } from '../spatial-hash-grid.js';
+
+// Build a collision system with wall boxes given as [centerX, centerZ, sizeX, sizeZ]
+function createSystem(walls) {
+  const collisionSystem = new CollisionSystem(new THREE.Scene());
+  walls.forEach(([x, z, sizeX, sizeZ]) => {
+    collisionSystem.addBoxCollider({ x, y: 1.5, z }, { x: sizeX, y: 3, z: sizeZ });
+  });
+  collisionSystem.createPlayerCollider(new THREE.Vector3());
+  return collisionSystem;
+}
+
+function move(collisionSystem, from, to) {
+  return collisionSystem.resolveCollisions(
+    new THREE.Vector3(from[0], 1.8, from[1]),
+    new THREE.Vector3(to[0], 1.8, to[1]),
+    collisionSystem.playerRadius,
+    0
+  );
+}
+
+// Thin wall section along the Z axis at x = 5
+const THIN_WALL = [5, 0, 0.1, 10];
+
+test.describe('CollisionSystem', () => {
+  test('stops a fast move at a thin wall instead of tunneling through', () => {
+    const collisionSystem = createSystem([THIN_WALL]);
+
+    // One step far longer than the wall is thick, e.g. a long frame at sprint speed
+    const result = move(collisionSystem, [3, 0], [8, 0]);
+
+    expect(result.x).toBeLessThan(5 - 0.05);
+    expect(result.x).toBeCloseTo(5 - 0.05 - collisionSystem.playerRadius, 2);
+    expect(result.y).toBe(1.8);
+  });
+
+  test('stops a fast diagonal move at a thin wall and slides along it', () => {
+    const collisionSystem = createSystem([THIN_WALL]);
+
+    const result = move(collisionSystem, [3, 0], [9, 2]);
+
+    expect(result.x).toBeCloseTo(5 - 0.05 - collisionSystem.playerRadius, 2);
+    expect(result.z).toBeCloseTo(2, 2);
+  });
+
+  test('slides smoothly along a wall made of several boxes', () => {
+    // A straight wall of unit blocks: the seams between them must not catch the player
+    const blocks = [0, 1, 2, 3, 4, 5].map(z => [5.5, z, 1, 1]);
+    const collisionSystem = createSystem(blocks);
+
+    let position = [4.4, 0];
+    for (let i = 0; i < 40; i++) {
+      const result = move(collisionSystem, position, [position[0] + 0.05, position[1] + 0.1]);
+      position = [result.x, result.z];
+    }
+
+    expect(position[0]).toBeCloseTo(5 - collisionSystem.playerRadius, 2);
+    expect(position[1]).toBeCloseTo(4, 2);
+  });
+
+  test('slides around an outside corner', () => {
+    const collisionSystem = createSystem([[5, 5, 2, 2]]);
+
+    // Walking east just inside the box's reach: pushed around the rounded corner
+    let position = [2, 3.7];
+    for (let i = 0; i < 40; i++) {
+      const result = move(collisionSystem, position, [position[0] + 0.15, position[1]]);
+      position = [result.x, result.z];
+    }
+
+    // Past the box (part of the move went into sliding sideways) and never inside its reach
+    expect(position[0]).toBeGreaterThan(6 + collisionSystem.playerRadius);
+    expect(position[1]).toBeLessThanOrEqual(4 - collisionSystem.playerRadius);
+  });
+
+  test('comes to rest in an inside corner without jitter', () => {
+    // Walls to the east and north of the player meet in a corner
+    const collisionSystem = createSystem([[5.5, 0, 1, 10], [0, 5.5, 10, 1]]);
+
+    let position = [3, 3];
+    const positions = [];
+    for (let i = 0; i < 30; i++) {
+      const result = move(collisionSystem, position, [position[0] + 0.2, position[1] + 0.2]);
+      position = [result.x, result.z];
+      positions.push(position);
+    }
+
+    const corner = 5 - collisionSystem.playerRadius;
+    expect(position[0]).toBeCloseTo(corner, 2);
+    expect(position[1]).toBeCloseTo(corner, 2);
+
+    // Pushing into the corner once there must not move the player
+    const [last, previous] = [positions[positions.length - 1], positions[positions.length - 2]];
+    expect(last[0]).toBeCloseTo(previous[0], 6);
+    expect(last[1]).toBeCloseTo(previous[1], 6);
+  });
+
+  test('gives the same result whatever order the colliders are in', () => {
+    const walls = [[5.5, 0, 1, 10], [0, 5.5, 10, 1], [5, 5, 2, 2], [3, 1, 0.1, 2]];
+    const moves = [
+      [[3, 3], [7, 6]],
+      [[2, 2], [2.5, 9]],
+      [[4, 0], [9, 0.5]]
+    ];
+
+    const forward = createSystem(walls);
+    const reversed = createSystem([...walls].reverse());
+
+    for (const [from, to] of moves) {
+      const a = move(forward, from, to);
+      const b = move(reversed, from, to);
+      expect(a.x).toBe(b.x);
+      expect(a.z).toBe(b.z);
+    }
+  });
+
+  test('pushes the player out of a wall it starts inside', () => {
+    const collisionSystem = createSystem([[5, 0, 2, 2]]);
+
+    // Standing where a door just closed
+    const result = move(collisionSystem, [4.2, 0], [4.2, 0]);
+
+    expect(result.x).toBeCloseTo(4 - collisionSystem.playerRadius, 2);
+  });
+
+  test('ignores disabled colliders', () => {
+    const collisionSystem = createSystem([THIN_WALL]);
+    collisionSystem.colliders[0].enabled = false;
+
+    const result = move(collisionSystem, [3, 0], [8, 0]);
+
+    expect(result.x).toBe(8);
+  });
+});
+test.describe('CollisionSystem ray casts', () => {
+  // Corridor cells 2 units wide, walls as in a level: a block at cell (3, 0) and a door at (1, 0)
+  function createLevelSystem() {
+    const collisionSystem = new CollisionSystem(new THREE.Scene());
+    collisionSystem.grids[0] = new CollisionGrid({ min: { x: -1, z: -1 } }, 5, 3, 2);
+    collisionSystem.storeyBounds = [{ floor: 0, ceiling: 3 }];
+    collisionSystem.addBoxCollider({ x: 6, y: 1.5, z: 0 }, { x: 2, y: 3, z: 2 }, 0, { name: 'block' });
+    collisionSystem.addBoxCollider({ x: 2, y: 1.3, z: 0 }, { x: 0.1, y: 2.6, z: 1.8 }, 0, { name: 'door' });
+    return collisionSystem;
+  }
+
+  test('reports the point, normal and object of the first wall hit', () => {
+    const collisionSystem = createLevelSystem();
+
+    const hit = collisionSystem.raycast(new THREE.Vector3(0, 1.5, 0), new THREE.Vector3(1, 0, 0));
+
+    expect(hit.surface).toBe('wall');
+    expect(hit.object.name).toBe('door');
+    expect(hit.distance).toBeCloseTo(1.95, 6);
+    expect(hit.point.toArray()).toEqual([1.95, 1.5, 0]);
+    expect(hit.normal.toArray()).toEqual([-1, 0, 0]);
+  });
+
+  test('passes open doors and walks on to the next wall', () => {
+    const collisionSystem = createLevelSystem();
+    collisionSystem.colliders[1].enabled = false;
+
+    const hit = collisionSystem.raycast(new THREE.Vector3(0, 1.5, 0), new THREE.Vector3(1, 0, 0));
+
+    expect(hit.object.name).toBe('block');
+    expect(hit.point.x).toBeCloseTo(5, 6);
+  });
+
+  test('is blocked by a door closed through the door system, and passes it while open', () => {
+    const collisionSystem = createLevelSystem();
+    const doorMesh = collisionSystem.colliders[1].mesh;
+    const doorSystem = new DoorSystem(collisionSystem);
+    const door = {
+      mesh: doorMesh,
+      storey: 0,
+      closedPosition: new THREE.Vector3(2, 1.3, 0),
+      halfExtents: { x: 0.05, z: 0.9 },
+      spatialGrid: new SpatialHashGrid(4)
+    };
+    const eye = new THREE.Vector3(0, 1.5, 0);
+    const across = new THREE.Vector3(4, 1.5, 0);
+
+    doorSystem.openDoor(door);
+    expect(collisionSystem.raycast(eye, new THREE.Vector3(1, 0, 0)).object.name).toBe('block');
+    expect(collisionSystem.hasLineOfSight(eye, across)).toBe(true);
+
+    doorSystem.closeDoor(door);
+    expect(collisionSystem.raycast(eye, new THREE.Vector3(1, 0, 0)).object).toBe(doorMesh);
+    expect(collisionSystem.hasLineOfSight(eye, across)).toBe(false);
+  });
+
+  test('hits the floor or ceiling when no wall is closer', () => {
+    const collisionSystem = createLevelSystem();
+
+    const hit = collisionSystem.raycast(new THREE.Vector3(0, 1.5, 4), new THREE.Vector3(1, -1, 0));
+
+    expect(hit.surface).toBe('floor');
+    expect(hit.object).toBeNull();
+    expect(hit.point.y).toBeCloseTo(0, 6);
+    expect(hit.normal.toArray()).toEqual([0, 1, 0]);
+  });
+
+  test('stops at the maximum distance', () => {
+    const collisionSystem = createLevelSystem();
+
+    expect(collisionSystem.raycast(new THREE.Vector3(0, 1.5, 0), new THREE.Vector3(1, 0, 0), 1)).toBeNull();
+  });
+
+  test('checks line of sight between two points', () => {
+    const collisionSystem = createLevelSystem();
+    const eye = new THREE.Vector3(0, 1.5, 0);
+
+    expect(collisionSystem.hasLineOfSight(eye, new THREE.Vector3(1.5, 1.5, 0))).toBe(true);
+    expect(collisionSystem.hasLineOfSight(eye, new THREE.Vector3(4, 1.5, 0))).toBe(false);
+    expect(collisionSystem.hasLineOfSight(eye, new THREE.Vector3(0, 1.5, 4))).toBe(true);
+    expect(collisionSystem.segmentTest(eye, new THREE.Vector3(4, 1.5, 0)).object.name).toBe('door');
+  });
+
+  test('only tests the walls in the cells along the ray', () => {
+    const collisionSystem = createLevelSystem();
+    collisionSystem.beginFrame();
+
+    collisionSystem.raycast(new THREE.Vector3(0, 1.5, 4), new THREE.Vector3(1, 0, 0));
+    collisionSystem.beginFrame();
+
+    expect(collisionSystem.lastFrameStats.tests).toBe(0);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,113 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { createLevelModel, LEVEL_DIMENSIONS } from '../level-model.js';
+
+// Start and goal joined by a corridor, with a light in the side corridor running north-south
+const SMALL_LEVEL = {
+  name: 'Small',
+  legend: { '.': 'floor', '-': 'wall', 'S': 'start', 'E': 'goal', 'l': 'light' },
+  grid: [
+    '-----',
+    '-S.E-',
+    '-l---',
+    '-.---',
+    '-----'
+  ]
+};
+
+const TWO_FLOORS = {
+  name: 'Office Tower',
+  legend: { '.': 'Floor', '-': 'Wall', '|': 'Wall', 'S': 'Start position',
+            'E': 'End/goal position', '^': 'Stairs up', 'v': 'Stairs down' },
+  floors: [
+    { name: 'Ground floor', grid: ['|---|', '|S.^|', '|---|'] },
+    { name: 'Second floor', grid: ['|---|', '|E.v|', '|---|'] }
+  ]
+};
+
+test.describe('createLevelModel', () => {
+  test('fills every wall cell with a block', () => {
+    const floor = createLevelModel(SMALL_LEVEL).floors[0];
+
+    expect(floor.wallBlocks).toHaveLength(20);
+    expect(floor.wallBlocks[0]).toEqual({
+      x: 0, z: 0,
+      position: { x: 0, y: 1.5, z: 0 },
+      size: { x: 2, y: 3, z: 2 }
+    });
+  });
+
+  test('puts a wall segment on each side of an open cell that faces a wall', () => {
+    const floor = createLevelModel(SMALL_LEVEL).floors[0];
+    const sides = (x, z) => floor.wallSegments
+      .filter(segment => segment.x === x && segment.z === z)
+      .map(segment => segment.direction);
+
+    expect(floor.wallSegments).toHaveLength(12);
+    expect(sides(1, 1)).toEqual([0, 3]);
+    expect(sides(2, 1)).toEqual([0, 2]);
+    expect(sides(3, 1)).toEqual([0, 1, 2]);
+    expect(sides(1, 3)).toEqual([1, 2, 3]);
+
+    // North edge of the start cell: spans the cell along X, thin along Z
+    expect(floor.wallSegments.find(segment => segment.x === 1 && segment.z === 1 && segment.direction === 0)).toEqual({
+      x: 1, z: 1, direction: 0,
+      position: { x: 2, y: 1.5, z: 1 },
+      size: { x: 2, y: 3, z: LEVEL_DIMENSIONS.wallThickness }
+    });
+  });
+
+  test('hangs lights below the ceiling, turned along their corridor', () => {
+    const floor = createLevelModel(SMALL_LEVEL).floors[0];
+
+    expect(floor.lights).toEqual([
+      { x: 1, z: 2, position: { x: 2, y: 2.9, z: 4 }, rotation: 0 }
+    ]);
+  });
+
+  test('finds the start and goal cells', () => {
+    const model = createLevelModel(SMALL_LEVEL);
+
+    expect(model.start).toEqual({ floor: 0, x: 1, z: 1, position: { x: 2, y: 0, z: 2 } });
+    expect(model.goal).toEqual({ floor: 0, x: 3, z: 1, position: { x: 6, y: 0, z: 2 } });
+    expect(model.goals).toEqual([model.goal]);
+  });
+
+  test('keeps every goal cell, the first one as the goal', () => {
+    const model = createLevelModel({ ...SMALL_LEVEL, grid: ['-----', '-S.E-', '-l---', '-E---', '-----'] });
+
+    expect(model.floors[0].goals.map(({ x, z }) => [x, z])).toEqual([[3, 1], [1, 3]]);
+    expect(model.goals.map(({ floor, x, z }) => [floor, x, z])).toEqual([[0, 3, 1], [0, 1, 3]]);
+    expect(model.goal).toBe(model.goals[0]);
+    expect(model.triggers.filter(trigger => trigger.type === 'goal')).toHaveLength(2);
+  });
+
+  test('bounds the level by its outer cell edges', () => {
+    const model = createLevelModel(SMALL_LEVEL);
+
+    // Cells are centred on x * corridorWidth, so the grid starts half a cell before 0
+    expect(model.floors[0].bounds).toEqual({ min: { x: -1, z: -1 }, max: { x: 9, z: 9 } });
+    expect(model.bounds).toEqual({ min: { x: -1, y: 0, z: -1 }, max: { x: 9, y: 3, z: 9 } });
+  });
+
+  test('stacks floors and links their stairs', () => {
+    const model = createLevelModel(TWO_FLOORS);
+    const storeyHeight = LEVEL_DIMENSIONS.roomHeight + LEVEL_DIMENSIONS.wallThickness;
+
+    expect(model.floors.map(floor => [floor.name, floor.elevation])).toEqual([
+      ['Ground floor', 0],
+      ['Second floor', storeyHeight]
+    ]);
+    expect(model.start).toMatchObject({ floor: 0, x: 1, z: 1 });
+    expect(model.goal).toMatchObject({ floor: 1, x: 1, z: 1 });
+
+    expect(model.floors[0].stairs.map(stairs => stairs.connector)).toEqual(['up']);
+    expect(model.floors[1].stairs.map(stairs => stairs.connector)).toEqual(['down']);
+    expect(model.connectors).toEqual([
+      { from: { floor: 0, x: 3, z: 1 }, to: { floor: 1, x: 3, z: 1 } },
+      { from: { floor: 1, x: 3, z: 1 }, to: { floor: 0, x: 3, z: 1 } }
+    ]);
+
+    expect(model.bounds.max.y).toBeCloseTo(storeyHeight + LEVEL_DIMENSIONS.roomHeight, 6);
+  });
+});
\ No newline at end of file
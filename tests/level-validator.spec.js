@@ -0,0 +1,42 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import path from 'path';
+import { validateLevel } from '../level-validator.js';
+import { analyzeLevel } from '../level-analyzer.js';
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+
+// Coffee in the middle of a sealed room the corridor never reaches
+const SEALED_PICKUP = {
+  name: 'Sealed',
+  legend: { '.': 'floor', '-': 'wall', 'S': 'start', 'E': 'goal', 'c': 'Coffee cup' },
+  grid: [
+    '-------',
+    '-S.E---',
+    '-------',
+    '---c---',
+    '-------'
+  ]
+};
+
+test.describe('validateLevel', () => {
+  test('reports a collectible that cannot be reached from the start', () => {
+    const { valid, errors } = validateLevel(SEALED_PICKUP);
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([expect.objectContaining({ code: 'unreachable-collectible', row: 3, column: 3 })]);
+  });
+
+  for (const file of readJson('campaign.json').levels) {
+    test(`accepts the shipped ${file}, every pickup included`, () => {
+      expect(validateLevel(readJson(file)).errors).toEqual([]);
+    });
+
+    // A mislabelled level logs a warning every time it is loaded
+    test(`finds the shipped ${file} as difficult as its label says`, () => {
+      const { difficulty, declaredDifficulty } = analyzeLevel(readJson(file));
+      expect(difficulty).toBe(declaredDifficulty);
+    });
+  }
+});
\ No newline at end of file
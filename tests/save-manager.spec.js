@@ -0,0 +1,62 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { SaveManager } from '../save-manager.js';
+
+// In-memory stand-in for localStorage
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  get length() {
+    return this.items.size;
+  }
+
+  key(index) {
+    return [...this.items.keys()][index] ?? null;
+  }
+
+  getItem(key) {
+    return this.items.get(key) ?? null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+const RUN = { version: 1, level: 'level1.json', ticks: 0, channels: {} };
+
+test.describe('SaveManager', () => {
+  test('forgets best runs and their ghosts on reset', () => {
+    const storage = new MemoryStorage();
+    storage.setItem('unrelated', 'kept');
+    const saveManager = new SaveManager(storage);
+    saveManager.recordCompletion('level1.json', 42);
+    saveManager.setBestRun('level1.json', RUN);
+
+    saveManager.reset();
+
+    expect(saveManager.getBestRun('level1.json')).toBeNull();
+    expect(saveManager.getLevelProgress('level1.json').bestTime).toBeNull();
+    expect(new SaveManager(storage).getBestRun('level1.json')).toBeNull();
+    expect(storage.getItem('unrelated')).toBe('kept');
+  });
+
+  test('drops the old best runs when a save is imported', () => {
+    const storage = new MemoryStorage();
+    const saveManager = new SaveManager(storage);
+    saveManager.setBestRun('level1.json', RUN);
+    saveManager.setBestRun('level2.json', RUN);
+    const exported = new SaveManager(new MemoryStorage()).exportSave();
+
+    saveManager.importSave(exported);
+
+    expect(saveManager.getBestRun('level1.json')).toBeNull();
+    expect(new SaveManager(storage).getBestRun('level2.json')).toBeNull();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,110 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { SpatialHashGrid } from '../spatial-hash-grid.js';
+
+function names(objects) {
+  return [...objects].map(object => object.name).sort();
+}
+
+test.describe('SpatialHashGrid', () => {
+  test('lists a box in every cell it overlaps', () => {
+    const grid = new SpatialHashGrid(2);
+    const wall = { name: 'wall' };
+
+    // Spans cells -1 to 2 along X and cell 0 along Z
+    grid.insertObject(wall, { x: 1, z: 1 }, { x: 6, z: 0.2 });
+
+    expect(grid.objectEntries.get(wall).keys.sort()).toEqual(['-1,0', '0,0', '1,0', '2,0']);
+
+    // Found from a neighbouring cell, though its center is far away
+    expect(names(grid.queryRadius({ x: 4.5, z: 1.5 }, 1))).toEqual(['wall']);
+  });
+
+  test('keeps negative and far-away positions apart instead of clamping them to the edge', () => {
+    const grid = new SpatialHashGrid(2);
+    grid.insertObject({ name: 'origin' }, { x: 1, z: 1 });
+    grid.insertObject({ name: 'negative' }, { x: -7, z: -3 });
+    grid.insertObject({ name: 'far' }, { x: 1000, z: 1 });
+
+    expect(grid.toCell(-7)).toBe(-4);
+    expect(grid.toCell(-0.5)).toBe(-1);
+    expect(grid.cells.get('0,0').size).toBe(1);
+    expect(names(grid.queryRadius({ x: -7, z: -3 }, 0.5))).toEqual(['negative']);
+    expect(names(grid.queryRadius({ x: 1000, z: 1 }, 0.5))).toEqual(['far']);
+  });
+
+  test('still takes the old world size arguments and findNearbyObjects', () => {
+    const grid = new SpatialHashGrid(2, 10, 10);
+    grid.insertObject({ name: 'outsideOldWorld' }, { x: 30, z: -4 });
+    grid.insertObject({ name: 'near' }, { x: 1, z: 1 });
+
+    expect(grid.cellSize).toBe(2);
+    expect(names(grid.findNearbyObjects({ x: 30, z: -4 }, 1))).toEqual(['outsideOldWorld']);
+    expect(names(grid.findNearbyObjects({ x: 0, z: 0 }, 2))).toEqual(['near']);
+  });
+
+  test('finds the objects overlapping a box', () => {
+    const grid = new SpatialHashGrid(2);
+    grid.insertObject({ name: 'inside' }, { x: 1, z: 1 });
+    grid.insertObject({ name: 'edge' }, { x: 3, z: 0 }, { x: 2, z: 2 });
+    grid.insertObject({ name: 'sameCell' }, { x: 3.9, z: 3.9 });
+    grid.insertObject({ name: 'outside' }, { x: -5, z: 1 });
+
+    // The same cells as "sameCell", but the box stops short of it
+    const found = grid.queryBox({ x: 0, z: 0 }, { x: 2.5, z: 2.5 });
+
+    expect(names(found)).toEqual(['edge', 'inside']);
+  });
+
+  test('finds the objects within a radius, measured to the nearest edge of boxes', () => {
+    const grid = new SpatialHashGrid(2);
+    grid.insertObject({ name: 'near' }, { x: 1, z: 0 });
+    grid.insertObject({ name: 'corner' }, { x: 3, z: 3 });
+    grid.insertObject({ name: 'longWall' }, { x: 10, z: 2.5 }, { x: 20, z: 1 });
+
+    // "corner" is inside the search square but not inside the circle
+    const found = grid.queryRadius({ x: 0, z: 0 }, 2.5);
+
+    expect(names(found)).toEqual(['longWall', 'near']);
+  });
+
+  test('finds the nearest objects, closest first', () => {
+    const grid = new SpatialHashGrid(2);
+    grid.insertObject({ name: 'a' }, { x: 1, z: 0 });
+    grid.insertObject({ name: 'b' }, { x: -3, z: 0 });
+    grid.insertObject({ name: 'c' }, { x: 0, z: 6 });
+    grid.insertObject({ name: 'd' }, { x: 0, z: -20 });
+    grid.insertObject({ name: 'box' }, { x: 6, z: 0 }, { x: 8, z: 1 });
+
+    const nearest = grid.queryNearest({ x: 0, z: 0 }, 3);
+
+    expect(nearest.map(object => object.name)).toEqual(['a', 'box', 'b']);
+  });
+
+  test('limits nearest objects by count and distance', () => {
+    const grid = new SpatialHashGrid(2);
+    grid.insertObject({ name: 'a' }, { x: 1, z: 0 });
+    grid.insertObject({ name: 'b' }, { x: -3, z: 0 });
+    grid.insertObject({ name: 'lonely' }, { x: 5000, z: -5000 });
+
+    expect(grid.queryNearest({ x: 0, z: 0 }, 10).map(object => object.name)).toEqual(['a', 'b', 'lonely']);
+    expect(grid.queryNearest({ x: 0, z: 0 }, 10, 4).map(object => object.name)).toEqual(['a', 'b']);
+    expect(grid.queryNearest({ x: 0, z: 0 }, 0)).toEqual([]);
+  });
+
+  test('moves, resizes and removes objects', () => {
+    const grid = new SpatialHashGrid(2);
+    const door = { name: 'door' };
+    grid.insertObject(door, { x: 1, z: 1 }, { x: 1.8, z: 0.1 });
+
+    // Keeps its size when moved
+    grid.updateObject(door, { x: -9, z: 1 });
+    expect(names(grid.queryRadius({ x: 1, z: 1 }, 0.5))).toEqual([]);
+    expect(names(grid.queryRadius({ x: -8.2, z: 1 }, 0.1))).toEqual(['door']);
+
+    grid.removeObject(door);
+    expect(grid.queryRadius({ x: -9, z: 1 }, 1).size).toBe(0);
+    // Empty cells are dropped
+    expect(grid.cells.size).toBe(0);
+  });
+});
\ No newline at end of file
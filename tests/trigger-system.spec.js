@@ -0,0 +1,102 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import * as THREE from 'three';
+import { TriggerSystem } from '../trigger-system.js';
+import { createLevelModel } from '../level-model.js';
+
+// Two floors of 6x5 cells; cells are 2 units wide and centred on x * 2
+const LEVEL = {
+  name: 'Triggers',
+  legend: { '.': 'floor', '-': 'wall', 'S': 'start', 'E': 'goal', 'Z': 'hazard' },
+  floors: [
+    { grid: ['------', '-S.Z.-', '-....-', '-....-', '------'] },
+    { grid: ['------', '-..E.-', '-....-', '-....-', '------'] }
+  ],
+  triggers: [
+    { type: 'alarm', x: 1, z: 2, width: 3, depth: 2, message: 'Intruder' }
+  ]
+};
+
+// Build the trigger system of LEVEL, recording every event as "actor:event:type"
+function createSystem() {
+  const model = createLevelModel(LEVEL);
+  const triggerSystem = new TriggerSystem(new THREE.Scene());
+  triggerSystem.setupFromLevel({
+    userData: { model, floors: model.floors.map(floor => ({ elevation: floor.elevation })) }
+  });
+
+  const events = [];
+  triggerSystem.onEvent((event, trigger, actor) => events.push(`${actor.id}:${event}:${trigger.type}`));
+  return { triggerSystem, events };
+}
+
+function actor(id, x, z, storey = 0) {
+  return { id, position: new THREE.Vector3(x, 1.8, z), storey };
+}
+
+test.describe('TriggerSystem', () => {
+  test('raises enter, then stay, then exit', () => {
+    const { triggerSystem, events } = createSystem();
+    const hazard = triggerSystem.triggers.find(trigger => trigger.type === 'hazard');
+
+    triggerSystem.update([actor('player', 2, 2)]);
+    expect(events).toEqual([]);
+
+    triggerSystem.update([actor('player', 6, 2)]);
+    expect(events).toEqual(['player:enter:hazard']);
+    expect([...hazard.occupants]).toEqual(['player']);
+
+    triggerSystem.update([actor('player', 6.5, 2.5)]);
+    expect(events.slice(1)).toEqual(['player:stay:hazard']);
+
+    triggerSystem.update([actor('player', 2, 2)]);
+    expect(events.slice(2)).toEqual(['player:exit:hazard']);
+    expect(hazard.occupants.size).toBe(0);
+  });
+
+  test('lets an actor that drops out of the list leave its triggers', () => {
+    const { triggerSystem, events } = createSystem();
+
+    triggerSystem.update([actor('player', 6, 2), actor('entity-0', 4, 4)]);
+    expect(events).toEqual(['player:enter:hazard', 'entity-0:enter:alarm']);
+
+    // The entity is gone (e.g. the level moved on without it), the player stays put
+    triggerSystem.update([actor('player', 6, 2)]);
+    expect(events.slice(2)).toEqual(['player:stay:hazard', 'entity-0:exit:alarm']);
+    expect(triggerSystem.occupied.has('entity-0')).toBe(false);
+
+    triggerSystem.update([]);
+    expect(events.slice(4)).toEqual(['player:exit:hazard']);
+    expect(triggerSystem.occupied.size).toBe(0);
+  });
+
+  test('only fires triggers on the storey the actor is on', () => {
+    const { triggerSystem, events } = createSystem();
+
+    // The goal is above the hazard, in the same cell
+    triggerSystem.update([actor('player', 6, 2, 1)]);
+    expect(events).toEqual(['player:enter:goal']);
+
+    triggerSystem.update([actor('player', 6, 2, 0)]);
+    expect(events.slice(1)).toEqual(['player:exit:goal', 'player:enter:hazard']);
+  });
+
+  test('covers a multi-cell region up to its outer cell edges', () => {
+    const { triggerSystem, events } = createSystem();
+    const alarm = triggerSystem.triggers.find(trigger => trigger.type === 'alarm');
+
+    // Cells 1-3 along X and 2-3 along Z, each cell reaching 1 unit either side of its centre
+    expect(alarm.bounds).toEqual({ min: { x: 1, z: 3 }, max: { x: 7, z: 7 } });
+    expect(alarm.settings).toEqual({ message: 'Intruder' });
+
+    const inside = [[1, 3], [7, 7], [1, 7], [7, 3], [4, 5]];
+    const outside = [[0.99, 5], [7.01, 5], [4, 2.99], [4, 7.01]];
+
+    inside.forEach(([x, z], index) => triggerSystem.update([actor(`in-${index}`, x, z)]));
+    outside.forEach(([x, z], index) => triggerSystem.update([actor(`out-${index}`, x, z)]));
+
+    expect(events.filter(event => event.endsWith(':enter:alarm'))).toEqual(
+      inside.map((cell, index) => `in-${index}:enter:alarm`));
+    expect(events.some(event => event.startsWith('out-'))).toBe(false);
+  });
+});
\ No newline at end of file
@@ -1,5 +1,19 @@
 import * as THREE from 'three';
 import { ResourceManager } from './resource-manager.js';
+import { SeededRandom } from './seeded-random.js';
+
+/**
+ * Seed used when a level does not set its own "textureSeed"
+ */
+export const DEFAULT_TEXTURE_SEED = 1;
+
+/**
+ * Look used when a level does not set its own "theme"
+ */
+export const DEFAULT_THEME = {
+    wallStyle: 'stripes',
+    wallPalette: 'nineties'
+};
 
 export class TextureGenerator {
     constructor() {
@@ -42,15 +56,18 @@ export class TextureGenerator {
     /**
      * Creates a canvas texture with procedural office wallpaper
      * @param {string} style - Texture style ('stripes', 'geometric', 'noise')
-     * @param {string} palette - Color palette ('corporate', 'warm', 'cool')
+     * @param {string} palette - Color palette ('corporate', 'warm', 'cool', 'nineties')
+     * @param {number|string} seed - Seed for the random details, the same seed gives the same texture
      * @returns {THREE.CanvasTexture} The generated texture
      */
-    generateWallTexture(style = 'stripes', palette = 'corporate') {
+    generateWallTexture(style = 'stripes', palette = 'corporate', seed = DEFAULT_TEXTURE_SEED) {
         // Create a unique key for this texture
-        const textureKey = `wall_${style}_${palette}`;
+        const textureKey = `wall_${style}_${palette}_${seed}`;
         
         // Check if this texture is already cached
         return this.resourceManager.getTexture(textureKey, () => {
+            const rng = new SeededRandom(seed);
+
             // If not cached, create the texture
             const canvas = document.createElement('canvas');
             canvas.width = this.textureSize;
@@ -69,17 +86,17 @@ export class TextureGenerator {
                     this.generateStripes(ctx, colors);
                     break;
                 case 'geometric':
-                    this.generateGeometric(ctx, colors);
+                    this.generateGeometric(ctx, colors, rng);
                     break;
                 case 'noise':
-                    this.generateNoise(ctx, colors);
+                    this.generateNoise(ctx, colors, rng);
                     break;
                 default:
                     this.generateStripes(ctx, colors);
             }
             
             // Add subtle noise overlay to all textures for realism
-            this.addNoiseOverlay(ctx, 0.0001);
+            this.addNoiseOverlay(ctx, 0.0001, undefined, rng);
             
             // Create texture from canvas
             const texture = new THREE.CanvasTexture(canvas);
@@ -153,8 +170,9 @@ export class TextureGenerator {
 
     /**
      * Generate a geometric pattern wallpaper
+     * @param {SeededRandom} rng - Random source for the shape choice
      */
-    generateGeometric(ctx, colors) {
+    generateGeometric(ctx, colors, rng) {
         const size = 64;
         const numShapes = Math.floor(this.textureSize / size);
         
@@ -169,9 +187,9 @@ export class TextureGenerator {
                 const posY = y * size;
                 
                 // Select random shape
-                const shape = Math.floor(Math.random() * 3);
+                const shape = rng.nextInt(3);
                 
-                ctx.fillStyle = colors[1 + (Math.floor(Math.random() * 3))];
+                ctx.fillStyle = colors[1 + rng.nextInt(3)];
                 
                 switch (shape) {
                     case 0: // Square
@@ -209,14 +227,15 @@ export class TextureGenerator {
 
     /**
      * Generate a noise pattern wallpaper
+     * @param {SeededRandom} rng - Random source for the noise
      */
-    generateNoise(ctx, colors) {
+    generateNoise(ctx, colors, rng) {
         // Base layer
         ctx.fillStyle = colors[0];
         ctx.fillRect(0, 0, this.textureSize, this.textureSize);
         
         // Create noise with different intensities
-        this.addNoiseOverlay(ctx, 0.2, colors[1]);
+        this.addNoiseOverlay(ctx, 0.2, colors[1], rng);
         
         // Add some lines for structure
         const lineSpacing = 64;
@@ -242,22 +261,25 @@ export class TextureGenerator {
 
     /**
      * Add a subtle noise overlay to add realism to the texture
+     * @param {SeededRandom} rng - Random source for the noise
      */
-    addNoiseOverlay(ctx, intensity = 0.05, color = 'rgba(0,0,0,0.1)') {
+    addNoiseOverlay(ctx, intensity = 0.05, color = 'rgba(0,0,0,0.1)', rng = new SeededRandom(DEFAULT_TEXTURE_SEED)) {
         const imageData = ctx.getImageData(0, 0, this.textureSize, this.textureSize);
         const data = imageData.data;
         
+        // Parse the noise colour once rather than per pixel
+        const noiseColor = color ? new THREE.Color(color) : null;
+        
         for (let i = 0; i < data.length; i += 4) {
-            if (Math.random() < intensity) {
-                if (color) {
+            if (rng.next() < intensity) {
+                if (noiseColor) {
                     // Use specific color for noise
-                    const noiseColor = new THREE.Color(color);
                     data[i] = Math.floor(noiseColor.r * 255);
                     data[i + 1] = Math.floor(noiseColor.g * 255);
                     data[i + 2] = Math.floor(noiseColor.b * 255);
                 } else {
                     // Random grayscale noise
-                    const value = Math.random() * 255;
+                    const value = rng.next() * 255;
                     data[i] = value;
                     data[i + 1] = value;
                     data[i + 2] = value;
@@ -270,13 +292,15 @@ export class TextureGenerator {
 
     /**
      * Generate a floor texture
+     * @param {number|string} seed - Seed for the speckles and fibres, the same seed gives the same texture
      */
-    generateFloorTexture() {
+    generateFloorTexture(seed = DEFAULT_TEXTURE_SEED) {
         // Create a unique key for the floor texture
-        const textureKey = '90s_office_carpet';
+        const textureKey = `90s_office_carpet_${seed}`;
         
         // Check if this texture is already cached
         return this.resourceManager.getTexture(textureKey, () => {
+            const rng = new SeededRandom(seed);
             const canvas = document.createElement('canvas');
             canvas.width = this.textureSize;
             canvas.height = this.textureSize;
@@ -293,12 +317,12 @@ export class TextureGenerator {
             
             // Create carpet texture with small speckles
             for (let i = 0; i < 5000; i++) { // More speckles for textured carpet feel
-                const x = Math.random() * canvas.width;
-                const y = Math.random() * canvas.height;
-                const size = 0.5 + Math.random() * 1.5; // Small dots for carpet texture
+                const x = rng.next() * canvas.width;
+                const y = rng.next() * canvas.height;
+                const size = 0.5 + rng.next() * 1.5; // Small dots for carpet texture
                 
                 // Randomly vary between a few similar dark green shades
-                const colorVariation = Math.random();
+                const colorVariation = rng.next();
                 if (colorVariation < 0.7) {
                     ctx.fillStyle = speckleColor; // Main speckle color
                 } else if (colorVariation < 0.9) {
@@ -319,14 +343,14 @@ export class TextureGenerator {
             // Add some subtle fabric-like texture lines
             for (let i = 0; i < 40; i++) {
                 // Horizontal fibers
-                const y = Math.random() * canvas.height;
+                const y = rng.next() * canvas.height;
                 ctx.beginPath();
                 ctx.moveTo(0, y);
                 ctx.lineTo(canvas.width, y);
                 ctx.stroke();
                 
                 // Vertical fibers
-                const x = Math.random() * canvas.width;
+                const x = rng.next() * canvas.width;
                 ctx.beginPath();
                 ctx.moveTo(x, 0);
                 ctx.lineTo(x, canvas.height);
@@ -334,7 +358,7 @@ export class TextureGenerator {
             }
             
             // Add subtle noise for carpet texture
-            this.addNoiseOverlay(ctx, 0.005, 'rgba(20, 45, 30, 0.3)');
+            this.addNoiseOverlay(ctx, 0.005, 'rgba(20, 45, 30, 0.3)', rng);
             
             // Create texture from canvas
             const texture = new THREE.CanvasTexture(canvas);
@@ -353,13 +377,15 @@ export class TextureGenerator {
 
     /**
      * Generate a ceiling texture
+     * @param {number|string} seed - Seed for the perforations and stains, the same seed gives the same texture
      */
-    generateCeilingTexture() {
+    generateCeilingTexture(seed = DEFAULT_TEXTURE_SEED) {
         // Create a unique key for the ceiling texture
-        const textureKey = '90s_office_ceiling';
+        const textureKey = `90s_office_ceiling_${seed}`;
         
         // Check if this texture is already cached
         return this.resourceManager.getTexture(textureKey, () => {
+            const rng = new SeededRandom(seed);
             const canvas = document.createElement('canvas');
             canvas.width = this.textureSize;
             canvas.height = this.textureSize;
@@ -403,10 +429,10 @@ export class TextureGenerator {
                     for (let hx = 1; hx < holesPerRow; hx++) {
                         for (let hy = 1; hy < holesPerRow; hy++) {
                             // Only draw some of the holes for a more natural look
-                            if (Math.random() > 0.4) {
+                            if (rng.next() > 0.4) {
                                 const holeX = x * tileSize + hx * holeSpacing;
                                 const holeY = y * tileSize + hy * holeSpacing;
-                                const holeSize = 0.8 + Math.random() * 0.7; // Small holes
+                                const holeSize = 0.8 + rng.next() * 0.7; // Small holes
                                 
                                 // Subtle indentations
                                 ctx.fillStyle = 'rgba(220, 218, 215, 0.7)';
@@ -418,10 +444,10 @@ export class TextureGenerator {
                     }
                     
                     // Add occasional small smudge or stain for realism
-                    if (Math.random() < 0.3) { // 30% chance per tile
-                        const smudgeX = x * tileSize + Math.random() * tileSize;
-                        const smudgeY = y * tileSize + Math.random() * tileSize;
-                        const smudgeSize = 3 + Math.random() * 5;
+                    if (rng.next() < 0.3) { // 30% chance per tile
+                        const smudgeX = x * tileSize + rng.next() * tileSize;
+                        const smudgeY = y * tileSize + rng.next() * tileSize;
+                        const smudgeSize = 3 + rng.next() * 5;
                         
                         ctx.fillStyle = 'rgba(210, 208, 200, 0.2)'; // Very subtle stain
                         ctx.beginPath();
@@ -432,7 +458,7 @@ export class TextureGenerator {
             }
             
             // Add subtle noise for ceiling
-            this.addNoiseOverlay(ctx, 0.02, 'rgba(200, 198, 190, 0.2)');
+            this.addNoiseOverlay(ctx, 0.02, 'rgba(200, 198, 190, 0.2)', rng);
             
             // Create texture from canvas
             const texture = new THREE.CanvasTexture(canvas);
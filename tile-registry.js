@@ -0,0 +1,246 @@
+/**
+ * Built-in tile types
+ * render: 'open' builds a floor cell with wall sections against solid neighbours,
+ *         'block' builds a full wall block, 'none' builds nothing,
+ *         or a function (levelGenerator, levelGroup, x, z, tile, grid) for custom geometry
+ * walkable: the player can stand on the cell
+ * solid: the cell blocks movement (walkable neighbours get a wall section facing it)
+ * light: a ceiling light fixture is placed above the cell
+ * marker: 'start' or 'goal' places the matching level marker
+ * connector: 'up' or 'down' (stairs) or 'elevator' links the cell to another floor
+ * door: the cell holds a door, lock names the keycard that opens it (null = unlocked)
+ * key: the cell holds a keycard pickup for the named lock
+ * collectible: the cell holds a pickup of the named item, worth points towards the score
+ * trigger: the cell is a trigger volume of the named type ('checkpoint', 'hazard' or any
+ *          name level scripts listen for); goal cells are 'goal' triggers without it
+ */
+export const DEFAULT_TILE_TYPES = {
+    floor: {
+        aliases: ['floor', 'corridor'],
+        render: 'open',
+        walkable: true
+    },
+    wall: {
+        aliases: ['wall'],
+        render: 'block',
+        solid: true
+    },
+    hidden: {
+        aliases: ['hidden', 'hidden area', 'hidden area (inaccessible to player)'],
+        render: 'none',
+        solid: true
+    },
+    start: {
+        aliases: ['start', 'start position'],
+        render: 'open',
+        walkable: true,
+        marker: 'start'
+    },
+    goal: {
+        aliases: ['goal', 'end', 'goal position', 'end/goal position'],
+        render: 'open',
+        walkable: true,
+        marker: 'goal'
+    },
+    light: {
+        aliases: ['light'],
+        render: 'open',
+        walkable: true,
+        light: true
+    },
+    stairsUp: {
+        aliases: ['stairs', 'stairs up', 'upstairs'],
+        render: 'stairs',
+        walkable: true,
+        connector: 'up'
+    },
+    stairsDown: {
+        aliases: ['stairs down', 'downstairs'],
+        render: 'stairs',
+        walkable: true,
+        connector: 'down'
+    },
+    elevator: {
+        aliases: ['elevator', 'lift'],
+        render: 'elevator',
+        walkable: true,
+        connector: 'elevator'
+    },
+    door: {
+        aliases: ['door'],
+        render: 'door',
+        walkable: true,
+        door: true
+    },
+    lockedDoor: {
+        aliases: ['locked door'],
+        render: 'door',
+        walkable: true,
+        door: true,
+        lock: 'master'
+    },
+    keycard: {
+        aliases: ['key', 'keycard'],
+        render: 'keycard',
+        walkable: true,
+        key: 'master'
+    },
+    file: {
+        aliases: ['file', 'document'],
+        render: 'collectible',
+        walkable: true,
+        collectible: 'file',
+        points: 10
+    },
+    coffee: {
+        aliases: ['coffee', 'coffee cup'],
+        render: 'collectible',
+        walkable: true,
+        collectible: 'coffee',
+        points: 5
+    },
+    checkpoint: {
+        aliases: ['checkpoint'],
+        render: 'open',
+        walkable: true,
+        trigger: 'checkpoint'
+    },
+    hazard: {
+        aliases: ['hazard', 'hazard zone'],
+        render: 'open',
+        walkable: true,
+        trigger: 'hazard'
+    }
+};
+
+/**
+ * Tile used for grid characters that resolve to no tile type
+ */
+export const UNKNOWN_TILE = { type: 'unknown', render: 'none', walkable: false, solid: false, light: false, marker: null };
+
+/**
+ * Characters used when a level's legend does not define them
+ */
+export const DEFAULT_LEGEND = {
+    '.': 'floor',
+    '-': 'wall',
+    '|': 'wall',
+    'S': 'start',
+    'E': 'goal',
+    'x': 'hidden',
+    'l': 'light',
+    '^': 'stairsUp',
+    'v': 'stairsDown',
+    'H': 'elevator',
+    'd': 'door',
+    'D': 'lockedDoor',
+    'k': 'keycard',
+    'f': 'file',
+    'c': 'coffee',
+    'P': 'checkpoint',
+    'Z': 'hazard'
+};
+
+/**
+ * Registry of tile types that legend entries map onto
+ * Implements the singleton pattern so custom types are visible to every system
+ */
+export class TileRegistry {
+    constructor() {
+        // Singleton instance check
+        if (TileRegistry.instance) {
+            return TileRegistry.instance;
+        }
+
+        TileRegistry.instance = this;
+
+        this.types = new Map();
+        this.aliases = new Map();
+
+        for (const [name, definition] of Object.entries(DEFAULT_TILE_TYPES)) {
+            this.register(name, definition);
+        }
+    }
+
+    /**
+     * Register (or replace) a tile type
+     * @param {string} name - Unique type name, usable directly as a legend value
+     * @param {Object} definition - Tile behaviour, see DEFAULT_TILE_TYPES
+     * @returns {Object} The normalized tile type
+     */
+    register(name, definition = {}) {
+        const { aliases = [], ...behaviour } = definition;
+        const type = {
+            render: 'open',
+            walkable: false,
+            solid: false,
+            light: false,
+            marker: null,
+            connector: null,
+            door: false,
+            lock: null,
+            key: null,
+            trigger: null,
+            ...behaviour,
+            type: name
+        };
+
+        this.types.set(name, type);
+        this.aliases.set(name.toLowerCase(), name);
+        for (const alias of aliases) {
+            this.aliases.set(alias.toLowerCase(), name);
+        }
+
+        return type;
+    }
+
+    /**
+     * Get a registered tile type by name
+     * @param {string} name - Type name
+     * @returns {Object|undefined} Tile type
+     */
+    get(name) {
+        return this.types.get(name);
+    }
+
+    /**
+     * Resolve a single legend value to a tile
+     * Accepts a type name, an alias/description ("Start position") or an object
+     * such as { "type": "wall", ... } whose extra fields are kept on the tile
+     * @param {string|Object} value - Legend value
+     * @returns {Object|null} Tile, or null if the value names no registered type
+     */
+    resolveTile(value) {
+        if (typeof value === 'string') {
+            const name = this.aliases.get(value.trim().toLowerCase());
+            return name ? this.types.get(name) : null;
+        }
+
+        if (value && typeof value === 'object' && typeof value.type === 'string') {
+            const base = this.resolveTile(value.type);
+            return base ? { ...base, ...value, type: base.type } : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve a level legend into a character lookup
+     * Characters the legend does not define fall back to DEFAULT_LEGEND,
+     * characters mapped to an unknown type are left out
+     * @param {Object} legend - Legend object from the level JSON
+     * @returns {Map<string, Object>} Map of grid character to tile
+     */
+    resolveLegend(legend = {}) {
+        const tiles = new Map();
+
+        for (const [char, value] of Object.entries({ ...DEFAULT_LEGEND, ...legend })) {
+            const tile = this.resolveTile(value);
+            if (tile) {
+                tiles.set(char, tile);
+            }
+        }
+
+        return tiles;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,179 @@
+import * as THREE from 'three';
+import { SpatialHashGrid } from './spatial-hash-grid.js';
+
+/**
+ * Outline colours of the trigger debug helpers by trigger type
+ */
+export const TRIGGER_COLORS = {
+    goal: 0x00ff00,
+    checkpoint: 0x00c0ff,
+    hazard: 0xff3000,
+    default: 0xffd000
+};
+
+/**
+ * Trigger volumes of the current level and the actors standing in them
+ * A trigger covers a rectangle of cells for the full height of its floor. Every
+ * update each actor (the player, an entity) is checked against the triggers of its
+ * storey, and listeners hear about it entering, staying in and leaving them.
+ */
+export class TriggerSystem {
+    /**
+     * @param {THREE.Scene} scene - Scene the debug helpers are added to
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.triggers = [];
+
+        // One spatial hash grid of trigger boxes per storey
+        this.grids = [];
+
+        // Actors inside at least one trigger: actor id to { actor, triggers }
+        this.occupied = new Map();
+
+        this.listeners = [];
+
+        // Outlines of every trigger, shown in debug mode
+        this.helpers = new THREE.Group();
+        this.helpers.name = "TriggerHelpers";
+        this.helpers.visible = false;
+        this.scene.add(this.helpers);
+    }
+
+    /**
+     * Take over the triggers of a newly generated level
+     * @param {THREE.Group} levelGroup - Level group from LevelGenerator.generateLevel
+     */
+    setupFromLevel(levelGroup) {
+        this.clear();
+
+        const { model, floors } = levelGroup.userData;
+        this.grids = floors.map(() => new SpatialHashGrid(model.dimensions.corridorWidth * 2));
+
+        model.triggers.forEach((trigger, id) => {
+            this.addTrigger({ ...trigger, id }, floors[trigger.floor].elevation, model.dimensions.roomHeight);
+        });
+    }
+
+    /**
+     * Add a trigger volume
+     * @param {Object} trigger - Trigger from the level model (type, floor, bounds, settings)
+     * @param {number} elevation - Height of the trigger's floor
+     * @param {number} height - Height of the trigger's box in the debug overlay
+     * @returns {Object} Trigger entry, with the ids of the actors inside it as occupants
+     */
+    addTrigger(trigger, elevation = 0, height = 3) {
+        const entry = {
+            ...trigger,
+            storey: trigger.floor,
+            enabled: true,
+            occupants: new Set()
+        };
+        const { min, max } = entry.bounds;
+
+        this.grids[entry.storey].insertObject(entry,
+            { x: (min.x + max.x) / 2, z: (min.z + max.z) / 2 },
+            { x: max.x - min.x, z: max.z - min.z });
+        this.triggers.push(entry);
+
+        const box = new THREE.Box3(
+            new THREE.Vector3(min.x, elevation + 0.02, min.z),
+            new THREE.Vector3(max.x, elevation + height - 0.02, max.z)
+        );
+        this.helpers.add(new THREE.Box3Helper(box, TRIGGER_COLORS[entry.type] ?? TRIGGER_COLORS.default));
+
+        return entry;
+    }
+
+    /**
+     * Listen for actors entering, staying in and leaving triggers
+     * @param {Function} callback - Called with (event 'enter' | 'stay' | 'exit', trigger, actor)
+     */
+    onEvent(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Check which triggers each actor is in and raise the events
+     * An actor is inside a trigger when its position is; actors missing from the list
+     * (and disabled triggers) count as left.
+     * @param {Array<Object>} actors - Actors { id, position, storey }, ids unique and stable
+     */
+    update(actors) {
+        const present = new Set();
+
+        for (const actor of actors) {
+            present.add(actor.id);
+
+            const grid = this.grids[actor.storey];
+            const inside = grid ? [...grid.queryBox(actor.position, actor.position)]
+                .filter(trigger => trigger.enabled)
+                .sort((a, b) => a.id - b.id) : [];
+            const previous = this.occupied.get(actor.id)?.triggers || new Set();
+
+            for (const trigger of previous) {
+                if (!inside.includes(trigger)) {
+                    this.leave(trigger, actor);
+                }
+            }
+
+            for (const trigger of inside) {
+                if (previous.has(trigger)) {
+                    this.emit('stay', trigger, actor);
+                } else {
+                    trigger.occupants.add(actor.id);
+                    this.emit('enter', trigger, actor);
+                }
+            }
+
+            if (inside.length > 0) {
+                this.occupied.set(actor.id, { actor, triggers: new Set(inside) });
+            } else {
+                this.occupied.delete(actor.id);
+            }
+        }
+
+        for (const [id, { actor, triggers }] of this.occupied) {
+            if (present.has(id)) continue;
+
+            triggers.forEach(trigger => this.leave(trigger, actor));
+            this.occupied.delete(id);
+        }
+    }
+
+    // Take an actor out of a trigger and tell the listeners
+    leave(trigger, actor) {
+        trigger.occupants.delete(actor.id);
+        this.emit('exit', trigger, actor);
+    }
+
+    // Hand an event to every listener
+    emit(event, trigger, actor) {
+        this.listeners.forEach(callback => callback(event, trigger, actor));
+    }
+
+    /**
+     * Show or hide the trigger outlines
+     * @param {boolean} visible - True to show them
+     */
+    setHelpersVisible(visible) {
+        this.helpers.visible = visible;
+    }
+
+    /**
+     * Drop the current level's triggers (no exit events are raised)
+     */
+    clear() {
+        this.triggers = [];
+        this.grids = [];
+        this.occupied.clear();
+
+        // Each Box3Helper has its own line geometry and material
+        this.helpers.children.forEach(helper => {
+            helper.geometry.dispose();
+            helper.material.dispose();
+        });
+        this.helpers.clear();
+        this.helpers.visible = false;
+    }
+}
\ No newline at end of file